@@ -4,12 +4,36 @@ export default {
   // Set to 0 to use (CPU cores - 1), or -1 to use ALL cores
   workerThreads: -1,  // MAXIMUM PERFORMANCE MODE: Use all cores
   
+  // Overpass interpreter endpoints, tried healthiest-first with failover on 429/504/network errors
+  // Add mirrors or your own instance here (config.js can also set overpassEndpoints to override this list)
+  overpassEndpoints: [
+    'https://overpass-api.de/api/interpreter',
+    // 'https://overpass.kumi.systems/api/interpreter',
+    // 'https://overpass.private.coffee/api/interpreter',
+    // 'http://localhost:12345/api/interpreter', // private instance
+  ],
+  
   // Tile size for Overpass queries (degrees)
   // With streaming parser, we can use much larger tiles safely
   overpassTileSize: {
     roads: 1.5,      // Much larger tiles
     buildings: 1.0,  // Can handle ~500k buildings per tile with streaming
     places: 1.5,
+    transit: 1.5,    // Rail ways, route relations and stations (sparse)
+    landuse: 1.0,
+    pois: 1.0,
+  },
+  
+  // Check every tile against an `out count` pre-query so truncated responses get caught
+  // and subdivided (costs one extra, cheap request per tile)
+  verifyTileCounts: true,
+  
+  // Parallel tile downloads, governed by the Overpass slot limit
+  // Before each request /api/status is asked whether one of our slots is free; on 429 the
+  // per-endpoint limit halves and then grows back as requests succeed. max: 1 = one tile at a time.
+  tileConcurrency: {
+    max: 4,              // Never more than this many requests in flight per endpoint
+    useSlotStatus: true, // Set to false for instances without /api/status
   },
   
   // Try downloading full bbox first before tiling
@@ -48,7 +72,32 @@ export default {
       medium: 8192,     // For cities 500k-2M buildings
       large: 16384,     // For cities 2M-5M buildings
       xlarge: 32768,    // For cities > 5M buildings (e.g., Tokyo)
-    }
-  }
+    },
+    // Building counts each tier is meant for (anything above large is xlarge), used by --plan
+    tierLimits: {
+      small: 500000,
+      medium: 2000000,
+      large: 5000000,
+    },
+  },
+
+  // Download planner (--plan): rough rates used to turn `out count` results into estimates
+  plan: {
+    maxElementsPerTile: 500000,   // Planned tiles with more elements than this are split up front
+    maxAgeDays: 7,                // Older plans are ignored, tiles that were empty back then may have been mapped since
+    expectedSlots: 2,             // Parallel requests the server usually allows (overpass-api.de: 2 per IP)
+    secondsPerRequest: 4,         // Server-side query time per tile, on top of the transfer
+    downloadBytesPerSecond: 2 * 1024 * 1024, // 2MB/s
+    parsedOverhead: 3,            // Parsed JS objects take about this many times their JSON size
+    bytesPerElement: {            // Overpass JSON (out geom) per element
+      roads: 700,
+      buildings: 450,
+      places: 350,
+      transit: 2500,
+      landuse: 1500,
+      pois: 250,
+      default: 600,
+    },
+  },
 };
 
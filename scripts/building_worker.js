@@ -1,8 +1,11 @@
 // Worker for parallel building processing
-import { parentPort } from 'worker_threads';
+import { simplifyFootprint } from './footprint.js';
+import { createFoundationModel } from './foundation_depth.js';
+import { createLandUseLookup, poiTypeOf } from './land_use.js';
+import { ringContainsPoint } from './multipolygon.js';
 
-// Lightweight geometry functions (duplicated from main for worker isolation)
-const calculateArea = (coords) => {
+// Lightweight geometry functions
+const calculateArea = (coords, holes = []) => {
   let area = 0;
   const n = coords.length;
   for (let i = 0; i < n - 1; i++) {
@@ -10,115 +13,191 @@ const calculateArea = (coords) => {
     const [lon2, lat2] = coords[i + 1];
     area += lon1 * lat2 - lon2 * lat1;
   }
-  return Math.abs(area / 2) * 111320 * 111320 * Math.cos(coords[0][1] * Math.PI / 180);
+  const outerArea = Math.abs(area / 2) * 111320 * 111320 * Math.cos(coords[0][1] * Math.PI / 180);
+  // Inner rings (courtyards of multipolygon buildings) don't count as floor area
+  return Math.max(0, holes.reduce((remaining, hole) => remaining - calculateArea(hole), outerArea));
 };
 
-// Centroid removed - we now use fast bbox center
+// Footprint of a building: assembled multipolygon relations carry [[outer, ...inners], ...]
+const calculateFootprintArea = (building, coords) => {
+  if (!building.polygons) return calculateArea(coords);
+  return building.polygons.reduce((sum, [outer, ...inners]) => sum + calculateArea(outer, inners), 0);
+};
 
-const squareFeetPerPopulation = {
-  yes: 600, apartments: 240, barracks: 100, bungalow: 600, cabin: 600,
-  detached: 600, annexe: 240, dormitory: 125, farm: 600, ger: 240,
-  hotel: 240, house: 600, houseboat: 600, residential: 600, semidetached_house: 400,
-  static_caravan: 500, stilt_house: 600, terrace: 500, tree_house: 240, trullo: 240,
+// Outer ring of the building's biggest part (multipolygon relations can have several)
+const outlineOf = (building, coords) => {
+  if (!building.polygons) return coords;
+  let biggest = null;
+  let biggestArea = -1;
+  building.polygons.forEach(([outer]) => {
+    const area = calculateArea(outer);
+    if (area > biggestArea) {
+      biggest = outer;
+      biggestArea = area;
+    }
+  });
+  return biggest;
 };
 
-const squareFeetPerJob = {
-  commercial: 150, industrial: 500, kiosk: 50, office: 150, retail: 300,
-  supermarket: 300, warehouse: 500, religious: 100, cathedral: 100, chapel: 100,
-  church: 100, kingdom_hall: 100, monastery: 100, mosque: 100, presbytery: 100,
-  shrine: 100, synagogue: 100, temple: 100, bakehouse: 300, college: 250,
-  fire_station: 500, government: 150, gatehouse: 150, hospital: 150, kindergarten: 100,
-  museum: 300, public: 300, school: 100, train_station: 1000, transportation: 1000,
-  university: 250, grandstand: 150, pavilion: 150, riding_hall: 150, sports_hall: 150,
-  sports_centre: 150, stadium: 150,
+const createFootprintStats = () => ({
+  footprints: 0, rectangles: 0, capped: 0, vertices: 0,
+  footprintBytes: 0, rectangleBytes: 0,
+  outlineArea: 0, footprintArea: 0, rectangleArea: 0,
+  milliseconds: 0,
+});
+
+// Simplified outline for `p` (see footprint.js), with what it costs and gains next to the rectangle
+const addFootprint = (summary, building, coords, setting, stats) => {
+  const startTime = performance.now();
+  const [minLon, minLat, maxLon, maxLat] = summary.bbox;
+  const rectangle = [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+  const footprint = coords.length >= 3 ? simplifyFootprint(outlineOf(building, coords), setting) : null;
+
+  const rectangleBytes = JSON.stringify([rectangle]).length;
+  stats.rectangleBytes += rectangleBytes;
+  if (footprint) {
+    summary.footprint = footprint.ring;
+    stats.footprints++;
+    if (footprint.capped) stats.capped++;
+    stats.vertices += footprint.ring.length - 1;
+    stats.footprintBytes += JSON.stringify([footprint.ring]).length;
+    stats.outlineArea += footprint.originalArea;
+    stats.footprintArea += footprint.area;
+    stats.rectangleArea += (maxLon - minLon) * (maxLat - minLat) * 111320 * 111320 * Math.cos(minLat * Math.PI / 180);
+  } else {
+    stats.rectangles++;
+    stats.vertices += 4;
+    stats.footprintBytes += rectangleBytes;
+  }
+  stats.milliseconds += performance.now() - startTime;
 };
 
-// Process a batch of buildings
-export default ({ buildings, startIdx, minLon, maxLon, minLat, maxLat, cellWidth, cellHeight, cols, rows }) => {
-  const processedBuildings = [];
-
-  buildings.forEach((building, localIdx) => {
-    const i = startIdx + localIdx;
-    let minBuildingLon = 9999, minBuildingLat = 9999;
-    let maxBuildingLon = -999, maxBuildingLat = -999;
-
-    building.geometry.forEach((coord) => {
-      if (coord.lon < minBuildingLon) minBuildingLon = coord.lon;
-      if (coord.lat < minBuildingLat) minBuildingLat = coord.lat;
-      if (coord.lon > maxBuildingLon) maxBuildingLon = coord.lon;
-      if (coord.lat > maxBuildingLat) maxBuildingLat = coord.lat;
-    });
-
-    // Fast bbox center (good enough for grid cell assignment!)
-    const buildingCenter = [
-      (minBuildingLon + maxBuildingLon) / 2,
-      (minBuildingLat + maxBuildingLat) / 2
-    ];
-
-    const [lon, lat] = buildingCenter;
-    const xCell = Math.min(cols - 1, Math.max(0, Math.floor((lon - minLon) / cellWidth)));
-    const yCell = Math.min(rows - 1, Math.max(0, Math.floor((lat - minLat) / cellHeight)));
-
-    processedBuildings.push({
-      bbox: { minLon: minBuildingLon, minLat: minBuildingLat, maxLon: maxBuildingLon, maxLat: maxBuildingLat },
-      center: buildingCenter,
-      tags: building.tags || {},
-      id: i,
-      xCellCoord: xCell,
-      yCellCoord: yCell,
-    });
-  });
+// Lookup of the land use index the worker last saw (the index stays the same for a whole place)
+let landUseLookup = null;
+let landUseIndexId = null;
+
+const createLandUseStats = () => ({
+  generic: 0, residential: 0, mixed: 0, jobs: {},
+  residentsBefore: 0, residentsAfter: 0, jobsAfter: 0,
+});
+
+// Residents and jobs of a generic building from the landuse it sits in and the POIs inside it (see
+// land_use.js): jobs in job landuses, a mixed use split with POIs elsewhere, residential otherwise
+const applyLandUse = (summary, building, tags, coords, buildingArea, levelsTagged, levels, { setting }, density, stats) => {
+  const { squareFeetPerPopulation, squareFeetPerJob } = density;
+  const outlines = building.polygons ? building.polygons.map(([outer]) => outer) : [coords];
+  const containsPoint = (point) => outlines.some((outline) => ringContainsPoint(outline, point));
+  const { landuse, poiType: poiInside } = landUseLookup(summary.center, summary.bbox, containsPoint);
+  const poiType = poiTypeOf(setting, tags) || poiInside;
+  const jobType = squareFeetPerJob[poiType] ? poiType : null;
+  const homeType = squareFeetPerPopulation[landuse] ? landuse : tags.building;
+
+  let jobShare = 0;
+  let type = jobType;
+  if (squareFeetPerJob[landuse]) {
+    jobShare = 1;
+    type = jobType || landuse;
+  } else if (jobType) {
+    // Ground floor jobs, the floors above homes
+    jobShare = levelsTagged ? Math.min(1, 1 / levels) : setting.mixedJobShare;
+  }
+
+  stats.generic++;
+  stats.residentsBefore += Math.floor(buildingArea / squareFeetPerPopulation[tags.building]);
+  if (jobShare >= 1) {
+    stats.jobs[type] = (stats.jobs[type] || 0) + 1;
+  } else if (jobShare > 0) {
+    stats.mixed++;
+  } else {
+    stats.residential++;
+  }
 
-  return processedBuildings;
+  if (jobShare > 0) {
+    summary.approxJobs = Math.floor(buildingArea * jobShare / squareFeetPerJob[type]);
+    stats.jobsAfter += summary.approxJobs;
+  }
+  if (jobShare < 1) {
+    summary.approxPop = Math.floor(buildingArea * (1 - jobShare) / squareFeetPerPopulation[homeType]);
+    summary.floorArea = buildingArea * (1 - jobShare); // for spreading gridded population over buildings
+    stats.residentsAfter += summary.approxPop;
+  }
 };
 
-// Worker for calculating building populations/jobs
-export const calculateBuildingStats = ({ buildings }) => {
-  return buildings.map(building => {
-    if (!building.tags.building) return null;
+// Boil a raw building down to what processing needs, so the full geometry never has to stay in
+// memory: bbox, center, foundation depth and (for residential/commercial types) pop or jobs, plus the
+// floor area of residential buildings, and the simplified outline when footprints are on.
+// Floor area per resident/job comes from the place's density tables (see density_presets.js).
+const summarizeBuilding = (building, { density, footprints, footprintStats, foundationModel, foundationStats, landUse, landUseStats }) => {
+  const { squareFeetPerPopulation, squareFeetPerJob } = density;
+  const __coords = building.geometry.map((point) => [point.lon, point.lat]);
+  if (__coords.length === 0) return null;
+
+  // Fast bbox center (good enough for grid cell and neighborhood assignment!)
+  let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  for (const [lon, lat] of __coords) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
 
-    const __coords = building.geometry.map((point) => [point.lon, point.lat]);
-    if (__coords.length < 3) return null;
-    if (__coords[0][0] !== __coords[__coords.length - 1][0] || __coords[0][1] !== __coords[__coords.length - 1][1]) {
-      __coords.push(__coords[0]);
-    }
+  const tags = building.tags || {};
+  const summary = {
+    bbox: [minLon, minLat, maxLon, maxLat],
+    center: [(minLon + maxLon) / 2, (minLat + maxLat) / 2],
+    foundationDepth: tags['building:levels:underground'] ? Number(tags['building:levels:underground']) : 1,
+  };
+  if (foundationModel) {
+    // See foundation_depth.js, pending buildings get their depth from their neighbours later
+    const { depth, levels, className, source } = foundationModel(tags);
+    summary.foundationDepth = depth;
+    if (levels !== null) summary.levels = levels;
+    if (depth === null) summary.foundationClass = className;
+    foundationStats[source]++;
+  }
+  if (footprints) addFootprint(summary, building, __coords, footprints, footprintStats);
 
-    // Exact area for accurate population/jobs
-    const buildingAreaSqMeters = calculateArea(__coords);
-    let buildingAreaMultiplier = Math.max(Number(building.tags['building:levels']), 1);
-    if (isNaN(buildingAreaMultiplier)) buildingAreaMultiplier = 1;
-    const buildingArea = buildingAreaSqMeters * buildingAreaMultiplier * 10.7639;
-
-    // Fast bbox center (good enough for neighborhood assignment!)
-    let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
-    for (const [lon, lat] of __coords) {
-      if (lon < minLon) minLon = lon;
-      if (lon > maxLon) maxLon = lon;
-      if (lat < minLat) minLat = lat;
-      if (lat > maxLat) maxLat = lat;
-    }
-    const buildingCenter = [(minLon + maxLon) / 2, (minLat + maxLat) / 2];
-
-    if (squareFeetPerPopulation[building.tags.building]) {
-      const approxPop = Math.floor(buildingArea / squareFeetPerPopulation[building.tags.building]);
-      return {
-        ...building,
-        approxPop,
-        buildingCenter,
-      };
-    } else if (squareFeetPerJob[building.tags.building]) {
-      let approxJobs = Math.floor(buildingArea / squareFeetPerJob[building.tags.building]);
-      if (building.tags.aeroway && building.tags.aeroway == 'terminal') {
-        approxJobs *= 20;
-      }
-      return {
-        ...building,
-        approxJobs,
-        buildingCenter,
-      };
-    }
+  if (!tags.building || __coords.length < 3) return summary;
+  if (__coords[0][0] !== __coords[__coords.length - 1][0] || __coords[0][1] !== __coords[__coords.length - 1][1]) {
+    __coords.push(__coords[0]);
+  }
 
-    return null;
-  }).filter(b => b !== null);
+  // Exact area for accurate population/jobs
+  const buildingAreaSqMeters = calculateFootprintArea(building, __coords);
+  let buildingAreaMultiplier = Math.max(Number(tags['building:levels']), 1);
+  if (isNaN(buildingAreaMultiplier)) buildingAreaMultiplier = 1;
+  const buildingArea = buildingAreaSqMeters * buildingAreaMultiplier * 10.7639; // to square feet
+
+  if (landUse && landUse.setting.types.includes(tags.building) && squareFeetPerPopulation[tags.building]) {
+    applyLandUse(summary, building, tags, __coords, buildingArea, tags['building:levels'] !== undefined, buildingAreaMultiplier, landUse, density, landUseStats);
+  } else if (squareFeetPerPopulation[tags.building]) {
+    summary.approxPop = Math.floor(buildingArea / squareFeetPerPopulation[tags.building]);
+    summary.floorArea = buildingArea; // for spreading gridded population over buildings
+  } else if (squareFeetPerJob[tags.building]) {
+    summary.approxJobs = Math.floor(buildingArea / squareFeetPerJob[tags.building]);
+    if (tags.aeroway && tags.aeroway == 'terminal') {
+      summary.approxJobs *= 20;
+    }
+  }
+  return summary;
 };
 
+export default ({ buildings, density, footprints, foundations, landUse }) => {
+  if (landUse && landUse.index.id !== landUseIndexId) {
+    landUseLookup = createLandUseLookup(landUse.index);
+    landUseIndexId = landUse.index.id;
+  }
+  const context = {
+    density,
+    footprints,
+    footprintStats: footprints ? createFootprintStats() : null,
+    foundationModel: foundations ? createFoundationModel(foundations) : null,
+    foundationStats: foundations ? { tagged: 0, levels: 0, class: 0, pending: 0 } : null,
+    landUse,
+    landUseStats: landUse ? createLandUseStats() : null,
+  };
+  const summaries = buildings
+    .map((building) => summarizeBuilding(building, context))
+    .filter((summary) => summary !== null);
+  return { summaries, footprintStats: context.footprintStats, foundationStats: context.foundationStats, landUseStats: context.landUseStats };
+};
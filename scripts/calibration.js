@@ -0,0 +1,135 @@
+// Calibration of neighborhood residents and jobs to the place's known totals
+// The floor area tables can be far off for a city, so with place.calibration (or config.calibration)
+// residents are scaled to place.population and jobs to place.jobs. Every zone type (the neighborhood's
+// place=* value, 'terminal' for airport terminals, 'gtfs_hub' for GTFS hubs) is scaled on its own terms:
+//   'scale'  (default) shares one factor with the other scaled zone types
+//   'fixed'  keeps its processed totals, which are taken off the target first
+//   a number is that zone type's own target
+// given for both sides at once ("terminal": "fixed") or per side ("terminal": { "jobs": 20000 }).
+// Scaled values are rounded by largest remainder, so every target is met exactly.
+
+export const calibrationDefaults = {
+  residents: true, // scale residents to place.population
+  jobs: true, // scale jobs to place.jobs
+  zoneTypes: {},
+};
+
+const sides = [
+  { side: 'residents', field: 'totalPopulation', targetKey: 'population' },
+  { side: 'jobs', field: 'totalJobs', targetKey: 'jobs' },
+];
+
+const isRule = (rule) => rule === 'scale' || rule === 'fixed' || (typeof rule === 'number' && rule >= 0);
+
+// config.calibration with the place's own settings on top (true means the defaults), null when neither
+// has one (or the place turns it off with calibration: false). Zone types merge one by one.
+export const calibrationSetting = (globalSetting, placeSetting) => {
+  if (placeSetting === false || (!globalSetting && !placeSetting)) return null;
+  const layers = [globalSetting, placeSetting].filter((layer) => typeof layer === 'object');
+  const setting = { ...calibrationDefaults, zoneTypes: {} };
+  layers.forEach(({ zoneTypes, ...fields }) => {
+    Object.assign(setting, fields);
+    Object.assign(setting.zoneTypes, zoneTypes);
+  });
+
+  Object.entries(setting.zoneTypes).forEach(([zoneType, rule]) => {
+    const rules = typeof rule === 'object' && rule !== null ? rule : { residents: rule, jobs: rule };
+    sides.forEach(({ side }) => {
+      if (rules[side] !== undefined && !isRule(rules[side])) {
+        throw new Error(`calibration.zoneTypes.${zoneType} must be 'scale', 'fixed' or a target number >= 0 (got ${JSON.stringify(rules[side])})`);
+      }
+    });
+  });
+  return setting;
+};
+
+const ruleFor = (setting, zoneType, side) => {
+  const rule = setting.zoneTypes[zoneType];
+  if (rule === undefined) return 'scale';
+  if (typeof rule === 'object' && rule !== null) return rule[side] ?? 'scale';
+  return rule;
+};
+
+// Integers proportional to values that add up to exactly target (largest remainder rounding)
+const apportion = (values, target) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return values.map(() => 0);
+  const exact = values.map((value) => value * target / total);
+  const result = exact.map(Math.floor);
+  let remaining = target - result.reduce((sum, value) => sum + value, 0);
+  const order = exact.map((value, i) => i).sort((a, b) => (exact[b] - result[b]) - (exact[a] - result[a]) || a - b);
+  for (let k = 0; remaining > 0 && k < order.length; k++, remaining--) result[order[k]]++;
+  return result;
+};
+
+// Scales the totalPopulation/totalJobs of the neighborhood metadata in place. zoneTypeOf(placeID) names
+// the zone type, targets is { population, jobs } (either may be missing). Returns per side what was
+// done: { target, before, after, zoneTypes: [{ zoneType, rule, before, after, factor }], warnings },
+// or null for sides that are off or have no target, plus factorOf(side, zoneType).
+export const calibrateTotals = (metas, zoneTypeOf, targets, setting) => {
+  const factors = new Map();
+  const report = {};
+
+  sides.forEach(({ side, field, targetKey }) => {
+    const target = Number(targets[targetKey]);
+    if (!setting[side] || !(target >= 0)) {
+      report[side] = null;
+      return;
+    }
+
+    // Zones grouped by how they're scaled: fixed, the shared factor, or a zone type's own target
+    const groups = new Map();
+    const zoneTypes = new Map();
+    metas.forEach((meta) => {
+      const zoneType = zoneTypeOf(meta.placeID);
+      const rule = ruleFor(setting, zoneType, side);
+      const key = typeof rule === 'number' ? `target:${zoneType}` : rule;
+      if (!groups.has(key)) groups.set(key, { rule, metas: [], before: 0 });
+      groups.get(key).metas.push(meta);
+      groups.get(key).before += meta[field];
+      if (!zoneTypes.has(zoneType)) zoneTypes.set(zoneType, { zoneType, rule, before: 0, after: 0, group: key });
+      zoneTypes.get(zoneType).before += meta[field];
+    });
+
+    const warnings = [];
+    const before = metas.reduce((sum, meta) => sum + meta[field], 0);
+    const fixed = groups.get('fixed')?.before || 0;
+    const ownTargets = [...groups.values()].reduce((sum, { rule }) => sum + (typeof rule === 'number' ? Math.round(rule) : 0), 0);
+    const sharedTarget = Math.round(target) - fixed - ownTargets;
+    if (groups.has('scale') && sharedTarget < 0) {
+      warnings.push(`fixed and per-zone-type ${side} (${(fixed + ownTargets).toLocaleString()}) already exceed the target, the other zones get none`);
+    }
+    if (!groups.has('scale') && sharedTarget !== 0) {
+      warnings.push(`no zone types are scaled, ${side} end up ${(-sharedTarget).toLocaleString()} off the target`);
+    }
+
+    groups.forEach((group, key) => {
+      if (group.rule === 'fixed') {
+        factors.set(`${side}:${key}`, 1);
+        return;
+      }
+      const groupTarget = group.rule === 'scale' ? Math.max(0, sharedTarget) : Math.round(group.rule);
+      if (group.before === 0 && groupTarget > 0) {
+        warnings.push(`${key === 'scale' ? 'the scaled zone types have' : `${key.slice('target:'.length)} has`} no ${side} to scale, ${groupTarget.toLocaleString()} of the target can't be placed`);
+      }
+      const scaled = apportion(group.metas.map((meta) => meta[field]), groupTarget);
+      group.metas.forEach((meta, i) => { meta[field] = scaled[i]; });
+      factors.set(`${side}:${key}`, group.before > 0 ? groupTarget / group.before : 0);
+    });
+
+    metas.forEach((meta) => { zoneTypes.get(zoneTypeOf(meta.placeID)).after += meta[field]; });
+    report[side] = {
+      target: Math.round(target),
+      before,
+      after: metas.reduce((sum, meta) => sum + meta[field], 0),
+      zoneTypes: [...zoneTypes.values()].map(({ group, ...zone }) => ({ ...zone, factor: factors.get(`${side}:${group}`) })),
+      warnings,
+    };
+  });
+
+  const factorOf = (side, zoneType) => {
+    const rule = ruleFor(setting, zoneType, side);
+    return factors.get(`${side}:${typeof rule === 'number' ? `target:${zoneType}` : rule}`) ?? 1;
+  };
+  return { ...report, factorOf };
+};
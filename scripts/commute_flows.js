@@ -0,0 +1,125 @@
+// Observed commute flows from origin-destination tables
+// The modeled demand sends every neighborhood's residents to jobs in proportion to each neighborhood's
+// share of all jobs. With an OD table (LEHD LODES for US cities, or anything shaped like it) the real
+// home -> work flows between census zones are used instead: every zone is placed by its coordinates,
+// mapped onto the neighborhood covering that spot, and the flows are summed per neighborhood pair.
+//   od    - OD CSV(s), optionally gzipped: one row per home zone/work zone pair with a count
+//   zones - zone locations: a CSV with id/lat/lon columns (the LODES crosswalk works as is) or a
+//           GeoJSON FeatureCollection of zone shapes (placed at the center of their bbox)
+import fs from 'fs';
+import { readDatasetItems } from './dataset_files.js';
+import { readCsv } from './csv_file.js';
+
+// LODES names first, then the usual generic ones
+const defaults = {
+  originColumn: 'h_geocode',
+  destinationColumn: 'w_geocode',
+  countColumn: 'S000',
+  zoneIdColumns: ['tabblk2020', 'tabblk2010', 'geoid20', 'geoid10', 'geoid', 'id', 'zone'],
+  latColumns: ['blklatdd', 'lat', 'latitude', 'y'],
+  lonColumns: ['blklondd', 'lon', 'lng', 'longitude', 'x'],
+  zoneIdProperties: ['GEOID20', 'GEOID10', 'GEOID', 'id', 'zone'],
+};
+
+const columnIndex = (header, names, filePath) => {
+  const index = header.findIndex((field) => names.map((name) => name.toLowerCase()).includes(field));
+  if (index === -1) throw new Error(`${filePath} has none of the columns ${names.join(', ')}`);
+  return index;
+};
+
+const insideBbox = ([minLon, minLat, maxLon, maxLat], lon, lat) => lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+
+// Zone id -> neighborhood id, for the zones inside the bbox that land in a neighborhood
+const loadZones = async (setting, bbox, neighborhoodAt, stats) => {
+  const zoneNeighborhoods = new Map();
+  const place = (id, lon, lat) => {
+    if (!insideBbox(bbox, lon, lat)) return;
+    stats.zones++;
+    const neighborhood = neighborhoodAt(lon, lat);
+    if (neighborhood) zoneNeighborhoods.set(id, neighborhood);
+  };
+
+  if (/\.geojson$/i.test(setting.zones) || /\.json$/i.test(setting.zones)) {
+    const idProperties = setting.zoneIdProperty ? [setting.zoneIdProperty] : defaults.zoneIdProperties;
+    for await (const feature of readDatasetItems(setting.zones, 'geojson')) {
+      const key = idProperties.find((property) => feature.properties?.[property] !== undefined);
+      if (!key || !feature.geometry) continue;
+
+      let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+      const visit = (coordinates) => {
+        if (typeof coordinates[0] !== 'number') return coordinates.forEach(visit);
+        const [lon, lat] = coordinates;
+        if (lon < minLon) minLon = lon;
+        if (lon > maxLon) maxLon = lon;
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+      };
+      visit(feature.geometry.coordinates);
+      place(String(feature.properties[key]), (minLon + maxLon) / 2, (minLat + maxLat) / 2);
+    }
+    return zoneNeighborhoods;
+  }
+
+  let columns = null;
+  for await (const { header, fields } of readCsv(setting.zones)) {
+    if (!columns) {
+      columns = {
+        id: columnIndex(header, setting.zoneIdColumn ? [setting.zoneIdColumn] : defaults.zoneIdColumns, setting.zones),
+        lat: columnIndex(header, setting.latColumn ? [setting.latColumn] : defaults.latColumns, setting.zones),
+        lon: columnIndex(header, setting.lonColumn ? [setting.lonColumn] : defaults.lonColumns, setting.zones),
+      };
+    }
+    const lat = Number(fields[columns.lat]);
+    const lon = Number(fields[columns.lon]);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) place(fields[columns.id].trim(), lon, lat);
+  }
+  return zoneNeighborhoods;
+};
+
+// place.commuteFlows (or config.commuteFlows) summed per neighborhood pair:
+// { flows: Map(residenceId -> Map(jobId -> commuters)), stats }, or null without a setting.
+// neighborhoodAt(lon, lat) returns the id of the neighborhood covering a point (or null).
+export const loadCommuteFlows = async (setting, bbox, neighborhoodAt) => {
+  if (!setting) return null;
+  if (!setting.od || !setting.zones) throw new Error('commuteFlows needs both an od file and a zones file');
+  const odFiles = Array.isArray(setting.od) ? setting.od : [setting.od];
+  [setting.zones, ...odFiles].forEach((filePath) => {
+    if (!fs.existsSync(filePath)) throw new Error(`Commute flow file not found: ${filePath}`);
+  });
+
+  const stats = { zones: 0, mappedZones: 0, rows: 0, commuters: 0, outside: 0 };
+  const zoneNeighborhoods = await loadZones(setting, bbox, neighborhoodAt, stats);
+  stats.mappedZones = zoneNeighborhoods.size;
+
+  const flows = new Map();
+  for (const odFile of odFiles) {
+    let columns = null;
+    for await (const { header, fields } of readCsv(odFile)) {
+      if (!columns) {
+        columns = {
+          origin: columnIndex(header, [setting.originColumn || defaults.originColumn], odFile),
+          destination: columnIndex(header, [setting.destinationColumn || defaults.destinationColumn], odFile),
+          count: columnIndex(header, [setting.countColumn || defaults.countColumn], odFile),
+        };
+      }
+      stats.rows++;
+
+      const count = Number(fields[columns.count]);
+      if (!(count > 0)) continue;
+      const residenceId = zoneNeighborhoods.get(fields[columns.origin].trim());
+      const jobId = zoneNeighborhoods.get(fields[columns.destination].trim());
+
+      // Commutes starting or ending outside the place can't be part of its demand
+      if (!residenceId || !jobId) {
+        stats.outside += count;
+        continue;
+      }
+      if (!flows.has(residenceId)) flows.set(residenceId, new Map());
+      const destinations = flows.get(residenceId);
+      destinations.set(jobId, (destinations.get(jobId) || 0) + count);
+      stats.commuters += count;
+    }
+  }
+
+  return { flows, stats };
+};
@@ -0,0 +1,56 @@
+// Streaming CSV reading for the tabular inputs (commute flows, GTFS feeds)
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+
+// Fields of one CSV line, quoted fields may contain commas ("Autauga County, AL")
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// Rows of a CSV stream with a header, as arrays of fields plus the lowercase header
+export async function* readCsvStream(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let header = null;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const fields = splitCsvLine(line);
+    if (!header) {
+      // Excel and many GTFS exporters start the file with a byte order mark
+      header = fields.map((field) => field.replace(/^\uFEFF/, '').trim().toLowerCase());
+      continue;
+    }
+    yield { header, fields };
+  }
+}
+
+// Same for a file on disk, gunzipped on the fly when it ends in .gz
+export const readCsv = (filePath) => {
+  const input = fs.createReadStream(filePath);
+  return readCsvStream(/\.gz$/i.test(filePath) ? input.pipe(zlib.createGunzip()) : input);
+};
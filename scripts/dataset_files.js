@@ -0,0 +1,106 @@
+// Streaming readers and writers for raw dataset files
+// Downloads append items as each tile arrives and processing reads them back one at a time, so
+// neither side ever holds a whole city in memory:
+//   msgpack - a sequence of MessagePack values, one per element (files written as a single array
+//             by older versions are read too)
+//   geojson - a FeatureCollection, written feature by feature
+//   json    - a JSON array, written item by item
+import fs from 'fs';
+import { encode as msgpackEncode, decodeMultiStream } from '@msgpack/msgpack';
+import pkg from 'stream-chain';
+import Pick from 'stream-json/filters/Pick.js';
+import StreamArray from 'stream-json/streamers/StreamArray.js';
+const { chain } = pkg;
+
+const wrappers = {
+  geojson: { open: '{"type":"FeatureCollection","features":[', close: ']}' },
+  json: { open: '[', close: ']' },
+};
+
+// Items go to <file>.tmp, which only replaces the real file on close. A crashed download keeps the
+// previous file, and a refresh can stream the previous file while writing the new one.
+export const createDatasetWriter = (filePath, output) => {
+  const tmpPath = `${filePath}.tmp`;
+  const stream = fs.createWriteStream(tmpPath, { highWaterMark: 1024 * 1024 }); // 1MB buffer
+  const wrapper = wrappers[output];
+  let count = 0;
+  let failure = null;
+  stream.on('error', (error) => {
+    failure = error;
+  });
+
+  // Respect backpressure so a fast download can't queue up the whole city in the stream buffer
+  const writeChunk = (chunk) => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    if (stream.write(chunk)) return resolve();
+    stream.once('drain', resolve);
+  });
+
+  if (wrapper) stream.write(wrapper.open);
+
+  return {
+    async write(item) {
+      if (output === 'msgpack') {
+        await writeChunk(msgpackEncode(item));
+      } else {
+        await writeChunk((count > 0 ? ',' : '') + JSON.stringify(item));
+      }
+      count++;
+    },
+
+    async close() {
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(wrapper ? wrapper.close : undefined, resolve);
+      });
+      if (failure) throw failure;
+      fs.renameSync(tmpPath, filePath);
+    },
+
+    // Throw away a half-written file, the previous one stays untouched
+    abort() {
+      stream.destroy();
+      fs.rmSync(tmpPath, { force: true });
+    },
+
+    get count() {
+      return count;
+    },
+  };
+};
+
+// Async iterator over the items of a dataset file
+export async function* readDatasetItems(filePath, output) {
+  if (output === 'msgpack') {
+    for await (const value of decodeMultiStream(fs.createReadStream(filePath))) {
+      if (Array.isArray(value)) {
+        yield* value;
+      } else {
+        yield value;
+      }
+    }
+    return;
+  }
+
+  const pipeline = chain([
+    fs.createReadStream(filePath),
+    output === 'geojson' ? Pick.withParser({ filter: 'features' }) : StreamArray.withParser(),
+    ...(output === 'geojson' ? [StreamArray.streamArray()] : []),
+  ]);
+  for await (const { value } of pipeline) {
+    yield value;
+  }
+}
+
+// Items read in chunks of `size`, for handing batches to worker threads
+export async function* readDatasetChunks(filePath, output, size) {
+  let chunk = [];
+  for await (const item of readDatasetItems(filePath, output)) {
+    chunk.push(item);
+    if (chunk.length >= size) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) yield chunk;
+}
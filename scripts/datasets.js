@@ -0,0 +1,350 @@
+// Dataset registry
+// Every dataset download_data.js fetches is declared here:
+//   name        - file name in raw_data/<code>/ (and journal folder)
+//   label       - shown in progress bars and the summary
+//   filters     - Overpass filters, each one gets the tile's bbox appended: way["building"](s,w,n,e);
+//   tileSize    - tile edge in degrees when the area has to be split
+//   output      - 'geojson', 'msgpack' or 'json'
+//   transform   - (element, context) => item to write (a feature for geojson), or null to skip it.
+//                 Called for every element as its tile arrives, so whole datasets never sit in memory
+//   keyOf       - OSM key of a written item, used by --refresh to merge changes (needed with a custom transform)
+// Extra datasets can be declared in config.js under `datasets` and get the same tiling, retries,
+// journal, refresh and progress machinery as the built-in ones.
+import config from '../config.js';
+import perfConfig from '../performance_config.js';
+import { assembleBuildingRelation, assembleMultipolygon } from './multipolygon.js';
+import { elementKey, roadFeatureKey } from './snapshot_refresh.js';
+import { resolveName, isFallback } from './place_names.js';
+import { landUseSetting, landUseValues } from './land_use.js';
+import { getPlaceBbox } from './place_boundary.js';
+
+const outputExtensions = { geojson: 'geojson', msgpack: 'msgpack', json: 'json' };
+
+// ==================== Roads ====================
+
+// OSM highway=* value -> roadClass. Ramps (motorway_link etc.) get their parent's class unless
+// mapped themselves. config.js can override entries with `roadClasses`, at the top level or per
+// place (a place's entries win), and map a value to null to drop it.
+const defaultRoadClasses = {
+  motorway: 'highway',
+  trunk: 'major',
+  primary: 'major',
+  secondary: 'minor',
+  tertiary: 'minor',
+  residential: 'minor',
+  unclassified: 'minor',
+  living_street: 'minor',
+};
+
+const roadClassesFor = (place) => ({ ...defaultRoadClasses, ...config.roadClasses, ...place?.roadClasses });
+
+// Merged once per place, roads are transformed one at a time
+const roadClassCache = new Map();
+const cachedRoadClasses = (place) => {
+  if (!roadClassCache.has(place)) roadClassCache.set(place, roadClassesFor(place));
+  return roadClassCache.get(place);
+};
+
+const roadClassOf = (roadClasses, highway) => {
+  if (highway in roadClasses) return roadClasses[highway];
+  if (highway.endsWith('_link')) return roadClasses[highway.slice(0, -'_link'.length)];
+  return undefined;
+};
+
+// Every highway value some place keeps (plus its ramps), so one download covers all mappings
+const roadHighwayValues = () => {
+  const values = new Set();
+  [undefined, ...config.places].forEach((place) => {
+    Object.entries(roadClassesFor(place)).forEach(([highway, roadClass]) => {
+      if (roadClass) values.add(highway.replace(/_link$/, ''));
+    });
+  });
+  return [...values].sort();
+};
+
+const isSet = (value) => value !== undefined && value !== 'no';
+
+// bridge/tunnel tags first, covered roads (under buildings, galleries) count as tunnels, and
+// a bare layer is the last hint for viaducts and underpasses nobody tagged
+const getStructure = (tags) => {
+  if (isSet(tags.tunnel) || isSet(tags.covered)) return 'tunnel';
+  if (isSet(tags.bridge)) return 'bridge';
+  if (tags.bridge || tags.tunnel || tags.covered) return 'normal'; // explicitly tagged =no
+  const layer = parseInt(tags.layer, 10);
+  if (layer > 0) return 'bridge';
+  if (layer < 0) return 'tunnel';
+  return 'normal';
+};
+
+const roadFeature = (element, place) => {
+  const roadClass = roadClassOf(cachedRoadClasses(place), element.tags.highway);
+  if (!roadClass) return null;
+
+  const name = resolveName(element.tags, { allowRef: true });
+  return {
+    "type": "Feature",
+    "id": element.id, // OSM way id, lets --refresh merge changes into roads.geojson
+    "properties": {
+      roadClass,
+      structure: getStructure(element.tags),
+      name: name.name,
+      // where the name came from when none of the locales had one, for process_data's missing names report
+      ...(isFallback(name) ? { nameFallback: name.source } : {}),
+    },
+    "geometry": {
+      "coordinates": element.geometry.map((coord) => [coord.lon, coord.lat]),
+      "type": "LineString"
+    }
+  };
+};
+
+// ==================== Generic GeoJSON ====================
+
+const toLonLat = (geometry) => geometry.filter((point) => point).map((point) => [point.lon, point.lat]);
+
+// Default transform for user datasets with geojson output: tags become properties,
+// closed ways become polygons, multipolygon relations are assembled like buildings
+const elementToGeometry = (element) => {
+  if (element.type === 'node') {
+    return { type: 'Point', coordinates: [element.lon, element.lat] };
+  }
+  if (element.type === 'way' && element.geometry) {
+    const coordinates = toLonLat(element.geometry);
+    const [first, last] = [coordinates[0], coordinates[coordinates.length - 1]];
+    const closed = coordinates.length >= 4 && first[0] === last[0] && first[1] === last[1];
+    return closed ? { type: 'Polygon', coordinates: [coordinates] } : { type: 'LineString', coordinates };
+  }
+  if (element.type === 'relation' && element.members) {
+    const polygons = element.tags?.type === 'multipolygon' ? assembleMultipolygon(element) : null;
+    if (polygons) return { type: 'MultiPolygon', coordinates: polygons };
+    const lines = element.members.filter((member) => member.geometry).map((member) => toLonLat(member.geometry));
+    return lines.length > 0 ? { type: 'MultiLineString', coordinates: lines } : null;
+  }
+  return null;
+};
+
+export const elementToFeature = (element) => {
+  const geometry = elementToGeometry(element);
+  return geometry ? { type: 'Feature', id: elementKey(element), properties: element.tags || {}, geometry } : null;
+};
+
+// ==================== Transit ====================
+
+// Route relations arrive with the geometry of every member, which for a national train line is
+// thousands of kilometres nowhere near the place. Only the members reaching into the place's bbox
+// are kept (whole, so lines still run up to the edge), routes with none of them are dropped.
+const placeBboxCache = new Map();
+const cachedPlaceBbox = (place) => {
+  if (!placeBboxCache.has(place)) placeBboxCache.set(place, getPlaceBbox(place));
+  return placeBboxCache.get(place);
+};
+
+export const transitElement = (element, context) => {
+  if (element.type !== 'relation' || !context?.place) return element;
+  const [minLon, minLat, maxLon, maxLat] = cachedPlaceBbox(context.place);
+  const inBbox = (point) => point && point.lat >= minLat && point.lat <= maxLat && point.lon >= minLon && point.lon <= maxLon;
+
+  const members = element.members.filter((member) => (member.geometry ? member.geometry.some(inBbox) : inBbox(member)));
+  return members.length > 0 ? { ...element, members } : null;
+};
+
+// ==================== Land use ====================
+
+// Landuse areas as their polygons and landuse tag only, POIs as their position and the tags that
+// classify them (see land_use.js)
+const landUseElement = (element) => {
+  let polygons = null;
+  if (element.type === 'way' && element.geometry) {
+    const ring = toLonLat(element.geometry);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length >= 4 && first[0] === last[0] && first[1] === last[1]) polygons = [[ring]];
+  } else if (element.type === 'relation') {
+    polygons = assembleMultipolygon(element);
+  }
+  return polygons ? { type: element.type, id: element.id, tags: { landuse: element.tags.landuse }, polygons } : null;
+};
+
+const poiKeys = ['amenity', 'shop', 'office'];
+const poiElement = (element) => ({
+  type: 'node',
+  id: element.id,
+  lat: element.lat,
+  lon: element.lon,
+  tags: Object.fromEntries(poiKeys.filter((key) => element.tags[key] !== undefined).map((key) => [key, element.tags[key]])),
+});
+
+// ==================== Registry ====================
+
+export const builtinDatasets = [
+  {
+    name: 'roads',
+    label: 'Roads',
+    filters: [`way["highway"~"^(${roadHighwayValues().join('|')})(_link)?$"]`],
+    tileSize: perfConfig.overpassTileSize.roads,
+    output: 'geojson',
+    transform: (element, context) => roadFeature(element, context.place),
+    keyOf: roadFeatureKey,
+  },
+  {
+    name: 'buildings',
+    label: 'Buildings',
+    filters: ['way["building"]', 'relation["building"]["type"="multipolygon"]'],
+    tileSize: perfConfig.overpassTileSize.buildings,
+    output: 'msgpack',
+    // Building relations arrive as member ways, turn them into polygons (with their courtyards as holes)
+    transform: (element, context) => {
+      if (element.type !== 'relation' || element.polygons) return element;
+      const building = assembleBuildingRelation(element);
+      context.relationBuildings = context.relationBuildings || { recovered: 0, unassembled: 0 };
+      context.relationBuildings[building ? 'recovered' : 'unassembled']++;
+      return building;
+    },
+    keyOf: elementKey,
+  },
+  {
+    name: 'places',
+    label: 'Places',
+    filters: [
+      ...['neighbourhood', 'quarter', 'suburb', 'hamlet', 'village'].map((type) => `nwr["place"="${type}"]`),
+      'nwr["aeroway"="terminal"]',
+    ],
+    tileSize: perfConfig.overpassTileSize.places,
+    output: 'msgpack',
+    transform: (element) => element,
+    keyOf: elementKey,
+  },
+  {
+    name: 'transit',
+    label: 'Transit',
+    // Existing rail network, turned into the transit reference layer by process_data.js
+    filters: [
+      'way["railway"~"^(subway|light_rail|rail)$"]',
+      'relation["route"~"^(subway|light_rail|train)$"]',
+      'node["railway"~"^(station|halt)$"]',
+    ],
+    tileSize: perfConfig.overpassTileSize.transit,
+    output: 'msgpack',
+    transform: transitElement,
+    keyOf: elementKey,
+  },
+];
+
+// Land use areas and POIs, only downloaded for places with land use on (values from landUseValues())
+const landUseDatasets = (values) => [
+  {
+    name: 'landuse',
+    label: 'Land use',
+    // Areas that tell what generic building=yes buildings are used for
+    filters: [
+      `way["landuse"~"^(${values.landuse.join('|')})$"]`,
+      `relation["landuse"~"^(${values.landuse.join('|')})$"]["type"="multipolygon"]`,
+    ],
+    tileSize: perfConfig.overpassTileSize.landuse,
+    output: 'msgpack',
+    transform: landUseElement,
+    keyOf: elementKey,
+    appliesTo: (place) => landUseSetting(place) !== null,
+  },
+  {
+    name: 'pois',
+    label: 'POIs',
+    filters: [
+      `node["amenity"~"^(${values.amenity.join('|')})$"]`,
+      'node["shop"]',
+      'node["office"]',
+    ],
+    tileSize: perfConfig.overpassTileSize.pois,
+    output: 'msgpack',
+    transform: poiElement,
+    keyOf: elementKey,
+    appliesTo: (place) => landUseSetting(place) !== null,
+  },
+];
+
+// Fill in defaults for a dataset declared in config.js and catch mistakes before any download starts
+const normalizeUserDataset = (dataset, takenNames) => {
+  const where = `Dataset "${dataset.name}" in config.js`;
+  if (!dataset.name || !/^[a-z0-9_-]+$/i.test(dataset.name)) {
+    throw new Error(`Datasets in config.js need a name made of letters, digits, - or _ (got "${dataset.name}")`);
+  }
+  if (takenNames.has(dataset.name)) {
+    throw new Error(`${where} uses a name that is already taken`);
+  }
+  if (!Array.isArray(dataset.filters) || dataset.filters.length === 0) {
+    throw new Error(`${where} needs at least one Overpass filter, e.g. filters: ['way["railway"="rail"]']`);
+  }
+
+  if (dataset.postProcess) {
+    throw new Error(`${where} uses postProcess, which was replaced by transform: (element, context) => item (called once per element)`);
+  }
+
+  const output = dataset.output || 'geojson';
+  if (!outputExtensions[output]) {
+    throw new Error(`${where} has unknown output "${output}" (expected geojson, msgpack or json)`);
+  }
+
+  return {
+    label: dataset.name.charAt(0).toUpperCase() + dataset.name.slice(1),
+    tileSize: 1.0,
+    ...dataset,
+    output,
+    transform: dataset.transform || (output === 'geojson' ? elementToFeature : (element) => element),
+    // Without a custom transform we know what the keys look like, otherwise the dataset has to say
+    keyOf: dataset.keyOf || (dataset.transform ? null : output === 'geojson' ? (feature) => feature.id : elementKey),
+  };
+};
+
+// Built-in datasets (land use ones when some place has it on) followed by the ones from config.js
+export const getDatasets = () => {
+  const values = landUseValues();
+  const datasets = [...builtinDatasets, ...(values ? landUseDatasets(values) : [])];
+  const takenNames = new Set(datasets.map((dataset) => dataset.name));
+  (config.datasets || []).forEach((dataset) => {
+    datasets.push(normalizeUserDataset(dataset, takenNames));
+    takenNames.add(dataset.name);
+  });
+  return datasets;
+};
+
+// The datasets a place downloads, leaving out the ones that don't apply to it
+export const datasetsForPlace = (datasets, place) => datasets.filter((dataset) => !dataset.appliesTo || dataset.appliesTo(place));
+
+export const datasetFile = (dataset) => `${dataset.name}.${outputExtensions[dataset.output]}`;
+
+// ==================== Filters for local extracts ====================
+
+const filterTypes = {
+  node: ['node'],
+  way: ['way'],
+  relation: ['relation'],
+  nwr: ['node', 'way', 'relation'],
+};
+
+// Evaluate the common subset of Overpass filter syntax against an entity's tags, so local
+// extracts select exactly what the Overpass queries would: type followed by ["key"],
+// ["key"="value"], ["key"!="value"], ["key"~"regex"] or ["key"!~"regex"] conditions
+const compileFilter = (filter) => {
+  const match = filter.match(/^(node|way|relation|nwr)((?:\[[^\]]*\])*)$/);
+  if (!match) throw new Error(`Filter ${filter} isn't supported for .osm.pbf/.osm extracts`);
+
+  const conditions = [...match[2].matchAll(/\[([^\]]*)\]/g)].map(([, body]) => {
+    const condition = body.match(/^"([^"]+)"(?:\s*(=|!=|~|!~)\s*"([^"]*)")?$/);
+    if (!condition) throw new Error(`Filter ${filter} isn't supported for .osm.pbf/.osm extracts`);
+    const [, key, operator, value] = condition;
+    const pattern = operator === '~' || operator === '!~' ? new RegExp(value) : null;
+
+    if (!operator) return (tags) => tags[key] !== undefined;
+    if (operator === '=') return (tags) => tags[key] === value;
+    if (operator === '!=') return (tags) => tags[key] !== value;
+    if (operator === '~') return (tags) => tags[key] !== undefined && pattern.test(tags[key]);
+    return (tags) => tags[key] === undefined || !pattern.test(tags[key]);
+  });
+
+  return { types: filterTypes[match[1]], test: (tags) => conditions.every((condition) => condition(tags)) };
+};
+
+// (type, tags) => whether any of the dataset's filters selects the entity
+export const compileDatasetMatcher = (dataset) => {
+  const filters = dataset.filters.map(compileFilter);
+  return (type, tags) => filters.some((filter) => filter.types.includes(type) && filter.test(tags));
+};
@@ -1,4 +1,7 @@
 // Worker for parallel demand calculation
+import { createImpedance, rowStep } from './gravity_model.js';
+import { createRouter } from './road_graph.js';
+
 const calculateDistance = (coord1, coord2) => {
   const [lon1, lat1] = coord1;
   const [lon2, lat2] = coord2;
@@ -12,6 +15,31 @@ const calculateDistance = (coord1, coord2) => {
   return R * c;
 };
 
+// One flow becomes connections of at most 400 people each, sized as evenly as possible (the first
+// pieces take one more person each) so they add up to exactly totalSize
+const splitConnection = (residenceId, jobId, totalSize, centersOfNeighborhoods) => {
+  const connectionDistance = calculateDistance(
+    centersOfNeighborhoods[residenceId],
+    centersOfNeighborhoods[jobId]
+  );
+  const connectionSeconds = connectionDistance * 0.12;
+
+  const connections = [];
+  const splits = Math.ceil(totalSize / 400);
+  const size = Math.floor(totalSize / splits);
+  const remainder = totalSize - size * splits;
+  for (let k = 0; k < splits; k++) {
+    connections.push({
+      residenceId,
+      jobId,
+      size: size + (k < remainder ? 1 : 0),
+      drivingDistance: Math.round(connectionDistance),
+      drivingSeconds: Math.round(connectionSeconds),
+    });
+  }
+  return connections;
+};
+
 // Calculate connections for a batch of origin places
 export default ({ originPlaces, allPlaces, centersOfNeighborhoods }) => {
   const connections = [];
@@ -29,25 +57,11 @@ export default ({ originPlaces, allPlaces, centersOfNeighborhoods }) => {
         return; // Skip only very small connections
       }
 
-      const connectionDistance = calculateDistance(
-        centersOfNeighborhoods[outerPlace.placeID],
-        centersOfNeighborhoods[innerPlace.placeID]
-      );
-      const connectionSeconds = connectionDistance * 0.12;
-
       let totalSize = Math.round(connectionSizeBasedOnJobsPercent);
       totalAssigned += totalSize;
-      let splits = Math.ceil(totalSize / 400);
-
-      for (let k = 0; k < splits; k++) {
-        tempConnections.push({
-          residenceId: outerPlace.placeID,
-          jobId: innerPlace.placeID,
-          size: Math.round(totalSize / splits),
-          drivingDistance: Math.round(connectionDistance),
-          drivingSeconds: Math.round(connectionSeconds),
-        });
-      }
+      splitConnection(outerPlace.placeID, innerPlace.placeID, totalSize, centersOfNeighborhoods).forEach((connection) => {
+        tempConnections.push(connection);
+      });
     });
     
     // Redistribute any lost population to preserve totals
@@ -71,3 +85,105 @@ export default ({ originPlaces, allPlaces, centersOfNeighborhoods }) => {
   return connections;
 };
 
+// Connections for observed commute flows (see commute_flows.js): flows is [residenceId, [[jobId, commuters], ...]]
+// per origin, scale turns commuters into trips (e.g. to account for non-work travel)
+export const flowConnections = ({ flows, centersOfNeighborhoods, scale = 1 }) => {
+  const connections = [];
+
+  flows.forEach(([residenceId, destinations]) => {
+    destinations.forEach(([jobId, commuters]) => {
+      const totalSize = Math.round(commuters * scale);
+      if (totalSize < 1) return;
+      const split = splitConnection(residenceId, jobId, totalSize, centersOfNeighborhoods);
+      for (let j = 0; j < split.length; j++) {
+        connections.push(split[j]);
+      }
+    });
+  });
+
+  return connections;
+};
+
+// Gravity model (see gravity_model.js): distance-decay weights from one origin to every destination
+// within maxTripLength, recomputed whenever they're needed instead of being kept for every origin.
+// destinations is a flat [lon, lat, lon, lat, ...] array.
+const reachableWeights = (origin, destinations, impedance, latReach) => {
+  const columns = [];
+  const weights = [];
+  for (let j = 0; j < destinations.length / 2; j++) {
+    const lat = destinations[j * 2 + 1];
+    if (Math.abs(lat - origin[1]) > latReach) continue;
+    const weight = impedance(calculateDistance(origin, [destinations[j * 2], lat]) / 1000);
+    if (weight > 0) {
+      columns.push(j);
+      weights.push(weight);
+    }
+  }
+  return { columns, weights };
+};
+
+// Gravity model, balancing: one row step over a batch of origins ({ center, totalPopulation }) at the
+// current column factors. Returns their row factors and their part of the column sums.
+export const gravitySweep = ({ origins, destinations, setting, columnFactors }) => {
+  const impedance = createImpedance(setting);
+  const latReach = setting.maxTripLength / 111.32; // degrees of latitude no trip can exceed
+  const columnSums = new Float64Array(columnFactors.length);
+
+  const rowFactors = Float64Array.from(origins, ({ center, totalPopulation }) => {
+    const { columns, weights } = reachableWeights(center, destinations, impedance, latReach);
+    return rowStep(columns, weights, totalPopulation, columnFactors, columnSums);
+  });
+  return { rowFactors, columnSums };
+};
+
+// Gravity model, connections: the balanced flows of a batch of origins. Flows are rounded by largest
+// remainder, so every origin still sends exactly its residents.
+export const gravityConnections = ({ origins, destinations, setting, columnFactors, destinationIds, centersOfNeighborhoods }) => {
+  const impedance = createImpedance(setting);
+  const latReach = setting.maxTripLength / 111.32;
+  const connections = [];
+
+  origins.forEach(({ placeID, center, totalPopulation, rowFactor }) => {
+    if (rowFactor === 0) return;
+    const { columns, weights } = reachableWeights(center, destinations, impedance, latReach);
+    const sizes = new Float64Array(columns.length);
+    let assigned = 0;
+    for (let k = 0; k < columns.length; k++) {
+      const flow = rowFactor * weights[k] * columnFactors[columns[k]];
+      sizes[k] = Math.floor(flow);
+      assigned += sizes[k];
+      weights[k] = flow - sizes[k]; // reused for the remainders
+    }
+
+    const order = Array.from(columns.keys()).sort((a, b) => weights[b] - weights[a]);
+    for (let k = 0; k < order.length && assigned < totalPopulation; k++) {
+      sizes[order[k]]++;
+      assigned++;
+    }
+
+    for (let k = 0; k < columns.length; k++) {
+      if (sizes[k] < 1) continue;
+      const split = splitConnection(placeID, destinationIds[columns[k]], sizes[k], centersOfNeighborhoods);
+      for (let j = 0; j < split.length; j++) {
+        connections.push(split[j]);
+      }
+    }
+  });
+
+  return connections;
+};
+
+// Road network routing (see road_graph.js). The graph sits in shared memory; the router and its per-node
+// arrays are kept between tasks for as long as the same graph comes in.
+let router = null;
+let routerGraphId = null;
+
+// Fastest road paths for a batch of origins: requests is [[sourceNode, [targetNode, ...]], ...],
+// every result holds meters and seconds per target (NaN where the network doesn't connect them)
+export const routeDistances = ({ graph, requests }) => {
+  if (routerGraphId !== graph.id) {
+    router = createRouter(graph);
+    routerGraphId = graph.id;
+  }
+  return requests.map(([source, targetNodes]) => router(source, targetNodes));
+};
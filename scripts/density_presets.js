@@ -0,0 +1,86 @@
+// Floor area per resident and per job, by building type
+// The tables turn a building's floor area (footprint × levels, in square feet) into residents or jobs.
+// north-america is the original set of US floor-space norms, the other presets change the entries that
+// differ in their region and keep the rest. config.js picks a preset with `density` at the top level or
+// per place, and can override single entries:
+//   "density": "east-asia-dense"
+//   "density": { "preset": "europe", "squareFeetPerPopulation": { "apartments": 300 } }
+// The tables are resolved once per place on the main thread and handed to the building workers.
+
+const northAmerica = {
+  squareFeetPerPopulation: {
+    yes: 600, apartments: 240, barracks: 100, bungalow: 600, cabin: 600,
+    detached: 600, annexe: 240, dormitory: 125, farm: 600, ger: 240,
+    hotel: 240, house: 600, houseboat: 600, residential: 600, semidetached_house: 400,
+    static_caravan: 500, stilt_house: 600, terrace: 500, tree_house: 240, trullo: 240,
+  },
+  squareFeetPerJob: {
+    commercial: 150, industrial: 500, kiosk: 50, office: 150, retail: 300,
+    supermarket: 300, warehouse: 500, religious: 100, cathedral: 100, chapel: 100,
+    church: 100, kingdom_hall: 100, monastery: 100, mosque: 100, presbytery: 100,
+    shrine: 100, synagogue: 100, temple: 100, bakehouse: 300, college: 250,
+    fire_station: 500, government: 150, gatehouse: 150, hospital: 150, kindergarten: 100,
+    museum: 300, public: 300, school: 100, train_station: 1000, transportation: 1000,
+    university: 250, grandstand: 150, pavilion: 150, riding_hall: 150, sports_hall: 150,
+    sports_centre: 150, stadium: 150,
+  },
+};
+
+// Entries that differ from north-america
+const regionalChanges = {
+  // Small flats in high-rise blocks (Hong Kong, Tokyo, Seoul, Singapore) and tightly packed offices
+  'east-asia-dense': {
+    squareFeetPerPopulation: {
+      yes: 250, apartments: 170, residential: 250, house: 350, detached: 350,
+      semidetached_house: 300, terrace: 250, bungalow: 350, dormitory: 80, barracks: 80, hotel: 170,
+    },
+    squareFeetPerJob: {
+      commercial: 100, office: 100, retail: 200, supermarket: 200, industrial: 350, warehouse: 400,
+      government: 100, hospital: 120,
+    },
+  },
+  // Mid-rise apartments and smaller houses than in North America
+  europe: {
+    squareFeetPerPopulation: {
+      yes: 450, apartments: 350, residential: 450, house: 500, detached: 500,
+      semidetached_house: 400, terrace: 400, bungalow: 500,
+    },
+    squareFeetPerJob: {
+      commercial: 130, office: 130, retail: 250, supermarket: 250,
+    },
+  },
+};
+
+export const densityPresets = ['north-america', ...Object.keys(regionalChanges)];
+export const defaultDensityPreset = 'north-america';
+
+const tableNames = ['squareFeetPerPopulation', 'squareFeetPerJob'];
+
+const asSetting = (setting) => (typeof setting === 'string' ? { preset: setting } : setting || {});
+
+// { preset, squareFeetPerPopulation, squareFeetPerJob, overrides } for a place: the preset the place
+// (or else config.density) names, with config's and then the place's overrides on top. Entries set to
+// null are dropped, so that building type gets neither residents nor jobs.
+export const densityFor = (globalSetting, placeSetting) => {
+  const layers = [asSetting(globalSetting), asSetting(placeSetting)];
+  const preset = layers[1].preset || layers[0].preset || defaultDensityPreset;
+  if (!densityPresets.includes(preset)) {
+    throw new Error(`density.preset must be one of ${densityPresets.join(', ')} (got ${preset})`);
+  }
+
+  const density = { preset, overrides: {} };
+  tableNames.forEach((table) => {
+    density[table] = { ...northAmerica[table], ...regionalChanges[preset]?.[table] };
+    layers.forEach((layer) => {
+      Object.entries(layer[table] || {}).forEach(([type, squareFeet]) => {
+        if (squareFeet !== null && !(Number(squareFeet) > 0)) {
+          throw new Error(`density.${table}.${type} must be a number > 0 or null (got ${squareFeet})`);
+        }
+        if (squareFeet === null) delete density[table][type];
+        else density[table][type] = Number(squareFeet);
+        density.overrides[table] = { ...density.overrides[table], [type]: squareFeet };
+      });
+    });
+  });
+  return density;
+};
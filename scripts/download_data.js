@@ -1,11 +1,18 @@
 import fs from 'fs';
-import { Readable } from "stream";
 import config from '../config.js';
 import perfConfig from '../performance_config.js';
 import cliProgress from 'cli-progress';
 import pLimit from 'p-limit';
-import { createParseStream } from 'big-json';
-import { encode as msgpackEncode } from '@msgpack/msgpack';
+import { extractFromOsmFile } from './osm_file_source.js';
+import { createOverpassClient, partialResultError } from './overpass_client.js';
+import { createSlotScheduler } from './overpass_scheduler.js';
+import { createJournal } from './download_journal.js';
+import { createElementIdSet } from './element_id_set.js';
+import { readSnapshot, writeSnapshot, clearSnapshot, elementKey, buildChangesQuery, buildIdsQuery, mergeChanges } from './snapshot_refresh.js';
+import { readPlan, writePlan, planExpired, plannedTiles, estimatePlan, printPlan } from './download_plan.js';
+import { getDatasets, datasetsForPlace, datasetFile } from './datasets.js';
+import { createDatasetWriter, readDatasetItems } from './dataset_files.js';
+import { loadPlaceBoundary, getPlaceBbox, createBoundaryTester, bboxIntersectsBoundary, elementInBoundary } from './place_boundary.js';
 
 const convertBbox = (bbox) => [bbox[1], bbox[0], bbox[3], bbox[2]];
 
@@ -31,710 +38,368 @@ const generateTiles = (bbox, maxTileSize = 0.5) => {
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Retry logic with exponential backoff
-const runQueryWithRetry = async (query, maxRetries = perfConfig.retry.maxAttempts, baseDelay = perfConfig.retry.baseDelay) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-  const res = await fetch("https://overpass-api.de/api/interpreter", {
-    "credentials": "omit",
-    "headers": {
-      "User-Agent": "SubwayBuilder-Patcher (https://github.com/piemadd/subwaybuilder-patcher)",
-      "Accept": "*/*",
-      "Accept-Language": "en-US,en;q=0.5"
-    },
-    "body": `data=${encodeURIComponent(query)}`,
-    "method": "POST",
-    "mode": "cors"
-  });
-
-  if (!res.ok) {
-        if (attempt < maxRetries) {
-          // For rate limits (429), use longer delays
-          const isRateLimit = res.status === 429;
-          const delay = isRateLimit 
-            ? baseDelay * Math.pow(4, attempt - 1)  // 1s, 4s, 16s for rate limits
-            : baseDelay * Math.pow(2, attempt - 1); // 1s, 2s, 4s for other errors
-          console.log(`  Attempt ${attempt} failed (${res.status}). Retrying in ${delay/1000}s...`);
-          await sleep(delay);
-          continue;
-        }
-        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-      }
-
-      // Use streaming JSON parser to avoid string length limits
-  const parseStream = createParseStream();
-      let parsedData = null;
-
-  parseStream.on('data', (data) => {
-        parsedData = data;
-  });
-
-  await new Promise((resolve, reject) => {
-    parseStream.on('end', resolve);
-    parseStream.on('error', reject);
-        Readable.fromWeb(res.body).pipe(parseStream);
-      });
-      
-      // Check for Overpass API-specific errors or warnings
-      if (parsedData && parsedData.remark) {
-        console.warn(`  ⚠️  Overpass remark: ${parsedData.remark}`);
-      }
-      
-      // Check if response indicates timeout or truncation
-      if (parsedData && parsedData.elements && parsedData.elements.length === 0) {
-        // This could be legitimate empty area OR truncated results
-        // We can't tell for sure, but log it for debugging
-        // (Recursive tiling will handle it)
-      }
-      
-      return parsedData;
-    } catch (error) {
-      if (attempt < maxRetries) {
-        const delay = baseDelay * Math.pow(2, attempt - 1);
-        console.log(`  Attempt ${attempt} failed: ${error.message}. Retrying in ${delay/1000}s...`);
-        await sleep(delay);
-      } else {
-        throw error;
-      }
-    }
+// Endpoints from config.js win over performance_config.js so a private instance can be set per setup
+const overpass = createOverpassClient({
+  endpoints: config.overpassEndpoints || perfConfig.overpassEndpoints,
+  scheduler: createSlotScheduler({
+    maxConcurrency: Math.max(1, perfConfig.tileConcurrency?.max ?? 1),
+    useSlotStatus: perfConfig.tileConcurrency?.useSlotStatus ?? true,
+  }),
+  maxAttempts: perfConfig.retry.maxAttempts,
+  baseDelay: perfConfig.retry.baseDelay,
+});
+
+// Same query, but only asking how many elements it would return
+const toCountQuery = (query) => query.replace(/out \w+;\s*$/, 'out count;');
+
+// Runs a tile query and makes sure the result is complete: besides remark errors, the element
+// count is compared against a cheap `out count` pre-query, since a truncated response can look
+// perfectly valid otherwise. Incomplete results throw, which makes the tilers subdivide.
+const runTileQuery = async (query, maxRetries = perfConfig.retry.maxAttempts) => {
+  let expected = null;
+  if (perfConfig.verifyTileCounts) {
+    const countData = await overpass.runQuery(toCountQuery(query), maxRetries);
+    const countElement = (countData.elements || []).find((element) => element.type === 'count');
+    if (countElement) expected = Number(countElement.tags.total);
   }
-};
 
-const getStreetName = (tags, preferLocale = 'en') => {
-  if (tags.noname === 'yes') return '';
-  const localized = tags[`name:${preferLocale}`];
-  if (localized && localized.trim()) return localized.trim();
-  if (tags.name && tags.name.trim()) return tags.name.trim();
-  if (tags.ref && tags.ref.trim()) {
-    return tags.ref.trim();
+  const data = await overpass.runQuery(query, maxRetries);
+  const received = data.elements?.length ?? 0;
+  if (expected !== null && received < expected) {
+    throw partialResultError('count-mismatch', `received ${received.toLocaleString()} of ${expected.toLocaleString()} elements`, data.elements);
   }
-  return '';
+  return data;
 };
 
-const processRoads = (elements) => {
-  const roadTypes = {
-    motorway: 'highway',
-    trunk: 'major',
-    primary: 'major',
-    secondary: 'minor',
-    tertiary: 'minor',
-    residential: 'minor',
-  };
+// Tiles that stayed incomplete even at the smallest tile size, listed in the download summary.
+// Whatever partial data came back is still kept (but not journaled, so a rerun tries again).
+const recordFailedTile = (context, dataset, tile, error) => {
+  context.failedTiles.push({ dataset, tile, reason: error.partial || 'failed', message: error.message });
+  return error.elements || [];
+};
 
-  return {
-    "type": "FeatureCollection", 
-    "features": elements.map((element) => ({
-        "type": "Feature",
-        "properties": {
-        roadClass: roadTypes[element.tags.highway],
-        structure: "normal",
-        name: getStreetName(element.tags, (config.locale || 'en')),
-         },
-            "geometry": {
-            "coordinates": element.geometry.map((coord) => [coord.lon, coord.lat]),
-            "type": "LineString"
-       }
-    }))
-  };
+// Remember which endpoint answered each tile for the download summary, and how current its data was
+const logTile = (context, dataset, area, data) => {
+  context.log.push({ dataset, area, endpoint: data.servedBy, elements: data.elements?.length ?? 0 });
+  context.journal.noteTimestamp(data.osm3s?.timestamp_osm_base);
 };
 
-// Recursive tile fetcher for roads
-const fetchRoadTileRecursive = async (tile, depth = 0, maxDepth = 3) => {
-  const tileArea = (tile[2] - tile[0]) * (tile[3] - tile[1]);
-  
-  if (depth >= maxDepth || tileArea < 0.01) {
-    const roadQuery = `
-[out:json][timeout:180];
-(
-  way["highway"="motorway"](${tile.join(',')});
-  way["highway"="trunk"](${tile.join(',')});
-  way["highway"="primary"](${tile.join(',')});
-  way["highway"="secondary"](${tile.join(',')});
-  way["highway"="tertiary"](${tile.join(',')});
-  way["highway"="residential"](${tile.join(',')});
-);
-out geom;`;
-    
-    try {
-      const data = await runQueryWithRetry(roadQuery);
-      return data.elements || [];
-    } catch (error) {
-      console.warn(`  ⚠️  Road tile failed: ${error.message}`);
-      return [];
-    }
-  }
-  
-  const roadQuery = `
-[out:json][timeout:180];
-(
-  way["highway"="motorway"](${tile.join(',')});
-  way["highway"="trunk"](${tile.join(',')});
-  way["highway"="primary"](${tile.join(',')});
-  way["highway"="secondary"](${tile.join(',')});
-  way["highway"="tertiary"](${tile.join(',')});
-  way["highway"="residential"](${tile.join(',')});
-);
-out geom;`;
+// Tiles entirely outside a place's boundary (open sea, the next city over) aren't worth a request
+const tileInBoundary = (context, tile) => !context.boundary
+  || bboxIntersectsBoundary(context.boundary, context.isInside, [tile[1], tile[0], tile[3], tile[2]]);
 
-  try {
-    const data = await runQueryWithRetry(roadQuery);
-    
-    if (data.elements.length === 0 && tileArea > 0.1) {
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],
-        [midLon, tile[1], tile[2], midLat],
-        [tile[0], midLat, midLon, tile[3]],
-        [midLon, midLat, tile[2], tile[3]],
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchRoadTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      return results;
-    }
-    
-    return data.elements || [];
-  } catch (error) {
-    if (tileArea > 0.1) {
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],
-        [midLon, tile[1], tile[2], midLat],
-        [tile[0], midLat, midLon, tile[3]],
-        [midLon, midLat, tile[2], tile[3]],
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchRoadTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      return results;
-    }
-    
-    console.warn(`  ⚠️  Road tile failed: ${error.message}`);
-    return [];
-  }
+// Checkpoint a finished tile so a rerun can skip it
+const saveTile = (context, dataset, tile, elements) => {
+  context.journal.writeTile(dataset, tile, elements);
+  return elements;
 };
 
-const fetchRoadDataTiled = async (bbox, progressBar) => {
-  const tiles = generateTiles(bbox, perfConfig.overpassTileSize.roads);
-  const allRoads = [];
+// Runs up to tileConcurrency.max tiles at once; how many requests actually hit the server at the
+// same time is up to the slot scheduler. Each finished tile is handed to onElements right away
+// (which writes it to disk), so only the tiles in flight are ever held in memory.
+// Ways crossing a tile edge come back once per tile (and once per subtile), so every element is
+// checked against the ids seen so far as soon as its tile finishes, before copies pile up.
+const fetchTilesConcurrently = async (tiles, fetchTile, onElements, progressBar, label, context) => {
+  const tileLimit = pLimit(Math.max(1, perfConfig.tileConcurrency?.max ?? 1));
   const startTime = Date.now();
-  
-  for (let i = 0; i < tiles.length; i++) {
-    const tile = tiles[i];
-    
-    const percent = Math.floor((i / tiles.length) * 100);
+  let completed = 0;
+  let found = 0;
+  const seen = createElementIdSet();
+  let duplicates = 0;
+
+  const updateProgress = () => {
+    const percent = tiles.length > 0 ? Math.floor((completed / tiles.length) * 100) : 100;
     const elapsed = (Date.now() - startTime) / 1000;
-    const eta = i > 0 ? Math.round((elapsed / i) * (tiles.length - i)) : 0;
-    progressBar.update(percent, { stage: `Roads ${i+1}/${tiles.length} (${allRoads.length.toLocaleString()} found) ETA:${eta}s` });
-    
-    const tileResults = await fetchRoadTileRecursive(tile);
-    
-    for (let j = 0; j < tileResults.length; j++) {
-      allRoads.push(tileResults[j]);
-    }
-    
-    if (i < tiles.length - 1) {
-      const jitter = Math.random() * 500;
+    const eta = completed > 0 ? Math.round((elapsed / completed) * (tiles.length - completed)) : 0;
+    progressBar.update(percent, { stage: `${label} ${completed}/${tiles.length} (${found.toLocaleString()} found) ETA:${eta}s` });
+  };
+  updateProgress();
+
+  await Promise.all(tiles.map((tile) => tileLimit(async () => {
+    const requestsBefore = context.log.length;
+    const fetched = await fetchTile(tile);
+    const unique = fetched.filter((element) => seen.add(element.type, element.id));
+    duplicates += fetched.length - unique.length;
+    await onElements(unique);
+    completed++;
+    found += unique.length;
+    updateProgress();
+
+    // Delay between requests with small random jitter to avoid synchronized requests
+    // No need to wait after tiles that came straight from the journal (no request made)
+    if (completed < tiles.length && context.log.length > requestsBefore) {
+      const jitter = Math.random() * 500; // 0-500ms random jitter
       await sleep(perfConfig.requestDelay + jitter);
     }
-  }
-  
-  progressBar.update(100, { stage: `Roads complete (${allRoads.length.toLocaleString()} found)` });
-  return processRoads(allRoads);
+  })));
+
+  context.duplicates[label] = (context.duplicates[label] || 0) + duplicates;
+  return found;
 };
 
-const fetchRoadData = async (bbox, progressBar) => {
-  // Calculate bbox area to determine if we should try full download
-  const bboxArea = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
-  const skipFullDownload = bboxArea > 1.5; // Skip if area > 1.5 sq degrees
-  
-  // Try full bbox first if enabled and area is reasonable
-  if (perfConfig.tryFullBboxFirst && !skipFullDownload) {
-    try {
-      progressBar.update(0, { stage: 'Trying full area...' });
-      const roadQuery = `
+// Overpass query for one area of a dataset: every filter gets the area's bbox
+const buildDatasetQuery = (dataset, area) => `
 [out:json][timeout:180];
 (
-  way["highway"="motorway"](${bbox.join(',')});
-  way["highway"="trunk"](${bbox.join(',')});
-  way["highway"="primary"](${bbox.join(',')});
-  way["highway"="secondary"](${bbox.join(',')});
-  way["highway"="tertiary"](${bbox.join(',')});
-  way["highway"="residential"](${bbox.join(',')});
+${dataset.filters.map((filter) => `  ${filter}(${area.join(',')});`).join('\n')}
 );
 out geom;`;
-      
-      const data = await runQueryWithRetry(roadQuery, 1); // Only try once
-      
-      // Check if we got suspiciously few results
-      if (data.elements.length === 0) {
-        progressBar.update(0, { stage: 'Got 0 results, tiling...' });
-        return fetchRoadDataTiled(bbox, progressBar);
-      }
-      
-      progressBar.update(100, { stage: `Roads complete (1 request, ${data.elements.length.toLocaleString()} found)` });
-      return processRoads(data.elements);
-    } catch (error) {
-      // Fall back to tiling
-      progressBar.update(0, { stage: 'Full area failed, tiling...' });
-      return fetchRoadDataTiled(bbox, progressBar);
-    }
-  } else {
-    // Area too large, go straight to tiling
-    if (skipFullDownload) {
-      progressBar.update(0, { stage: 'Large area, tiling...' });
+
+const splitTile = (tile) => {
+  const midLon = (tile[0] + tile[2]) / 2;
+  const midLat = (tile[1] + tile[3]) / 2;
+  return [
+    [tile[0], tile[1], midLon, midLat],     // Bottom-left
+    [midLon, tile[1], tile[2], midLat],     // Bottom-right
+    [tile[0], midLat, midLon, tile[3]],     // Top-left
+    [midLon, midLat, tile[2], tile[3]],     // Top-right
+  ];
+};
+
+// Fetch 4 quadrants one after another and remember the split so a resumed run goes straight to them
+const fetchSubtiles = async (dataset, tile, context, depth, maxDepth) => {
+  const subtiles = splitTile(tile);
+  const results = [];
+  for (const subtile of subtiles) {
+    const subtileResults = await fetchTileRecursive(dataset, subtile, context, depth + 1, maxDepth);
+    for (let i = 0; i < subtileResults.length; i++) {
+      results.push(subtileResults[i]);
     }
-    return fetchRoadDataTiled(bbox, progressBar);
+    await sleep(perfConfig.requestDelay);
   }
+  context.journal.markSplit(dataset.name, tile, subtiles);
+  return results;
 };
 
-// Recursive tile fetcher for buildings - splits tiles that return 0 or fail
-const fetchBuildingTileRecursive = async (tile, depth = 0, maxDepth = 3) => {
+// Recursive tile fetcher - splits tiles that return 0 or fail
+const fetchTileRecursive = async (dataset, tile, context, depth = 0, maxDepth = 3) => {
   const tileArea = (tile[2] - tile[0]) * (tile[3] - tile[1]);
+  const tileName = `[${tile.map(n => n.toFixed(3)).join(', ')}]`;
+  
+  // Already finished in a previous run
+  const journaled = context.journal.read(dataset.name, tile);
+  if (journaled) {
+    context.resumed++;
+    return journaled;
+  }
   
   // If tile is very small, don't recurse further
   if (depth >= maxDepth || tileArea < 0.01) {
-    const buildingQuery = `
-[out:json][timeout:180];
-(
-  way["building"](${tile.join(',')});
-);
-out geom;`;
-    
     try {
-      const data = await runQueryWithRetry(buildingQuery);
-      return data.elements || [];
+      const data = await runTileQuery(buildDatasetQuery(dataset, tile));
+      logTile(context, dataset.label, tile, data);
+      return saveTile(context, dataset.name, tile, data.elements || []);
     } catch (error) {
-      console.warn(`  ⚠️  Tile [${tile.map(n => n.toFixed(3)).join(', ')}] failed after retries: ${error.message}`);
-      return [];
+      console.warn(`  ⚠️  ${dataset.label}: Tile ${tileName} failed after retries: ${error.message}`);
+      return recordFailedTile(context, dataset.name, tile, error);
     }
   }
   
-  // Try fetching this tile
-  const buildingQuery = `
-[out:json][timeout:180];
-(
-  way["building"](${tile.join(',')});
-);
-out geom;`;
-
   try {
-    const data = await runQueryWithRetry(buildingQuery);
+    const data = await runTileQuery(buildDatasetQuery(dataset, tile));
+    logTile(context, dataset.label, tile, data);
     
     // If we got 0 results and tile is large enough, split it
     if (data.elements.length === 0 && tileArea > 0.1) {
-      console.log(`  🔄 Buildings: Tile [${tile.map(n => n.toFixed(3)).join(', ')}] (${tileArea.toFixed(3)} sq°) returned 0 results`);
+      console.log(`  🔄 ${dataset.label}: Tile ${tileName} (${tileArea.toFixed(3)} sq°) returned 0 results`);
       console.log(`     Splitting into 4 subtiles at depth ${depth + 1}...`);
-      
-      // Split into 4 quadrants
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],     // Bottom-left
-        [midLon, tile[1], tile[2], midLat],     // Bottom-right
-        [tile[0], midLat, midLon, tile[3]],     // Top-left
-        [midLon, midLat, tile[2], tile[3]],     // Top-right
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchBuildingTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      console.log(`     ✓ Recursive fetch recovered ${results.length.toLocaleString()} buildings from subtiles`);
+      const results = await fetchSubtiles(dataset, tile, context, depth, maxDepth);
+      console.log(`     ✓ Recursive fetch recovered ${results.length.toLocaleString()} ${dataset.label.toLowerCase()} elements from subtiles`);
       return results;
     }
     
-    return data.elements || [];
+    return saveTile(context, dataset.name, tile, data.elements || []);
   } catch (error) {
     // If fetch failed and tile is large, try splitting
     if (tileArea > 0.1) {
-      console.log(`  🔄 Buildings: Tile [${tile.map(n => n.toFixed(3)).join(', ')}] (${tileArea.toFixed(3)} sq°) FAILED: ${error.message}`);
+      console.log(`  🔄 ${dataset.label}: Tile ${tileName} (${tileArea.toFixed(3)} sq°) FAILED: ${error.message}`);
       console.log(`     Splitting into 4 subtiles at depth ${depth + 1}...`);
-      
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],
-        [midLon, tile[1], tile[2], midLat],
-        [tile[0], midLat, midLon, tile[3]],
-        [midLon, midLat, tile[2], tile[3]],
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchBuildingTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      console.log(`     ✓ Recursive fetch recovered ${results.length.toLocaleString()} buildings from subtiles after error`);
+      const results = await fetchSubtiles(dataset, tile, context, depth, maxDepth);
+      console.log(`     ✓ Recursive fetch recovered ${results.length.toLocaleString()} ${dataset.label.toLowerCase()} elements from subtiles after error`);
       return results;
     }
     
-    console.warn(`  ⚠️  Buildings: Tile [${tile.map(n => n.toFixed(3)).join(', ')}] (${tileArea.toFixed(3)} sq°) failed and too small to split: ${error.message}`);
-    return [];
+    console.warn(`  ⚠️  ${dataset.label}: Tile ${tileName} (${tileArea.toFixed(3)} sq°) failed and too small to split: ${error.message}`);
+    return recordFailedTile(context, dataset.name, tile, error);
   }
 };
 
-const fetchBuildingsDataTiled = async (bbox, progressBar) => {
-  const tiles = generateTiles(bbox, perfConfig.overpassTileSize.buildings);
-  const allBuildings = [];
-  const startTime = Date.now();
-  
-  for (let i = 0; i < tiles.length; i++) {
-    const tile = tiles[i];
-    
-    const percent = Math.floor((i / tiles.length) * 100);
-    const elapsed = (Date.now() - startTime) / 1000;
-    const eta = i > 0 ? Math.round((elapsed / i) * (tiles.length - i)) : 0;
-    progressBar.update(percent, { stage: `Buildings ${i+1}/${tiles.length} (${allBuildings.length.toLocaleString()} found) ETA:${eta}s` });
-    
-    const tileResults = await fetchBuildingTileRecursive(tile);
-    
-    // Use for loop for very large arrays (safer than spread or apply)
-    for (let j = 0; j < tileResults.length; j++) {
-      allBuildings.push(tileResults[j]);
-    }
-    
-    // Delay between requests with small random jitter to avoid synchronized requests
-    if (i < tiles.length - 1) {
-      const jitter = Math.random() * 500; // 0-500ms random jitter
-      await sleep(perfConfig.requestDelay + jitter);
-    }
-  }
+const fetchDatasetTiled = async (dataset, bbox, onElements, progressBar, context,
+  tiles = generateTiles(bbox, dataset.tileSize).filter((tile) => tileInBoundary(context, tile))) => {
+  const found = await fetchTilesConcurrently(tiles, (tile) => fetchTileRecursive(dataset, tile, context), onElements, progressBar, dataset.label, context);
   
-  progressBar.update(100, { stage: `Buildings complete (${allBuildings.length.toLocaleString()} found)` });
-  return allBuildings;
+  progressBar.update(100, { stage: `${dataset.label} complete (${found.toLocaleString()} found)` });
 };
 
-const fetchBuildingsData = async (bbox, progressBar) => {
+// Raw Overpass elements of one dataset, handed to onElements as they arrive: tries the full bbox first, tiles if needed
+const fetchDataset = async (dataset, bbox, onElements, progressBar, context) => {
+  // A saved --plan already knows the tiles (oversized ones split, empty ones left out)
+  const planned = plannedTiles(context.plan, dataset, bbox);
+  if (planned) {
+    context.planned.push(dataset.name);
+    progressBar.update(0, { stage: 'Using tile plan...' });
+    return fetchDatasetTiled(dataset, bbox, onElements, progressBar, context, planned);
+  }
+
   // Calculate bbox area to determine if we should try full download
   const bboxArea = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
   const skipFullDownload = bboxArea > 1.5; // Skip if area > 1.5 sq degrees
   
   // Try full bbox first if enabled and area is reasonable
   if (perfConfig.tryFullBboxFirst && !skipFullDownload) {
+    // Full area already downloaded in a previous run
+    const journaled = context.journal.read(dataset.name, bbox);
+    if (journaled) {
+      context.resumed++;
+      progressBar.update(100, { stage: `${dataset.label} complete (resumed, ${journaled.length.toLocaleString()} found)` });
+      return onElements(journaled);
+    }
+    
+    let data;
     try {
       progressBar.update(0, { stage: 'Trying full area...' });
-  const buildingQuery = `
-[out:json][timeout:180];
-(
-  way["building"](${bbox.join(',')});
-);
-out geom;`;
-      
-      const data = await runQueryWithRetry(buildingQuery, 1); // Only try once
+      data = await runTileQuery(buildDatasetQuery(dataset, bbox), 1); // Only try once
+      logTile(context, dataset.label, bbox, data);
       
       // Check if we got suspiciously few results (indicates Overpass truncation)
       if (data.elements.length === 0) {
         progressBar.update(0, { stage: 'Got 0 results, tiling...' });
-        return fetchBuildingsDataTiled(bbox, progressBar);
+        return fetchDatasetTiled(dataset, bbox, onElements, progressBar, context);
       }
       
-      progressBar.update(100, { stage: `Buildings complete (1 request, ${data.elements.length.toLocaleString()} found)` });
-  return data.elements;
+      progressBar.update(100, { stage: `${dataset.label} complete (1 request, ${data.elements.length.toLocaleString()} found)` });
+      saveTile(context, dataset.name, bbox, data.elements);
     } catch (error) {
       // Fall back to tiling
       progressBar.update(0, { stage: 'Full area failed, tiling...' });
-      return fetchBuildingsDataTiled(bbox, progressBar);
+      return fetchDatasetTiled(dataset, bbox, onElements, progressBar, context);
     }
+    // Outside the try, a failing write must not look like a failed request
+    return onElements(data.elements);
   } else {
     // Area too large, go straight to tiling
     if (skipFullDownload) {
       progressBar.update(0, { stage: 'Large area, tiling...' });
     }
-    return fetchBuildingsDataTiled(bbox, progressBar);
+    return fetchDatasetTiled(dataset, bbox, onElements, progressBar, context);
   }
 };
 
-// Recursive tile fetcher for places
-const fetchPlaceTileRecursive = async (tile, depth = 0, maxDepth = 3) => {
-  const tileArea = (tile[2] - tile[0]) * (tile[3] - tile[1]);
-  
-  if (depth >= maxDepth || tileArea < 0.01) {
-    const placesQuery = `
-[out:json][timeout:180];
-(
-  nwr["place"="neighbourhood"](${tile.join(',')});
-  nwr["place"="quarter"](${tile.join(',')});
-  nwr["place"="suburb"](${tile.join(',')});
-  nwr["place"="hamlet"](${tile.join(',')});
-  nwr["place"="village"](${tile.join(',')});
-  nwr["aeroway"="terminal"](${tile.join(',')});
-);
-out geom;`;
-    
-    try {
-      const data = await runQueryWithRetry(placesQuery);
-      return data.elements || [];
-    } catch (error) {
-      console.warn(`  ⚠️  Places tile failed: ${error.message}`);
-      return [];
-    }
-  }
-  
-  const placesQuery = `
-[out:json][timeout:180];
-(
-  nwr["place"="neighbourhood"](${tile.join(',')});
-  nwr["place"="quarter"](${tile.join(',')});
-  nwr["place"="suburb"](${tile.join(',')});
-  nwr["place"="hamlet"](${tile.join(',')});
-  nwr["place"="village"](${tile.join(',')});
-  nwr["aeroway"="terminal"](${tile.join(',')});
-);
-out geom;`;
-
-  try {
-    const data = await runQueryWithRetry(placesQuery);
-    
-    if (data.elements.length === 0 && tileArea > 0.1) {
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],
-        [midLon, tile[1], tile[2], midLat],
-        [tile[0], midLat, midLon, tile[3]],
-        [midLon, midLat, tile[2], tile[3]],
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchPlaceTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      return results;
-    }
-    
-    return data.elements || [];
-  } catch (error) {
-    if (tileArea > 0.1) {
-      const midLon = (tile[0] + tile[2]) / 2;
-      const midLat = (tile[1] + tile[3]) / 2;
-      const subtiles = [
-        [tile[0], tile[1], midLon, midLat],
-        [midLon, tile[1], tile[2], midLat],
-        [tile[0], midLat, midLon, tile[3]],
-        [midLon, midLat, tile[2], tile[3]],
-      ];
-      
-      const results = [];
-      for (const subtile of subtiles) {
-        const subtileResults = await fetchPlaceTileRecursive(subtile, depth + 1, maxDepth);
-        for (let i = 0; i < subtileResults.length; i++) {
-          results.push(subtileResults[i]);
-        }
-        await sleep(perfConfig.requestDelay);
-      }
-      return results;
-    }
-    
-    console.warn(`  ⚠️  Places tile failed: ${error.message}`);
-    return [];
-  }
+// ==================== Incremental Refresh ====================
+
+// Changed elements of one dataset plus the keys of everything that still matches. There is no
+// subdividing or skipping here: a tile missing from the id list would look like mass deletions,
+// so any tile that can't be fetched completely aborts the refresh before anything is written.
+const fetchDatasetChanges = async (dataset, bbox, since, progressBar, context) => {
+  const tiles = generateTiles(bbox, dataset.tileSize).filter((tile) => tileInBoundary(context, tile));
+  const currentKeys = createElementIdSet();
+  const changed = [];
+
+  await fetchTilesConcurrently(tiles, async (tile) => {
+    const idsData = await runTileQuery(buildIdsQuery(dataset.filters, tile));
+    (idsData.elements || []).forEach((element) => currentKeys.add(element.type, element.id));
+    context.journal.noteTimestamp(idsData.osm3s?.timestamp_osm_base);
+
+    const changesData = await runTileQuery(buildChangesQuery(dataset.filters, tile, since));
+    logTile(context, dataset.label, tile, changesData);
+    return changesData.elements || [];
+  }, (elements) => {
+    elements.forEach((element) => changed.push(element));
+  }, progressBar, `${dataset.label} changes`, context);
+
+  progressBar.update(100, { stage: `${dataset.label} changes complete (${changed.length.toLocaleString()} changed)` });
+  return { changed, currentKeys };
 };
 
-const fetchPlacesDataTiled = async (bbox, progressBar) => {
-  const tiles = generateTiles(bbox, perfConfig.overpassTileSize.places);
-  const allPlaces = [];
-  const startTime = Date.now();
-  
-  for (let i = 0; i < tiles.length; i++) {
-    const tile = tiles[i];
-    
-    const percent = Math.floor((i / tiles.length) * 100);
-    const elapsed = (Date.now() - startTime) / 1000;
-    const eta = i > 0 ? Math.round((elapsed / i) * (tiles.length - i)) : 0;
-    progressBar.update(percent, { stage: `Places ${i+1}/${tiles.length} (${allPlaces.length.toLocaleString()} found) ETA:${eta}s` });
-    
-    const tileResults = await fetchPlaceTileRecursive(tile);
-    
-    for (let j = 0; j < tileResults.length; j++) {
-      allPlaces.push(tileResults[j]);
-    }
-    
-    if (i < tiles.length - 1) {
-      const jitter = Math.random() * 500;
-      await sleep(perfConfig.requestDelay + jitter);
-    }
-  }
-  
-  progressBar.update(100, { stage: `Places complete (${allPlaces.length.toLocaleString()} found)` });
-  return allPlaces;
-};
+// Fetch everything of one dataset that changed since the snapshot and stream the existing file,
+// merged with the changes, into the writer
+const refreshDataset = async (placeCode, dataset, bbox, since, writer, progressBar, context) => {
+  const { changed, currentKeys } = await fetchDatasetChanges(dataset, bbox, since, progressBar, context);
 
-const fetchPlacesData = async (bbox, progressBar) => {
-  // Calculate bbox area to determine if we should try full download
-  const bboxArea = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
-  const skipFullDownload = bboxArea > 1.5; // Skip if area > 1.5 sq degrees
-  
-  // Try full bbox first if enabled and area is reasonable
-  if (perfConfig.tryFullBboxFirst && !skipFullDownload) {
-    try {
-      progressBar.update(0, { stage: 'Trying full area...' });
-      const placesQuery = `
-[out:json][timeout:180];
-(
-  nwr["place"="neighbourhood"](${bbox.join(',')});
-  nwr["place"="quarter"](${bbox.join(',')});
-  nwr["place"="suburb"](${bbox.join(',')});
-  nwr["place"="hamlet"](${bbox.join(',')});
-  nwr["place"="village"](${bbox.join(',')});
-  nwr["aeroway"="terminal"](${bbox.join(',')});
-);
-out geom;`;
-      
-      const data = await runQueryWithRetry(placesQuery, 1); // Only try once
-      
-      // Check if we got suspiciously few results
-      if (data.elements.length === 0) {
-        progressBar.update(0, { stage: 'Got 0 results, tiling...' });
-        return fetchPlacesDataTiled(bbox, progressBar);
-      }
-      
-      progressBar.update(100, { stage: `Places complete (1 request, ${data.elements.length.toLocaleString()} found)` });
-  return data.elements;
-    } catch (error) {
-      // Fall back to tiling
-      progressBar.update(0, { stage: 'Full area failed, tiling...' });
-      return fetchPlacesDataTiled(bbox, progressBar);
-    }
-  } else {
-    // Area too large, go straight to tiling
-    if (skipFullDownload) {
-      progressBar.update(0, { stage: 'Large area, tiling...' });
-    }
-    return fetchPlacesDataTiled(bbox, progressBar);
-  }
+  // Changed elements that moved outside the boundary or that the transform drops count as deletions
+  const changedItems = new Map();
+  changed.forEach((element) => {
+    const inside = !context.isInside || elementInBoundary(element, context.isInside);
+    changedItems.set(elementKey(element), inside ? dataset.transform(element, context) : null);
+  });
+
+  const isCurrent = (key) => {
+    const [type, id] = key.split('/');
+    return currentKeys.has(type, Number(id));
+  };
+
+  progressBar.update(100, { stage: `${dataset.label} merging changes` });
+  const existing = readDatasetItems(`./raw_data/${placeCode}/${datasetFile(dataset)}`, dataset.output);
+  context.changes[dataset.name] = await mergeChanges(existing, changedItems, isCurrent, dataset.keyOf, (item) => writer.write(item));
 };
 
-// Write MessagePack binary (much faster than JSON)
-const writeMsgpackBinary = async (filePath, data, progressBar, label) => {
-  return new Promise((resolve, reject) => {
-    try {
-      progressBar.update(0, { stage: `${label} encoding` });
-      
-      // Encode to MessagePack binary (fast!)
-      const binary = msgpackEncode(data);
-      
-      progressBar.update(50, { stage: `${label} writing` });
-      
-      // Write binary to file
-      fs.writeFileSync(filePath, binary);
-      
-      progressBar.update(100, { stage: `${label} complete` });
-      resolve();
-    } catch (error) {
-      reject(error);
+// Drops elements outside the boundary, transforms the rest and appends them to the dataset's file
+const createDatasetSink = (dataset, writer, context) => async (elements) => {
+  for (const element of elements) {
+    if (context.isInside && !elementInBoundary(element, context.isInside)) {
+      context.clipped++;
+      continue;
     }
-  });
+    const item = dataset.transform(element, context);
+    if (item) await writer.write(item);
+  }
 };
 
-// Stream write large JSON with batching for performance
-const writeJsonStream = async (filePath, data, progressBar, label) => {
-  return new Promise((resolve, reject) => {
-    const writeStream = fs.createWriteStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 }); // 1MB buffer
-    
-    writeStream.on('error', reject);
-    writeStream.on('finish', resolve);
-    
-    // Helper to handle backpressure properly
-    const writeWithBackpressure = (chunk) => {
-      return new Promise((resolveWrite) => {
-        if (!writeStream.write(chunk)) {
-          writeStream.once('drain', resolveWrite);
-        } else {
-          resolveWrite();
-        }
-      });
-    };
-    
-    // For arrays, stream element by element with backpressure handling
-    if (Array.isArray(data)) {
-      (async () => {
-        try {
-          await writeWithBackpressure('[');
-          
-          for (let i = 0; i < data.length; i++) {
-            if (i > 0) await writeWithBackpressure(',');
-            await writeWithBackpressure(JSON.stringify(data[i]));
-            
-            if (progressBar && i % 1000 === 0) {
-              const percent = Math.floor((i / data.length) * 100);
-              progressBar.update(percent, { stage: `${label} ${i.toLocaleString()}/${data.length.toLocaleString()}` });
-            }
-          }
-          
-          if (progressBar) progressBar.update(100, { stage: `${label} complete` });
-          writeStream.end(']');
-        } catch (err) {
-          reject(err);
-        }
-      })();
-    } 
-    // For FeatureCollections, stream features individually
-    else if (data && typeof data === 'object' && data.features && Array.isArray(data.features)) {
-      (async () => {
-        try {
-          await writeWithBackpressure('{"type":"FeatureCollection","features":[');
-          
-          for (let i = 0; i < data.features.length; i++) {
-            if (i > 0) await writeWithBackpressure(',');
-            await writeWithBackpressure(JSON.stringify(data.features[i]));
-            
-            if (progressBar && i % 1000 === 0) {
-              const percent = Math.floor((i / data.features.length) * 100);
-              progressBar.update(percent, { stage: `${label} ${i.toLocaleString()}/${data.features.length.toLocaleString()}` });
-            }
-          }
-          
-          if (progressBar) progressBar.update(100, { stage: `${label} complete` });
-          writeStream.end(']}');
-        } catch (err) {
-          reject(err);
-        }
-      })();
-    }
-    // For other objects, fallback
-    else {
-      try {
-        writeStream.end(JSON.stringify(data));
-      } catch (error) {
-        reject(error);
-      }
-    }
-  });
+// The saved --plan, unless it is too old or this is a --refresh: tiles it counted empty are skipped,
+// and those may have been mapped since
+const usablePlan = (place) => {
+  const plan = readPlan(`./raw_data/${place.code}`);
+  if (!plan) return null;
+  if (refreshMode) {
+    console.log('  Ignoring plan.json during --refresh, datasets downloaded in full use the default tiling');
+    return null;
+  }
+  if (planExpired(plan)) {
+    console.log(`  ⚠️  plan.json is from ${plan.createdAt || 'an unknown date'}, older than ${perfConfig.plan.maxAgeDays} days, using the default tiling (run --plan again to re-count)`);
+    return null;
+  }
+  return plan;
 };
 
 const fetchAllData = async (place) => {
+  const datasets = datasetsForPlace(allDatasets, place);
   if (!fs.existsSync(`./raw_data/${place.code}`)) {
     fs.mkdirSync(`./raw_data/${place.code}`, { recursive: true });
   }
 
-  console.log(`\nFetching ${place.name} (${place.code})`);
-  const convertedBoundingBox = convertBbox(place.bbox);
+  // 'overpass' (default) or 'pbf' to read a local .osm.pbf / .osm extract instead
+  const source = place.source || config.source || 'overpass';
+  if (source === 'pbf' && !place.pbfFile) {
+    throw new Error(`${place.name} (${place.code}) uses source 'pbf' but has no pbfFile configured`);
+  }
+
+  console.log(`\nFetching ${place.name} (${place.code})${source === 'pbf' ? ` from ${place.pbfFile}` : ''}`);
+  const convertedBoundingBox = convertBbox(getPlaceBbox(place));
+  const boundary = loadPlaceBoundary(place);
+
+  // --refresh builds on a complete download of the same area, anything else gets a full download.
+  // Places reading a PBF extract never go to Overpass, for them a refresh re-reads the extract.
+  let snapshot = null;
+  if (refreshMode && source === 'pbf') {
+    console.log(`  ⚠️  ${place.code} reads from a PBF extract, re-reading it instead of asking Overpass for changes (set source: 'overpass' to refresh from Overpass)`);
+  } else if (refreshMode) {
+    snapshot = readSnapshot(`./raw_data/${place.code}`);
+    if (!snapshot) {
+      console.log(`  ⚠️  No snapshot recorded for ${place.code}, doing a full download instead`);
+    } else if (JSON.stringify(snapshot.bbox) !== JSON.stringify(convertedBoundingBox)) {
+      console.log(`  ⚠️  Area of ${place.code} changed since its last download, doing a full download instead`);
+      snapshot = null;
+    } else {
+      console.log(`  🔄 Refreshing changes since ${snapshot.timestamp}`);
+    }
+  }
+  const refreshFrom = snapshot ? snapshot.timestamp : null;
+
+  // Datasets that are new, had their filters edited or can't be merged are downloaded in full during a refresh
+  const canRefresh = (dataset) => refreshFrom !== null
+    && dataset.keyOf !== null
+    && fs.existsSync(`./raw_data/${place.code}/${datasetFile(dataset)}`)
+    && JSON.stringify(snapshot.filters?.[dataset.name]) === JSON.stringify(dataset.filters);
   
   // Create progress bars
   const multibar = new cliProgress.MultiBar({
@@ -743,70 +408,295 @@ const fetchAllData = async (place) => {
     format: ' {stage} | {bar} | {percentage}%',
   }, cliProgress.Presets.shades_classic);
 
-  const roadBar = multibar.create(100, 0, { stage: 'Roads' });
-  const buildingBar = multibar.create(100, 0, { stage: 'Buildings' });
-  const placesBar = multibar.create(100, 0, { stage: 'Places' });
+  const bars = {};
+  datasets.forEach((dataset) => {
+    bars[dataset.name] = multibar.create(100, 0, { stage: dataset.label });
+  });
+
+  // Per-place download state shared by all fetchers:
+  // log         - every Overpass response (dataset, area, endpoint that served it)
+  // journal     - checkpoint of finished tiles so an interrupted download can resume
+  // failedTiles - tiles that stayed incomplete even after subdividing
+  // duplicates  - cross-tile copies of the same element dropped, per dataset
+  // changes     - added/updated/deleted counts of every dataset merged by --refresh
+  // clipped     - elements dropped for lying outside the place boundary
+  // place       - the place being downloaded, for post-processing with per-place settings
+  // plan        - tile plan saved by --plan (null without one), planned lists the datasets that used it
+  const context = {
+    place,
+    log: [],
+    journal: createJournal(`./raw_data/${place.code}`, { bbox: convertedBoundingBox, source }),
+    resumed: 0,
+    failedTiles: [],
+    duplicates: {},
+    changes: {},
+    clipped: 0,
+    boundary,
+    isInside: boundary ? createBoundaryTester(boundary) : null,
+    plan: usablePlan(place),
+    planned: [],
+  };
+
+  // A refresh starts from the snapshot, not from a half-finished download
+  if (freshStart || refreshFrom) {
+    context.journal.clear();
+  } else if (source !== 'pbf' && context.journal.existingTiles > 0) {
+    console.log(`  Resuming from journal (${context.journal.existingTiles.toLocaleString()} tiles already downloaded, use --fresh to start over)`);
+  }
+
+  // Every dataset streams into its own file as tiles arrive, so nothing waits in memory for the end
+  const writers = Object.fromEntries(datasets.map((dataset) => [
+    dataset.name,
+    createDatasetWriter(`./raw_data/${place.code}/${datasetFile(dataset)}`, dataset.output),
+  ]));
 
   try {
-    // Fetch data (tries full bbox first, tiles if needed, with delays between datasets to avoid rate limits)
-    const roadData = await fetchRoadData(convertedBoundingBox, roadBar);
-    
-    // Wait before starting next dataset to be nice to Overpass
-    if (perfConfig.datasetDelay) {
-      await sleep(perfConfig.datasetDelay);
-    }
-    
-    const buildingData = await fetchBuildingsData(convertedBoundingBox, buildingBar);
-    
-    // Wait before starting next dataset
-    if (perfConfig.datasetDelay) {
-      await sleep(perfConfig.datasetDelay);
+    const fullDuringRefresh = [];
+    let extractTimestamp;
+
+    if (source === 'pbf') {
+      // Read everything from the local extract in a few sequential passes (no network needed),
+      // elements stream into the dataset files as they're read
+      const sinks = Object.fromEntries(datasets.map((dataset) => [dataset.name, createDatasetSink(dataset, writers[dataset.name], context)]));
+      const { timestamp } = await extractFromOsmFile(place.pbfFile, convertedBoundingBox, datasets, sinks, (stage, progress) => {
+        const percent = Math.floor(progress * 100);
+        datasets.forEach((dataset) => bars[dataset.name].update(percent, { stage: `${dataset.label}: ${stage}` }));
+      });
+      extractTimestamp = timestamp;
+    } else {
+      // Fetch data (tries full bbox first, tiles if needed, with delays between datasets to avoid rate limits)
+      for (let i = 0; i < datasets.length; i++) {
+        const dataset = datasets[i];
+
+        // Wait before starting next dataset to be nice to Overpass
+        if (i > 0 && perfConfig.datasetDelay) {
+          await sleep(perfConfig.datasetDelay);
+        }
+
+        if (canRefresh(dataset)) {
+          await refreshDataset(place.code, dataset, convertedBoundingBox, refreshFrom, writers[dataset.name], bars[dataset.name], context);
+        } else {
+          if (refreshFrom) fullDuringRefresh.push(dataset.name);
+          await fetchDataset(dataset, convertedBoundingBox, createDatasetSink(dataset, writers[dataset.name], context), bars[dataset.name], context);
+        }
+      }
     }
-    
-    const placesData = await fetchPlacesData(convertedBoundingBox, placesBar);
 
-    console.log(`\n  Writing ${roadData.features.length.toLocaleString()} roads, ${buildingData.length.toLocaleString()} buildings, ${placesData.length.toLocaleString()} places to disk...\n`);
+    for (const dataset of datasets) {
+      await writers[dataset.name].close();
+    }
+    const countOf = (dataset) => writers[dataset.name].count;
+
+    // Record which OSM state the files reflect (and which filters produced them) so the next
+    // --refresh knows where to start. Incomplete downloads get no snapshot, a refresh can't
+    // fill in tiles that never arrived.
+    const snapshotTimestamp = source === 'pbf' ? extractTimestamp : context.journal.timestamp;
+    if (context.failedTiles.length === 0 && snapshotTimestamp) {
+      writeSnapshot(`./raw_data/${place.code}`, {
+        timestamp: snapshotTimestamp,
+        bbox: convertedBoundingBox,
+        filters: Object.fromEntries(datasets.map((dataset) => [dataset.name, dataset.filters])),
+      });
+    } else {
+      clearSnapshot(`./raw_data/${place.code}`);
+    }
 
-    // Reuse progress bars for writing
-    roadBar.update(0, { stage: 'Writing roads' });
-    await writeJsonStream(`./raw_data/${place.code}/roads.geojson`, roadData, roadBar, 'Roads');
-    
-    buildingBar.update(0, { stage: 'Writing buildings (MessagePack)' });
-    await writeMsgpackBinary(`./raw_data/${place.code}/buildings.msgpack`, buildingData, buildingBar, 'Buildings');
-    
-    placesBar.update(0, { stage: 'Writing places' });
-    await writeMsgpackBinary(`./raw_data/${place.code}/places.msgpack`, placesData, placesBar, 'Places');
+    // Everything is safely on disk now, the checkpoints aren't needed anymore
+    // (unless some tiles came back incomplete, then a rerun can fetch just those)
+    if (context.failedTiles.length === 0) {
+      context.journal.remove();
+    }
 
     multibar.stop();
     
     console.log(`\n  📊 Download Summary for ${place.name}:`);
-    console.log(`    Roads:      ${roadData.features.length.toLocaleString()} features`);
-    console.log(`    Buildings:  ${buildingData.length.toLocaleString()} features`);
-    console.log(`    Places:     ${placesData.length.toLocaleString()} features`);
-    console.log(`    Total:      ${(roadData.features.length + buildingData.length + placesData.length).toLocaleString()} features\n`);
+    console.log(`    Source:     ${refreshFrom ? `Overpass API (changes since ${refreshFrom})` : source === 'pbf' ? place.pbfFile : 'Overpass API'}`);
+    if (context.failedTiles.length === 0 && snapshotTimestamp) {
+      console.log(`    Snapshot:   OSM data as of ${snapshotTimestamp}`);
+    } else if (source === 'pbf') {
+      console.log(`    Snapshot:   ⚠️  extract has no replication timestamp, switching to source 'overpass' won't be able to --refresh from it`);
+    }
+    const changeCounts = Object.entries(context.changes);
+    if (changeCounts.length > 0) {
+      const formatChanges = ({ added, updated, deleted }) => `+${added.toLocaleString()} ~${updated.toLocaleString()} -${deleted.toLocaleString()}`;
+      console.log(`    Changes:    ${changeCounts.map(([name, stats]) => `${name} ${formatChanges(stats)}`).join(', ')}`);
+    }
+    if (fullDuringRefresh.length > 0) {
+      console.log(`    Full:       ${fullDuringRefresh.join(', ')} (new or changed since the snapshot, downloaded in full)`);
+    }
+    if (boundary) {
+      console.log(`    Clipped:    ${context.clipped.toLocaleString()} features outside boundary`);
+    }
+    if (context.planned.length > 0) {
+      console.log(`    Plan:       ${context.planned.join(', ')} tiles from plan.json (${context.plan.createdAt})`);
+    }
+    if (context.resumed > 0) {
+      console.log(`    Resumed:    ${context.resumed.toLocaleString()} tiles from journal`);
+    }
+    const duplicateCounts = Object.entries(context.duplicates).filter(([, count]) => count > 0);
+    if (duplicateCounts.length > 0) {
+      const duplicateTotal = duplicateCounts.reduce((sum, [, count]) => sum + count, 0);
+      console.log(`    Duplicates: ${duplicateTotal.toLocaleString()} cross-tile copies removed (${duplicateCounts.map(([label, count]) => `${label.toLowerCase()} ${count.toLocaleString()}`).join(', ')})`);
+    }
+    datasets.forEach((dataset) => {
+      console.log(`    ${`${dataset.label}:`.padEnd(12)}${countOf(dataset).toLocaleString()} features`);
+      if (dataset.name === 'buildings' && context.relationBuildings) {
+        const { recovered, unassembled } = context.relationBuildings;
+        if (recovered > 0 || unassembled > 0) {
+          console.log(`    Relations:  ${recovered.toLocaleString()} multipolygon buildings recovered${unassembled > 0 ? ` (⚠️  ${unassembled.toLocaleString()} with broken rings skipped)` : ''}`);
+        }
+      }
+    });
+    console.log(`    Total:      ${datasets.reduce((sum, dataset) => sum + countOf(dataset), 0).toLocaleString()} features\n`);
+
+    if (context.failedTiles.length > 0) {
+      console.log(`    ⚠️  Incomplete tiles (${context.failedTiles.length}, rerun to retry them):`);
+      context.failedTiles.forEach(({ dataset, tile, message }) => {
+        console.log(`      ${dataset.padEnd(10)} [${tile.map(n => n.toFixed(3)).join(', ')}] ${message}`);
+      });
+    }
+
+    if (context.log.length > 0) {
+      const servedCounts = {};
+      context.log.forEach(({ endpoint }) => {
+        servedCounts[endpoint] = (servedCounts[endpoint] || 0) + 1;
+      });
+
+      console.log(`    Endpoints:`);
+      overpass.pool.stats().forEach(({ url, score, failures }) => {
+        console.log(`      ${new URL(url).host.padEnd(32)} ${(servedCounts[url] || 0).toLocaleString()} tiles (health ${score.toFixed(2)}, ${failures} failures, ${overpass.scheduler.limitFor(url)} parallel)`);
+      });
+
+      console.log(`    Tiles:`);
+      context.log.forEach(({ dataset, area, endpoint, elements }) => {
+        console.log(`      ${dataset.padEnd(10)} [${area.map(n => n.toFixed(3)).join(', ')}] → ${new URL(endpoint).host} (${elements.toLocaleString()} elements)`);
+      });
+      console.log('');
+    }
     
     console.log(`✓ Completed ${place.name} (${place.code})`);
   } catch (error) {
     multibar.stop();
+    // Keep whatever complete files the place had before, the journal still holds the fetched tiles
+    Object.values(writers).forEach((writer) => writer.abort());
     console.error(`\n✗ Error fetching ${place.name} (${place.code}):`, error.message);
     throw error;
   }
 };
 
+// ==================== Download Planning ====================
+
+// Element count of one tile; tiles over plan.maxElementsPerTile are split (down to the same depth
+// fetchTileRecursive would go) so the real download doesn't have to find out the hard way
+const countTile = async (dataset, tile, depth = 0, maxDepth = 3) => {
+  let count;
+  try {
+    const data = await overpass.runQuery(toCountQuery(buildDatasetQuery(dataset, tile)));
+    count = Number((data.elements || []).find((element) => element.type === 'count')?.tags.total ?? 0);
+  } catch (error) {
+    console.warn(`  ⚠️  ${dataset.label}: Counting tile [${tile.map(n => n.toFixed(3)).join(', ')}] failed: ${error.message}`);
+    return [{ tile, count: null }];
+  }
+  await sleep(perfConfig.requestDelay);
+
+  if (count > perfConfig.plan.maxElementsPerTile && depth < maxDepth) {
+    const results = [];
+    for (const subtile of splitTile(tile)) {
+      const subtileResults = await countTile(dataset, subtile, depth + 1, maxDepth);
+      subtileResults.forEach((result) => results.push(result));
+    }
+    return results;
+  }
+  return [{ tile, count }];
+};
+
+// --plan: count every tile of every dataset, print the estimates and save the tile plan for the real run
+const planPlace = async (place) => {
+  const datasets = datasetsForPlace(allDatasets, place);
+  const source = place.source || config.source || 'overpass';
+  if (source === 'pbf') {
+    console.log(`\n${place.name} (${place.code}) reads ${place.pbfFile}, nothing to plan`);
+    return;
+  }
+
+  console.log(`\nPlanning ${place.name} (${place.code})`);
+  const convertedBoundingBox = convertBbox(getPlaceBbox(place));
+  const boundary = loadPlaceBoundary(place);
+  const context = { boundary, isInside: boundary ? createBoundaryTester(boundary) : null };
+
+  const multibar = new cliProgress.MultiBar({
+    clearOnComplete: false,
+    hideCursor: true,
+    format: ' {stage} | {bar} | {percentage}%',
+  }, cliProgress.Presets.shades_classic);
+  const bars = Object.fromEntries(datasets.map((dataset) => [dataset.name, multibar.create(100, 0, { stage: dataset.label })]));
+
+  const tileLimit = pLimit(Math.max(1, perfConfig.tileConcurrency?.max ?? 1));
+  const datasetPlans = {};
+  for (const dataset of datasets) {
+    const tiles = generateTiles(convertedBoundingBox, dataset.tileSize).filter((tile) => tileInBoundary(context, tile));
+    let completed = 0;
+    const counted = await Promise.all(tiles.map((tile) => tileLimit(async () => {
+      const results = await countTile(dataset, tile);
+      completed++;
+      bars[dataset.name].update(Math.floor((completed / tiles.length) * 100), { stage: `${dataset.label} ${completed}/${tiles.length} tiles counted` });
+      return results;
+    })));
+
+    const planned = counted.flat();
+    datasetPlans[dataset.name] = {
+      filters: dataset.filters,
+      tileSize: dataset.tileSize,
+      total: planned.reduce((sum, { count }) => sum + (count || 0), 0),
+      failedTiles: planned.filter(({ count }) => count === null).length,
+      tiles: planned,
+    };
+    bars[dataset.name].update(100, { stage: `${dataset.label} counted (${datasetPlans[dataset.name].total.toLocaleString()} elements)` });
+  }
+  multibar.stop();
+
+  const plan = {
+    createdAt: new Date().toISOString(),
+    bbox: convertedBoundingBox,
+    datasets: datasetPlans,
+    estimate: estimatePlan(datasetPlans, datasets),
+  };
+  if (!fs.existsSync(`./raw_data/${place.code}`)) {
+    fs.mkdirSync(`./raw_data/${place.code}`, { recursive: true });
+  }
+  writePlan(`./raw_data/${place.code}`, plan);
+
+  printPlan(place, plan, datasets);
+  console.log(`\n✓ Plan saved to ./raw_data/${place.code}/plan.json, the next download of ${place.code} fetches these tiles`);
+};
+
 // Main execution
 if (!fs.existsSync('./raw_data')) fs.mkdirSync('./raw_data');
 
+// --fresh throws away any checkpoint journal and downloads everything again
+const freshStart = process.argv.includes('--fresh');
+
+// --refresh only fetches what changed in OSM since the last download and merges it in
+const refreshMode = process.argv.includes('--refresh');
+
+// --plan only counts what a download would fetch and saves the tile plan, nothing is downloaded
+const planMode = process.argv.includes('--plan');
+
+// Built-in datasets plus the ones declared in config.js (validated before any download starts),
+// every place picks the ones that apply to it
+const allDatasets = getDatasets();
+
 // Process places sequentially to avoid overwhelming Overpass
 const limit = pLimit(perfConfig.maxConcurrentDownloads);
 
 const tasks = config.places.map(place => 
-  limit(() => fetchAllData(place))
+  limit(() => (planMode ? planPlace(place) : fetchAllData(place)))
 );
 
 Promise.all(tasks)
   .then(() => {
     console.log('\n' + '='.repeat(60));
-    console.log('✓ All downloads complete!');
+    console.log(planMode ? '✓ All plans complete!' : '✓ All downloads complete!');
     console.log(`  Processed ${config.places.length} place(s)`);
     console.log('='.repeat(60) + '\n');
   })
@@ -0,0 +1,114 @@
+// Checkpoint journal for tiled downloads
+// Every finished tile is written to raw_data/<code>/journal/<dataset>/<tile>.msgpack as soon as it
+// arrives, so a crashed or interrupted download can pick up where it left off.
+// Tiles that were split into subtiles get a .split marker listing their children instead.
+// The journal also remembers the oldest OSM timestamp any tile was served from, which becomes
+// the snapshot timestamp that incremental refreshes start from.
+import fs from 'fs';
+import { encode as msgpackEncode, decode as msgpackDecode } from '@msgpack/msgpack';
+
+const tileKey = (tile) => tile.map((n) => n.toFixed(6)).join('_');
+
+// Write to a temp file and rename so a crash mid-write never leaves a half tile behind
+const writeAtomic = (filePath, contents) => {
+  fs.writeFileSync(`${filePath}.tmp`, contents);
+  fs.renameSync(`${filePath}.tmp`, filePath);
+};
+
+export const createJournal = (placeDir, { bbox, source }) => {
+  const journalDir = `${placeDir}/journal`;
+  const metaPath = `${journalDir}/meta.json`;
+  const timestampPath = `${journalDir}/timestamp`;
+  const meta = { bbox, source };
+
+  const datasetDir = (dataset) => {
+    const dir = `${journalDir}/${dataset}`;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  };
+
+  // Drops every checkpoint (dataset directories with their tiles and split markers, and the timestamp)
+  // but keeps meta.json, so tiles written afterwards are still tied to this bbox/source
+  const clear = () => {
+    if (!fs.existsSync(journalDir)) return;
+    fs.readdirSync(journalDir)
+      .filter((name) => name !== 'meta.json')
+      .forEach((name) => fs.rmSync(`${journalDir}/${name}`, { recursive: true, force: true }));
+  };
+
+  // A journal written for a different bbox/source is useless, start over
+  if (fs.existsSync(metaPath)) {
+    const previous = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    if (JSON.stringify(previous) !== JSON.stringify(meta)) clear();
+  }
+
+  const countEntries = () => {
+    if (!fs.existsSync(journalDir)) return 0;
+    return fs.readdirSync(journalDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .reduce((sum, entry) => sum + fs.readdirSync(`${journalDir}/${entry.name}`).filter((file) => file.endsWith('.msgpack')).length, 0);
+  };
+
+  const journal = {
+    // Elements for a finished tile, or null if it (or any of its subtiles) still needs fetching
+    read(dataset, tile) {
+      const base = `${journalDir}/${dataset}/${tileKey(tile)}`;
+
+      if (fs.existsSync(`${base}.msgpack`)) {
+        return msgpackDecode(fs.readFileSync(`${base}.msgpack`));
+      }
+
+      if (fs.existsSync(`${base}.split`)) {
+        const subtiles = JSON.parse(fs.readFileSync(`${base}.split`, 'utf8'));
+        const results = [];
+        for (const subtile of subtiles) {
+          const subtileResults = journal.read(dataset, subtile);
+          if (subtileResults === null) return null;
+          for (let i = 0; i < subtileResults.length; i++) {
+            results.push(subtileResults[i]);
+          }
+        }
+        return results;
+      }
+
+      return null;
+    },
+
+    writeTile(dataset, tile, elements) {
+      writeAtomic(`${datasetDir(dataset)}/${tileKey(tile)}.msgpack`, msgpackEncode(elements));
+    },
+
+    markSplit(dataset, tile, subtiles) {
+      writeAtomic(`${datasetDir(dataset)}/${tileKey(tile)}.split`, JSON.stringify(subtiles));
+    },
+
+    // Keep the oldest timestamp: data from a newer server state doesn't make older tiles any fresher
+    noteTimestamp(timestamp) {
+      if (!timestamp) return;
+      const current = journal.timestamp;
+      if (current !== null && timestamp >= current) return;
+      if (!fs.existsSync(journalDir)) fs.mkdirSync(journalDir, { recursive: true });
+      writeAtomic(timestampPath, timestamp);
+    },
+
+    get timestamp() {
+      return fs.existsSync(timestampPath) ? fs.readFileSync(timestampPath, 'utf8') : null;
+    },
+
+    clear,
+
+    // The whole journal directory, once the download it was for has been written out
+    remove() {
+      if (fs.existsSync(journalDir)) fs.rmSync(journalDir, { recursive: true, force: true });
+    },
+
+    get existingTiles() {
+      return countEntries();
+    },
+  };
+
+  if (!fs.existsSync(journalDir)) fs.mkdirSync(journalDir, { recursive: true });
+  writeAtomic(metaPath, JSON.stringify(meta));
+
+  return journal;
+};
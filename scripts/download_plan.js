@@ -0,0 +1,122 @@
+// Download planning (--plan)
+// Before committing to a big download, every tile of every dataset gets a cheap `out count` query.
+// The counts become raw_data/<code>/plan.json: the tiles to fetch (oversized ones already split,
+// empty ones dropped) plus estimates of requests, time, disk size and the heap/npm script to use.
+// A later download of the same bbox with the same filters and tile size fetches exactly these tiles.
+import fs from 'fs';
+import perfConfig from '../performance_config.js';
+
+const planPath = (placeDir) => `${placeDir}/plan.json`;
+
+export const readPlan = (placeDir) => {
+  if (!fs.existsSync(planPath(placeDir))) return null;
+  return JSON.parse(fs.readFileSync(planPath(placeDir), 'utf8'));
+};
+
+export const writePlan = (placeDir, plan) => {
+  fs.writeFileSync(planPath(placeDir), JSON.stringify(plan, null, 2));
+};
+
+// Whether a plan is too old to trust its counts (plans without a date count as too old)
+export const planExpired = (plan, now = Date.now()) => !(now - Date.parse(plan.createdAt) <= perfConfig.plan.maxAgeDays * 24 * 3600 * 1000);
+
+// Tiles planned for a dataset, or null when there is no plan for exactly this bbox, filters and tile size.
+// Tiles that couldn't be counted (count null) are fetched anyway.
+export const plannedTiles = (plan, dataset, bbox) => {
+  const planned = plan?.datasets?.[dataset.name];
+  if (!planned) return null;
+  if (JSON.stringify(plan.bbox) !== JSON.stringify(bbox)) return null;
+  if (JSON.stringify(planned.filters) !== JSON.stringify(dataset.filters) || planned.tileSize !== dataset.tileSize) return null;
+  return planned.tiles.filter(({ count }) => count !== 0).map(({ tile }) => tile);
+};
+
+// How much smaller than Overpass JSON each output format ends up on disk
+const diskRatio = { msgpack: 0.55, geojson: 0.8, json: 1.0 };
+
+// Smallest npm script of a family (all, all:large, ...) whose --max-old-space-size covers the heap
+const scriptFor = (family, heapMB) => {
+  const { scripts } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  const candidates = Object.entries(scripts)
+    .filter(([name]) => name === family || name.startsWith(`${family}:`))
+    .map(([name, command]) => ({ name, heap: Number(command.match(/--max-old-space-size=(\d+)/)?.[1] || 0) }))
+    .sort((a, b) => a.heap - b.heap);
+  const script = candidates.find(({ heap }) => heap >= heapMB) || candidates[candidates.length - 1];
+  return script ? `npm run ${script.name}` : null;
+};
+
+// Memory tier by building count (the tier limits live next to the heap sizes in performance_config.js)
+const memoryTier = (buildings) => {
+  const { recommendedHeapSize, tierLimits } = perfConfig.memory;
+  const tier = Object.keys(recommendedHeapSize).find((name) => tierLimits[name] === undefined || buildings < tierLimits[name]);
+  return { tier, heapMB: recommendedHeapSize[tier] };
+};
+
+// Turns per-dataset tile counts into request, time, size and memory predictions
+export const estimatePlan = (datasetPlans, datasets) => {
+  const rates = perfConfig.plan;
+  const requestsPerTile = perfConfig.verifyTileCounts ? 2 : 1;
+  const slots = Math.max(1, Math.min(perfConfig.tileConcurrency?.max ?? 1, rates.expectedSlots));
+  const estimate = { requests: 0, seconds: 0, downloadBytes: 0, diskBytes: 0, largestTile: null };
+
+  datasets.forEach((dataset, i) => {
+    const { tiles, total } = datasetPlans[dataset.name];
+    const bytesPerElement = rates.bytesPerElement[dataset.name] ?? rates.bytesPerElement.default;
+    const requests = tiles.filter(({ count }) => count !== 0).length * requestsPerTile;
+    const downloadBytes = total * bytesPerElement;
+
+    estimate.requests += requests;
+    estimate.downloadBytes += downloadBytes;
+    estimate.diskBytes += downloadBytes * (diskRatio[dataset.output] ?? 1);
+    estimate.seconds += Math.ceil(requests / slots) * (rates.secondsPerRequest + perfConfig.requestDelay / 1000)
+      + downloadBytes / rates.downloadBytesPerSecond
+      + (i > 0 ? perfConfig.datasetDelay / 1000 : 0);
+
+    // Each tile response is parsed in one piece, so the biggest one sets the download's memory floor
+    // (tiles that couldn't be counted have count null and say nothing about it)
+    tiles.forEach(({ tile, count }) => {
+      if (count === null) return;
+      const bytes = count * bytesPerElement * rates.parsedOverhead;
+      if (!estimate.largestTile || bytes > estimate.largestTile.bytes) {
+        estimate.largestTile = { dataset: dataset.name, tile, count, bytes };
+      }
+    });
+  });
+
+  const { tier, heapMB } = memoryTier(datasetPlans.buildings?.total ?? 0);
+  return {
+    ...estimate,
+    seconds: Math.round(estimate.seconds),
+    tier,
+    heapMB,
+    scripts: { all: scriptFor('all', heapMB), process: scriptFor('process', heapMB) },
+  };
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.round(seconds / 60)}m`;
+  return `${seconds}s`;
+};
+
+export const printPlan = (place, plan, datasets) => {
+  const { estimate } = plan;
+  console.log(`\n  📊 Download Plan for ${place.name}:`);
+  datasets.forEach((dataset) => {
+    const { total, tiles, failedTiles } = plan.datasets[dataset.name];
+    const fetched = tiles.filter(({ count }) => count !== 0).length;
+    console.log(`    ${`${dataset.label}:`.padEnd(12)}${total.toLocaleString()} elements in ${fetched.toLocaleString()} tiles${failedTiles > 0 ? ` (⚠️  ${failedTiles} tiles couldn't be counted)` : ''}`);
+  });
+  console.log(`    Requests:   ~${estimate.requests.toLocaleString()}`);
+  console.log(`    Time:       ~${formatDuration(estimate.seconds)}`);
+  console.log(`    Download:   ~${formatBytes(estimate.downloadBytes)} (raw_data on disk ~${formatBytes(estimate.diskBytes)})`);
+  if (estimate.largestTile) {
+    console.log(`    Peak tile:  ${estimate.largestTile.count.toLocaleString()} ${estimate.largestTile.dataset} (~${formatBytes(estimate.largestTile.bytes)} while parsing)`);
+  }
+  console.log(`    Memory:     ${estimate.tier} (${estimate.heapMB.toLocaleString()} MB heap) → ${estimate.scripts.all}${estimate.scripts.process ? `, or ${estimate.scripts.process} for processing only` : ''}`);
+};
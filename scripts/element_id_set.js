@@ -0,0 +1,57 @@
+// Compact set of OSM element ids (type + id) for de-duplicating tiled downloads
+// A Set of "way/123" strings costs ~80 bytes per entry, which adds up to gigabytes for
+// multi-million-building cities. This open-addressing table stores each element as one
+// float64 (id * 4 + type, exact for every OSM id), so it needs 16-32 bytes per element.
+
+const typeCodes = { node: 1, way: 2, relation: 3 }; // 0 marks an empty slot
+const TWO_32 = 4294967296;
+
+export const createElementIdSet = (initialCapacity = 1 << 16) => {
+  let capacity = initialCapacity;
+  let slots = new Float64Array(capacity);
+  let size = 0;
+
+  const slotFor = (table, key) => {
+    // Mix both 32-bit halves so ids that only differ in the high bits still spread out
+    const low = key % TWO_32;
+    const high = Math.floor(key / TWO_32);
+    let index = (Math.imul(low ^ Math.imul(high, 0x85ebca6b), 0x9e3779b1) >>> 0) & (table.length - 1);
+    while (table[index] !== 0 && table[index] !== key) {
+      index = (index + 1) & (table.length - 1);
+    }
+    return index;
+  };
+
+  // Double the table once it is half full (keeps probe chains short)
+  const grow = () => {
+    const old = slots;
+    capacity *= 2;
+    slots = new Float64Array(capacity);
+    for (let i = 0; i < old.length; i++) {
+      if (old[i] !== 0) slots[slotFor(slots, old[i])] = old[i];
+    }
+  };
+
+  return {
+    // true if the element wasn't in the set yet
+    add(type, id) {
+      const key = id * 4 + (typeCodes[type] || 0);
+      const index = slotFor(slots, key);
+      if (slots[index] === key) return false;
+
+      slots[index] = key;
+      size++;
+      if (size * 2 > capacity) grow();
+      return true;
+    },
+
+    has(type, id) {
+      const key = id * 4 + (typeCodes[type] || 0);
+      return slots[slotFor(slots, key)] === key;
+    },
+
+    get size() {
+      return size;
+    },
+  };
+};
@@ -0,0 +1,194 @@
+// True building footprints for the buildings index
+// By default every building is written as its bounding rectangle, which is small and fast but makes
+// diagonal and L-shaped buildings cover streets and their neighbours. With place.footprints (or
+// config.footprints) the real outline is simplified instead and written to `p`:
+//   douglas-peucker  drops points closer than `tolerance` meters to the line through their neighbours
+//   visvalingam      drops points whose triangle with their neighbours is smaller than tolerance² m²
+// Outlines with more than maxVertices points left lose their least significant points until they fit.
+// A simplified outline that crosses itself is retried with half the tolerance, and buildings that still
+// don't give a clean outline keep their rectangle.
+
+export const footprintDefaults = {
+  algorithm: 'douglas-peucker',
+  tolerance: 0.5, // meters
+  maxVertices: 24,
+};
+
+const algorithms = ['douglas-peucker', 'visvalingam'];
+
+// Halvings of the tolerance before a building falls back to its rectangle
+const retries = 3;
+
+// config.footprints with the place's own settings on top (true means the defaults), null when neither
+// has one (or the place turns it off with footprints: false)
+export const footprintSetting = (globalSetting, placeSetting) => {
+  if (placeSetting === false || (!globalSetting && !placeSetting)) return null;
+  const setting = {
+    ...footprintDefaults,
+    ...(typeof globalSetting === 'object' ? globalSetting : {}),
+    ...(typeof placeSetting === 'object' ? placeSetting : {}),
+  };
+
+  if (!algorithms.includes(setting.algorithm)) {
+    throw new Error(`footprints.algorithm must be one of ${algorithms.join(', ')} (got ${setting.algorithm})`);
+  }
+  if (!(Number(setting.tolerance) >= 0)) throw new Error(`footprints.tolerance must be a number >= 0 (got ${setting.tolerance})`);
+  if (!(Number(setting.maxVertices) >= 4)) throw new Error(`footprints.maxVertices must be a number >= 4 (got ${setting.maxVertices})`);
+  setting.tolerance = Number(setting.tolerance);
+  setting.maxVertices = Math.floor(Number(setting.maxVertices));
+  return setting;
+};
+
+export const describeFootprints = ({ algorithm, tolerance, maxVertices }) => `${algorithm}, ${tolerance} m, up to ${maxVertices} vertices`;
+
+// ==================== Geometry ====================
+
+// Ring as local meters around its first point (same flat-earth scale as the floor area), without the
+// closing point and without repeated points
+const projectRing = (ring) => {
+  const [lon0, lat0] = ring[0];
+  const scaleX = 111320 * Math.cos(lat0 * Math.PI / 180);
+  const points = [];
+  ring.forEach(([lon, lat], i) => {
+    const previous = points[points.length - 1];
+    if (previous && previous.lon === lon && previous.lat === lat) return;
+    if (i === ring.length - 1 && lon === ring[0][0] && lat === ring[0][1]) return;
+    points.push({ lon, lat, x: (lon - lon0) * scaleX, y: (lat - lat0) * 111320 });
+  });
+  return points;
+};
+
+// Absolute area in m² of the points picked by indexes
+const ringArea = (points, indexes) => {
+  let area = 0;
+  for (let i = 0; i < indexes.length; i++) {
+    const a = points[indexes[i]];
+    const b = points[indexes[(i + 1) % indexes.length]];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area / 2);
+};
+
+const triangleArea = (a, b, c) => Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+
+const segmentDistance = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+};
+
+const segmentsCross = (a, b, c, d) => {
+  const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+  return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+};
+
+// A ring is clean when it has an area and no two of its non-neighbouring edges touch
+const isSimpleRing = (points, indexes) => {
+  const n = indexes.length;
+  if (n < 3 || ringArea(points, indexes) === 0) return false;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      const a = points[indexes[i]];
+      const b = points[indexes[(i + 1) % n]];
+      const c = points[indexes[j]];
+      const d = points[indexes[(j + 1) % n]];
+      if (segmentsCross(a, b, c, d)) return false;
+    }
+  }
+  return true;
+};
+
+// ==================== Simplification ====================
+
+// Douglas-Peucker on a closed ring: split at the point furthest from the first one, then simplify both
+// halves as open lines. Returns the indexes of the points kept, in ring order.
+const douglasPeucker = (points, tolerance) => {
+  const n = points.length;
+  let far = 0;
+  let farDistance = -1;
+  points.forEach((point, i) => {
+    const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+    if (distance > farDistance) {
+      far = i;
+      farDistance = distance;
+    }
+  });
+
+  const keep = new Uint8Array(n);
+  keep[0] = 1;
+  keep[far] = 1;
+  // Index n stands for point 0 again, closing the ring
+  const at = (i) => points[i % n];
+  const stack = [[0, far], [far, n]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let worst = -1;
+    let worstDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(at(i), at(first), at(last));
+      if (distance > worstDistance) {
+        worst = i;
+        worstDistance = distance;
+      }
+    }
+    if (worst === -1) continue;
+    keep[worst] = 1;
+    stack.push([first, worst], [worst, last]);
+  }
+
+  const indexes = [];
+  keep.forEach((kept, i) => { if (kept) indexes.push(i); });
+  return indexes;
+};
+
+// Visvalingam-Whyatt on a closed ring: keep removing the point with the smallest triangle with its
+// neighbours while that triangle is under minArea or there are more than maxVertices points left.
+// Works on (and returns) indexes into points. Building outlines are short, so the smallest triangle
+// is found by a plain scan instead of a heap.
+const visvalingam = (points, indexes, minArea, maxVertices) => {
+  const ring = [...indexes];
+  const areas = ring.map((index, i) => triangleArea(points[ring[(i - 1 + ring.length) % ring.length]], points[index], points[ring[(i + 1) % ring.length]]));
+
+  while (ring.length > 3) {
+    let smallest = 0;
+    for (let i = 1; i < ring.length; i++) {
+      if (areas[i] < areas[smallest]) smallest = i;
+    }
+    if (areas[smallest] >= minArea && ring.length <= maxVertices) break;
+
+    ring.splice(smallest, 1);
+    areas.splice(smallest, 1);
+    [smallest - 1, smallest].forEach((i) => {
+      const k = (i + ring.length) % ring.length;
+      areas[k] = triangleArea(points[ring[(k - 1 + ring.length) % ring.length]], points[ring[k]], points[ring[(k + 1) % ring.length]]);
+    });
+  }
+  return ring;
+};
+
+// Simplified outline of one ring ([lon, lat] points, closed or not) as a closed ring of original
+// points, or null when no clean outline could be made. `capped` tells whether maxVertices cut points.
+export const simplifyFootprint = (ring, { algorithm, tolerance, maxVertices }) => {
+  const points = projectRing(ring);
+  if (points.length < 3) return null;
+  const all = points.map((point, i) => i);
+  if (!isSimpleRing(points, all)) return null;
+
+  for (let attempt = 0, currentTolerance = tolerance; attempt <= retries; attempt++, currentTolerance /= 2) {
+    let indexes = algorithm === 'visvalingam'
+      ? visvalingam(points, all, currentTolerance * currentTolerance, Infinity)
+      : douglasPeucker(points, currentTolerance);
+    const capped = indexes.length > maxVertices;
+    if (capped) indexes = visvalingam(points, indexes, 0, maxVertices);
+
+    if (isSimpleRing(points, indexes)) {
+      const simplified = indexes.map((i) => [points[i].lon, points[i].lat]);
+      simplified.push(simplified[0]);
+      return { ring: simplified, capped, area: ringArea(points, indexes), originalArea: ringArea(points, all) };
+    }
+  }
+  return null;
+};
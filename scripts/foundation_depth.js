@@ -0,0 +1,164 @@
+// Foundation depth model for the buildings index (`f`, levels below ground)
+// By default a building's depth is its building:levels:underground tag or 1. With place.foundations (or
+// config.foundations) it follows the building instead:
+//   - building:levels:underground still wins where it's tagged
+//   - otherwise the building's class (by its building=* type) gives a base depth, plus one level for
+//     every levelsPerDepth levels above ground, up to the class's max
+//   - levels above ground are building:levels + roof:levels, or height / metersPerLevel
+//   - buildings with neither get the median levels of the buildings around them (within inferRadius,
+//     when at least minNeighbours of them are tagged), or just the base depth of their class
+
+export const foundationDefaults = {
+  metersPerLevel: 3,
+  inferRadius: 200, // meters, 0 turns inference off
+  minNeighbours: 3,
+  classes: {
+    light: {
+      types: ['shed', 'garage', 'garages', 'carport', 'hut', 'kiosk', 'greenhouse', 'roof', 'container', 'cabin', 'static_caravan', 'houseboat', 'tree_house', 'ger', 'toilets'],
+      base: 0,
+      levelsPerDepth: 0,
+      max: 0,
+    },
+    house: {
+      types: ['house', 'detached', 'semidetached_house', 'bungalow', 'terrace', 'farm', 'farm_auxiliary', 'barn'],
+      base: 1,
+      levelsPerDepth: 0,
+      max: 1,
+    },
+    // Every type not listed in another class
+    default: {
+      types: [],
+      base: 1,
+      levelsPerDepth: 8,
+      max: 6,
+    },
+  },
+};
+
+const numberFields = ['metersPerLevel', 'inferRadius', 'minNeighbours'];
+const classFields = ['base', 'levelsPerDepth', 'max'];
+
+// config.foundations with the place's own settings on top (true means the defaults), null when neither
+// has one (or the place turns it off with foundations: false). Classes merge class by class, so a
+// setting can change one class or add a new one without repeating the rest.
+export const foundationSetting = (globalSetting, placeSetting) => {
+  if (placeSetting === false || (!globalSetting && !placeSetting)) return null;
+  const layers = [foundationDefaults, globalSetting, placeSetting].filter((layer) => typeof layer === 'object');
+  const setting = { ...foundationDefaults, classes: {} };
+  layers.forEach(({ classes, ...fields }) => {
+    Object.assign(setting, fields);
+    Object.entries(classes || {}).forEach(([name, rule]) => {
+      setting.classes[name] = { ...setting.classes[name], ...rule };
+    });
+  });
+
+  numberFields.forEach((key) => {
+    if (!(Number(setting[key]) >= 0)) throw new Error(`foundations.${key} must be a number >= 0 (got ${setting[key]})`);
+    setting[key] = Number(setting[key]);
+  });
+  Object.entries(setting.classes).forEach(([name, rule]) => {
+    classFields.forEach((key) => {
+      if (!(Number(rule[key]) >= 0)) throw new Error(`foundations.classes.${name}.${key} must be a number >= 0 (got ${rule[key]})`);
+      rule[key] = Number(rule[key]);
+    });
+    if (!Array.isArray(rule.types || [])) throw new Error(`foundations.classes.${name}.types must be a list of building types`);
+    rule.types = rule.types || [];
+  });
+  return setting;
+};
+
+const depthFor = (rule, levels) => {
+  if (!rule.levelsPerDepth || !(levels > 0)) return Math.min(rule.base, rule.max);
+  return Math.min(rule.max, rule.base + Math.floor(levels / rule.levelsPerDepth));
+};
+
+// "12", "12 m", "12.5m", "40'", "40 ft" as meters
+const parseHeight = (value) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(m|ft|')?/i.exec(value || '');
+  if (!match) return null;
+  const height = Number(match[1]);
+  return match[2] && match[2].toLowerCase() !== 'm' ? height * 0.3048 : height;
+};
+
+const parseLevels = (value) => {
+  const levels = parseFloat(value);
+  return Number.isFinite(levels) && levels >= 0 ? levels : null;
+};
+
+// (tags) => { depth, levels, className, source } for one building, depth null when it has to be
+// inferred from its neighbours (source 'pending'). Source is 'tagged', 'levels' or 'class' otherwise.
+export const createFoundationModel = (setting) => {
+  const classOf = new Map();
+  Object.entries(setting.classes).forEach(([name, rule]) => rule.types.forEach((type) => classOf.set(type, name)));
+  const defaultClass = setting.classes.default ? 'default' : Object.keys(setting.classes)[0];
+
+  return (tags) => {
+    const className = classOf.get(tags.building) || defaultClass;
+    const rule = setting.classes[className];
+
+    let levels = parseLevels(tags['building:levels']);
+    if (levels !== null) {
+      levels += parseLevels(tags['roof:levels']) || 0;
+    } else {
+      const height = parseHeight(tags.height);
+      if (height !== null && setting.metersPerLevel > 0) levels = Math.max(1, Math.round(height / setting.metersPerLevel));
+    }
+
+    const underground = parseLevels(tags['building:levels:underground']);
+    if (underground !== null) return { depth: Math.round(underground), levels, className, source: 'tagged' };
+    if (levels !== null) return { depth: depthFor(rule, levels), levels, className, source: 'levels' };
+    // Only worth looking at the neighbours when levels change this class's depth
+    if (rule.levelsPerDepth > 0 && setting.inferRadius > 0) return { depth: null, levels, className, source: 'pending' };
+    return { depth: depthFor(rule, null), levels, className, source: 'class' };
+  };
+};
+
+// Fill in the depth of buildings the model left pending (summaries with foundationDepth null and a
+// foundationClass), from the median levels of the buildings with known levels in the 3x3 block of
+// inferRadius-sized cells around them. Returns how many were inferred and how many got the class base.
+export const inferFoundationDepths = (buildings, setting) => {
+  const cellSize = setting.inferRadius / 111320; // degrees
+  const cellKey = (col, row) => `${col},${row}`;
+  const cellOf = ([lon, lat]) => [Math.floor(lon / cellSize), Math.floor(lat / cellSize)];
+
+  const known = new Map();
+  buildings.forEach(({ center, levels }) => {
+    if (!(levels > 0)) return;
+    const key = cellKey(...cellOf(center));
+    if (!known.has(key)) known.set(key, []);
+    known.get(key).push(levels);
+  });
+
+  // One median per cell, shared by every pending building in it
+  const medians = new Map();
+  const medianAround = (col, row) => {
+    const key = cellKey(col, row);
+    if (medians.has(key)) return medians.get(key);
+    const levels = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (known.get(cellKey(col + dx, row + dy)) || []).forEach((value) => levels.push(value));
+      }
+    }
+    let median = null;
+    if (levels.length > 0 && levels.length >= setting.minNeighbours) {
+      levels.sort((a, b) => a - b);
+      const middle = levels.length >> 1;
+      median = levels.length % 2 ? levels[middle] : (levels[middle - 1] + levels[middle]) / 2;
+    }
+    medians.set(key, median);
+    return median;
+  };
+
+  let inferred = 0;
+  let defaulted = 0;
+  buildings.forEach((building) => {
+    if (building.foundationDepth !== null) return;
+    const rule = setting.classes[building.foundationClass];
+    const levels = medianAround(...cellOf(building.center));
+    building.foundationDepth = depthFor(rule, levels);
+    if (levels === null) defaulted++;
+    else inferred++;
+  });
+  return { inferred, defaulted };
+};
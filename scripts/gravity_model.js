@@ -0,0 +1,128 @@
+// Distance-decay gravity model for the modeled demand
+// Without it every origin sends its residents to every destination in proportion to that destination's
+// share of all jobs, however far away it is. With place.gravity (or config.gravity) trips fall off with
+// the distance d (km, floored at minDistance so a neighborhood's own jobs and its neighbours stay finite):
+//   exponential  f(d) = exp(-beta * d)
+//   power        f(d) = d^-alpha
+//   gamma        f(d) = d^-alpha * exp(-beta * d)
+// and nobody travels further than maxTripLength. A doubly-constrained (Furness/IPF) balancing then scales
+// the flows so every origin sends exactly its residents and every destination receives its share of jobs.
+
+export const gravityDefaults = {
+  impedance: 'exponential',
+  beta: 0.1, // per km
+  alpha: 2,
+  minDistance: 0.5, // km
+  maxTripLength: 50, // km
+  iterations: 50,
+  tolerance: 0.01, // largest relative miss of a destination's jobs share that counts as balanced
+};
+
+const impedances = ['exponential', 'power', 'gamma'];
+
+// config.gravity with the place's own settings on top, null when neither has one (or the place
+// turns it off with gravity: false)
+export const gravitySetting = (globalSetting, placeSetting) => {
+  if (placeSetting === false || (!globalSetting && !placeSetting)) return null;
+  const setting = { ...gravityDefaults, ...(globalSetting || {}), ...(placeSetting || {}) };
+
+  if (!impedances.includes(setting.impedance)) {
+    throw new Error(`gravity.impedance must be one of ${impedances.join(', ')} (got ${setting.impedance})`);
+  }
+  ['beta', 'alpha', 'minDistance', 'maxTripLength', 'iterations', 'tolerance'].forEach((key) => {
+    if (!(Number(setting[key]) >= 0)) throw new Error(`gravity.${key} must be a number >= 0 (got ${setting[key]})`);
+    setting[key] = Number(setting[key]);
+  });
+  return setting;
+};
+
+// f(distance in km), 0 beyond maxTripLength
+export const createImpedance = ({ impedance, alpha, beta, minDistance, maxTripLength }) => {
+  const decay = {
+    exponential: (d) => Math.exp(-beta * d),
+    power: (d) => Math.pow(d, -alpha),
+    gamma: (d) => Math.pow(d, -alpha) * Math.exp(-beta * d),
+  }[impedance];
+  return (distance) => (distance > maxTripLength ? 0 : decay(Math.max(distance, minDistance || 1e-3)));
+};
+
+export const describeGravity = ({ impedance, alpha, beta, maxTripLength }) => {
+  const parameters = {
+    exponential: `β ${beta}/km`,
+    power: `α ${alpha}`,
+    gamma: `α ${alpha}, β ${beta}/km`,
+  }[impedance];
+  return `${impedance}, ${parameters}, trips up to ${maxTripLength} km`;
+};
+
+// Row step for one origin with weights f[i][columns[k]] = weights[k]: returns its row factor (0 when it
+// has no residents or reaches nothing) and adds its flows at the current column factors to columnSums
+export const rowStep = (columns, weights, total, columnFactors, columnSums) => {
+  let sum = 0;
+  for (let k = 0; k < columns.length; k++) sum += weights[k] * columnFactors[columns[k]];
+  const rowFactor = sum > 0 && total > 0 ? total / sum : 0;
+  if (rowFactor > 0) {
+    for (let k = 0; k < columns.length; k++) columnSums[columns[k]] += rowFactor * weights[k];
+  }
+  return rowFactor;
+};
+
+// Furness balancing of T[i][j] = rowFactors[i] * f[i][j] * columnFactors[j], holding only the factors.
+// The weights f[i][j] are never stored: sweep(columnFactors) recomputes them for a row step over every
+// origin (see rowStep) and resolves with { rowFactors, columnSums }, so the workers can do it in pieces.
+// Origins that can't reach any destination (and destinations no origin reaches) are left out, and the
+// remaining job totals are scaled to the residents that can travel, so both sides can be met.
+// Ends on a row step: origin totals are exact, destination totals within the returned error.
+export const balanceFlows = async (sweep, originTotals, destinationTotals, { iterations, tolerance }) => {
+  const destinationCount = destinationTotals.length;
+  const columnFactors = new Float64Array(destinationCount).fill(1);
+
+  // The first sweep, with every column factor at 1, also tells who reaches what
+  let { rowFactors, columnSums } = await sweep(columnFactors);
+  let unreachableResidents = 0;
+  let unreachableOrigins = 0;
+  let travellingResidents = 0;
+  originTotals.forEach((total, i) => {
+    if (total <= 0) return;
+    if (rowFactors[i] === 0) {
+      unreachableOrigins++;
+      unreachableResidents += total;
+    } else {
+      travellingResidents += total;
+    }
+  });
+
+  let reachedJobs = 0;
+  let unreachedJobs = 0;
+  for (let j = 0; j < destinationCount; j++) {
+    if (columnSums[j] > 0) reachedJobs += destinationTotals[j];
+    else unreachedJobs += destinationTotals[j];
+  }
+  const targets = new Float64Array(destinationCount);
+  for (let j = 0; j < destinationCount; j++) {
+    targets[j] = columnSums[j] > 0 && reachedJobs > 0 ? destinationTotals[j] * travellingResidents / reachedJobs : 0;
+  }
+
+  let error = Infinity;
+  let iteration = 0;
+  while (iteration < iterations) {
+    iteration++;
+    if (iteration > 1) ({ rowFactors, columnSums } = await sweep(columnFactors));
+
+    // Column step, measuring how far each destination was off before correcting it
+    error = 0;
+    for (let j = 0; j < destinationCount; j++) {
+      if (columnSums[j] === 0 || targets[j] === 0) continue;
+      error = Math.max(error, Math.abs(columnFactors[j] * columnSums[j] - targets[j]) / targets[j]);
+      columnFactors[j] = targets[j] / columnSums[j];
+    }
+    if (error < tolerance) break;
+  }
+  ({ rowFactors } = await sweep(columnFactors));
+
+  return {
+    rowFactors,
+    columnFactors,
+    stats: { iterations: iteration, error, unreachableOrigins, unreachableResidents, unreachedJobs },
+  };
+};
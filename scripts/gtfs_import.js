@@ -0,0 +1,291 @@
+// GTFS import
+// Published timetables (local GTFS zips) as a second transit reference layer and as a demand signal:
+//   transit      - transit_gtfs.geojson, shaped like transit.geojson: kind 'route' (one line per direction,
+//                  drawn through the stops of its longest trip) and kind 'station' with its departures
+//   stations     - stops grouped into their parent station with departures and modes, which
+//                  processPlaceConnections uses to boost jobs near busy stations and to add hub points
+// Departures are counted on one service day: gtfs.date when it's set, otherwise the feed's busiest day.
+import path from 'path';
+import { openZip } from './zip_file.js';
+import { readCsvStream } from './csv_file.js';
+import { defaultColours, normalizeColour, lineLength } from './transit_reference.js';
+
+// route_type -> mode: the basic GTFS types, then the extended (hierarchical vehicle type) ranges
+const basicModes = {
+  0: 'light_rail', 1: 'subway', 2: 'rail', 3: 'bus', 4: 'ferry', 5: 'cable_car',
+  6: 'aerial_lift', 7: 'funicular', 11: 'trolleybus', 12: 'monorail',
+};
+const extendedModes = [
+  [100, 'rail'], [200, 'bus'], [400, 'subway'], [700, 'bus'], [800, 'trolleybus'],
+  [900, 'light_rail'], [1000, 'ferry'], [1300, 'aerial_lift'], [1400, 'funicular'],
+];
+
+const modeOf = (routeType) => {
+  const type = Number(routeType);
+  if (basicModes[type]) return basicModes[type];
+  const range = extendedModes.find(([start]) => type >= start && type < start + 100);
+  return range ? range[1] : 'other';
+};
+
+// ==================== Reading ====================
+
+// Values of the given columns for every row of one feed file ('' for columns the file doesn't have),
+// nothing at all when the feed doesn't include the file. Feeds zipped with a top folder work too.
+async function* readGtfsFile(zip, fileName, columns) {
+  const entry = zip.names.find((name) => name === fileName || name.endsWith(`/${fileName}`));
+  if (!entry) return;
+
+  let indexes = null;
+  for await (const { header, fields } of readCsvStream(zip.openEntry(entry))) {
+    if (!indexes) indexes = columns.map((column) => header.indexOf(column));
+    yield indexes.map((index) => (index === -1 ? '' : (fields[index] ?? '').trim()));
+  }
+}
+
+const requireFiles = (zip, filePath, fileNames) => {
+  fileNames.forEach((fileName) => {
+    if (!zip.names.some((name) => name === fileName || name.endsWith(`/${fileName}`))) {
+      throw new Error(`${filePath} has no ${fileName}, is it a GTFS feed?`);
+    }
+  });
+};
+
+// ==================== Service Day ====================
+
+const parseDay = (day) => new Date(Date.UTC(Number(day.slice(0, 4)), Number(day.slice(4, 6)) - 1, Number(day.slice(6, 8))));
+const formatDay = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Services running on the service day, from calendar.txt and calendar_dates.txt.
+// Returns { day: 'YYYYMMDD', services: Set } or { day: null, services: null } (every trip counts)
+// for feeds without any calendar.
+const serviceDay = async (zip, tripsPerService, date) => {
+  const calendar = new Map();
+  const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  for await (const [serviceId, start, end, ...days] of readGtfsFile(zip, 'calendar.txt', ['service_id', 'start_date', 'end_date', ...weekdays])) {
+    calendar.set(serviceId, { start, end, days: days.map((day) => day === '1') });
+  }
+
+  // exception_type 1 adds the service on that day, 2 removes it
+  const exceptions = new Map();
+  for await (const [serviceId, day, type] of readGtfsFile(zip, 'calendar_dates.txt', ['service_id', 'date', 'exception_type'])) {
+    if (!exceptions.has(day)) exceptions.set(day, []);
+    exceptions.get(day).push([serviceId, type === '1']);
+  }
+
+  if (calendar.size === 0 && exceptions.size === 0) return { day: null, services: null };
+
+  const servicesOn = (day) => {
+    const weekday = parseDay(day).getUTCDay();
+    const services = new Set();
+    calendar.forEach(({ start, end, days }, serviceId) => {
+      if (days[weekday] && day >= start && day <= end) services.add(serviceId);
+    });
+    (exceptions.get(day) || []).forEach(([serviceId, added]) => {
+      if (added) services.add(serviceId);
+      else services.delete(serviceId);
+    });
+    return services;
+  };
+
+  if (date) {
+    const day = date.replace(/-/g, '');
+    return { day, services: servicesOn(day) };
+  }
+
+  // Every day the calendar covers or an exception mentions, the one with the most trips wins
+  const candidates = new Set(exceptions.keys());
+  calendar.forEach(({ start, end }) => {
+    for (let day = parseDay(start); day <= parseDay(end); day.setUTCDate(day.getUTCDate() + 1)) {
+      candidates.add(formatDay(day));
+    }
+  });
+
+  let best = { day: null, services: new Set(), trips: -1 };
+  [...candidates].sort().forEach((day) => {
+    const services = servicesOn(day);
+    let trips = 0;
+    services.forEach((serviceId) => { trips += tripsPerService.get(serviceId) || 0; });
+    if (trips > best.trips) best = { day, services, trips };
+  });
+  return best;
+};
+
+// ==================== Feeds ====================
+
+const readFeed = async (filePath, { date, modes }, bbox, isInside, result) => {
+  const zip = openZip(filePath);
+  requireFiles(zip, filePath, ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt']);
+  const feedName = path.basename(filePath).replace(/\.zip$/i, '');
+
+  const agencies = new Map();
+  for await (const [agencyId, agencyName] of readGtfsFile(zip, 'agency.txt', ['agency_id', 'agency_name'])) {
+    agencies.set(agencyId, agencyName);
+  }
+  const [defaultAgency] = agencies.values();
+
+  const routes = new Map();
+  for await (const [routeId, agencyId, shortName, longName, type, colour] of readGtfsFile(zip, 'routes.txt', ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'])) {
+    const mode = modeOf(type);
+    if (modes && !modes.includes(mode)) continue;
+    routes.set(routeId, {
+      mode,
+      name: longName || shortName,
+      ref: shortName,
+      colour: normalizeColour(colour) || defaultColours[mode] || '#666666',
+      operator: agencies.get(agencyId) || defaultAgency || '',
+    });
+  }
+
+  // Platforms and entrances count towards their parent station
+  const stops = new Map();
+  for await (const [stopId, name, lat, lon, parent] of readGtfsFile(zip, 'stops.txt', ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'parent_station'])) {
+    const location = [Number(lon), Number(lat)];
+    if (!Number.isFinite(location[0]) || !Number.isFinite(location[1])) continue;
+    stops.set(stopId, { name, location, station: parent || stopId });
+  }
+  // A parent station missing from stops.txt leaves the stop on its own
+  stops.forEach((stop, stopId) => {
+    if (!stops.has(stop.station)) stop.station = stopId;
+  });
+
+  const trips = new Map();
+  const tripsPerService = new Map();
+  for await (const [tripId, routeId, serviceId, direction] of readGtfsFile(zip, 'trips.txt', ['trip_id', 'route_id', 'service_id', 'direction_id'])) {
+    if (!routes.has(routeId)) continue;
+    trips.set(tripId, { routeId, serviceId, direction, stops: 0 });
+    tripsPerService.set(serviceId, (tripsPerService.get(serviceId) || 0) + 1);
+  }
+
+  const { day, services } = await serviceDay(zip, tripsPerService, date);
+
+  // Pass 1: departures per station on the service day, and the number of stops of every trip
+  const stations = new Map();
+  for await (const [tripId, stopId, pickupType] of readGtfsFile(zip, 'stop_times.txt', ['trip_id', 'stop_id', 'pickup_type'])) {
+    const trip = trips.get(tripId);
+    const stop = stops.get(stopId);
+    if (!trip || !stop) continue;
+    trip.stops++;
+
+    // pickup_type 1: passengers can't board here (usually the last stop)
+    if (pickupType === '1' || (services && !services.has(trip.serviceId))) continue;
+    if (!stations.has(stop.station)) stations.set(stop.station, { departures: 0, modes: new Set() });
+    const station = stations.get(stop.station);
+    station.departures++;
+    station.modes.add(routes.get(trip.routeId).mode);
+  }
+
+  // Each route is drawn through the stops of its longest trip per direction
+  const longestTrips = new Map();
+  trips.forEach((trip, tripId) => {
+    const key = `${trip.routeId}\u0000${trip.direction}`;
+    const longest = longestTrips.get(key);
+    if (!longest || trip.stops > trips.get(longest).stops) longestTrips.set(key, tripId);
+  });
+  const drawnTrips = new Map([...longestTrips.values()].map((tripId) => [tripId, []]));
+
+  // Pass 2: the stop sequence of just those trips
+  for await (const [tripId, stopId, sequence] of readGtfsFile(zip, 'stop_times.txt', ['trip_id', 'stop_id', 'stop_sequence'])) {
+    const sequenceStops = drawnTrips.get(tripId);
+    if (sequenceStops && stops.has(stopId)) sequenceStops.push([Number(sequence), stopId]);
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const inPlace = ([lon, lat]) => lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat
+    && (!isInside || isInside(lon, lat));
+
+  const routeLines = new Map();
+  drawnTrips.forEach((sequenceStops, tripId) => {
+    const locations = sequenceStops.sort((a, b) => a[0] - b[0]).map(([, stopId]) => stops.get(stopId).location);
+    if (locations.length < 2 || !locations.some(inPlace)) return;
+    const { routeId } = trips.get(tripId);
+    if (!routeLines.has(routeId)) routeLines.set(routeId, []);
+    routeLines.get(routeId).push(locations);
+  });
+
+  routeLines.forEach((lines, routeId) => {
+    const route = routes.get(routeId);
+    result.transit.features.push({
+      type: 'Feature',
+      id: `${feedName}/route/${routeId}`,
+      properties: { kind: 'route', mode: route.mode, name: route.name, ref: route.ref, colour: route.colour, operator: route.operator },
+      geometry: { type: 'MultiLineString', coordinates: lines },
+    });
+    result.stats.routes++;
+    result.stats.routeKm += lines.reduce((sum, line) => sum + lineLength(line), 0) / 1000;
+  });
+
+  stations.forEach(({ departures, modes: stationModes }, stationId) => {
+    const stop = stops.get(stationId);
+    if (!inPlace(stop.location)) return;
+    const station = {
+      id: `${feedName}/${stationId}`,
+      name: stop.name,
+      location: stop.location,
+      departures,
+      modes: [...stationModes],
+    };
+    result.stations.push(station);
+    result.transit.features.push({
+      type: 'Feature',
+      id: `${feedName}/stop/${stationId}`,
+      properties: { kind: 'station', mode: station.modes[0], modes: station.modes, name: station.name, departures },
+      geometry: { type: 'Point', coordinates: station.location },
+    });
+    result.stats.stations++;
+    result.stats.departures += departures;
+  });
+
+  const dayLabel = day && `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`;
+  result.stats.feeds.push({ file: filePath, day: dayLabel, routes: routeLines.size, trips: trips.size });
+};
+
+// place.gtfs (or config.gtfs): a zip path, a list of them, or { feeds, date, modes, jobBoost, hubs }.
+// Returns { transit, stations, stats, setting } for the stations inside the place, or null without a setting.
+export const loadGtfs = async (gtfsSetting, bbox, isInside) => {
+  if (!gtfsSetting) return null;
+  const setting = typeof gtfsSetting === 'string' || Array.isArray(gtfsSetting) ? { feeds: gtfsSetting } : gtfsSetting;
+  const feeds = [].concat(setting.feeds || []);
+  if (feeds.length === 0) throw new Error('gtfs needs at least one feed (a path to a GTFS zip)');
+
+  const result = {
+    transit: { type: 'FeatureCollection', features: [] },
+    stations: [],
+    stats: { feeds: [], routes: 0, stations: 0, departures: 0, routeKm: 0 },
+    setting,
+  };
+  for (const filePath of feeds) {
+    await readFeed(filePath, setting, bbox, isInside, result);
+  }
+  result.stats.routeKm = Math.round(result.stats.routeKm);
+  return result;
+};
+
+// ==================== Demand ====================
+
+// Jobs boost per neighborhood from the departures of the stations inside it: the busiest neighborhood
+// gets jobBoost more jobs (0.3 = +30%), the others proportionally less. Hubs are stations with at least
+// hubs.minDepartures departures, returned as extra destinations with jobsPerDeparture jobs per departure.
+export const gtfsDemand = ({ stations, setting }, neighborhoodAt) => {
+  const departuresPerNeighborhood = new Map();
+  stations.forEach((station) => {
+    const placeID = neighborhoodAt(station.location[0], station.location[1]);
+    if (placeID) departuresPerNeighborhood.set(placeID, (departuresPerNeighborhood.get(placeID) || 0) + station.departures);
+  });
+
+  const jobBoost = Number(setting.jobBoost) || 0;
+  const maxDepartures = Math.max(0, ...departuresPerNeighborhood.values());
+  const boosts = new Map();
+  if (jobBoost > 0 && maxDepartures > 0) {
+    departuresPerNeighborhood.forEach((departures, placeID) => {
+      boosts.set(placeID, { departures, factor: 1 + jobBoost * departures / maxDepartures });
+    });
+  }
+
+  const hubSetting = setting.hubs === true ? {} : setting.hubs;
+  const hubs = !hubSetting ? [] : stations
+    .filter((station) => station.departures >= (hubSetting.minDepartures ?? 1000))
+    .sort((a, b) => b.departures - a.departures)
+    .map((station) => ({ ...station, jobs: Math.round(station.departures * (hubSetting.jobsPerDeparture ?? 1)) }));
+
+  return { boosts, hubs };
+};
@@ -0,0 +1,296 @@
+// Land use classification of generic buildings
+// Most buildings in OSM are just building=yes, which the floor area tables count as housing. With the
+// landuse polygons and the amenity/shop/office POIs downloaded next to the buildings, every generic
+// building is looked at again in the building workers:
+//   - a building in a landuse that maps to a job type (commercial, industrial, ...) becomes jobs, of
+//     the type of the POIs inside it when it has any, of the landuse's type otherwise
+//   - a building elsewhere with POIs inside (or shop/office/amenity tags of its own) becomes mixed use:
+//     its ground floor holds jobs of the POIs' type and the floors above stay homes
+//   - anything else stays residential
+// The polygons and POIs are packed into SharedArrayBuffers with a grid over the place, so every worker
+// looks them up without a copy of its own.
+import fs from 'fs';
+import config from '../config.js';
+import { readDatasetItems } from './dataset_files.js';
+
+const foodAndServices = ['restaurant', 'cafe', 'fast_food', 'bar', 'pub', 'food_court', 'ice_cream', 'bank', 'bureau_de_change', 'pharmacy', 'cinema', 'theatre', 'nightclub', 'marketplace', 'post_office', 'dentist', 'doctors', 'veterinary', 'car_rental', 'coworking_space'];
+
+export const landUseDefaults = {
+  types: ['yes'], // building=* values that get reclassified
+  // landuse=* value -> building type whose floor area rate applies (see density_presets.js)
+  landuse: {
+    residential: 'residential',
+    commercial: 'commercial',
+    retail: 'retail',
+    industrial: 'industrial',
+    port: 'industrial',
+    railway: 'transportation',
+    education: 'school',
+    institutional: 'government',
+    religious: 'religious',
+  },
+  // POIs: every shop and office, and these amenities
+  shop: 'retail',
+  office: 'office',
+  amenity: {
+    ...Object.fromEntries(foodAndServices.map((amenity) => [amenity, 'commercial'])),
+    school: 'school',
+    kindergarten: 'kindergarten',
+    college: 'college',
+    university: 'university',
+    hospital: 'hospital',
+    clinic: 'hospital',
+    townhall: 'government',
+    courthouse: 'government',
+    police: 'government',
+    fire_station: 'fire_station',
+    place_of_worship: 'religious',
+    library: 'public',
+    arts_centre: 'public',
+  },
+  mixedJobShare: 0.25, // floor area share of mixed use jobs when the building has no building:levels
+};
+
+// Defaults with config.landUse and the place's landUse on top (maps merge entry by entry, null drops
+// one), null when the place or config turns it off with landUse: false
+export const landUseSetting = (place) => {
+  const layers = [config.landUse, place?.landUse];
+  if (layers.includes(false)) return null;
+  const setting = { ...landUseDefaults, landuse: { ...landUseDefaults.landuse }, amenity: { ...landUseDefaults.amenity } };
+  layers.filter((layer) => typeof layer === 'object' && layer !== null).forEach(({ landuse, amenity, ...fields }) => {
+    Object.assign(setting, fields);
+    Object.assign(setting.landuse, landuse);
+    Object.assign(setting.amenity, amenity);
+  });
+  ['landuse', 'amenity'].forEach((key) => {
+    Object.keys(setting[key]).forEach((value) => { if (!setting[key][value]) delete setting[key][value]; });
+  });
+  if (!(setting.mixedJobShare >= 0 && setting.mixedJobShare <= 1)) {
+    throw new Error(`landUse.mixedJobShare must be between 0 and 1 (got ${setting.mixedJobShare})`);
+  }
+  return setting;
+};
+
+// Every landuse and amenity value some place with land use on uses, so one download covers all of
+// them. null when every place has it off.
+export const landUseValues = () => {
+  const settings = config.places.map(landUseSetting).filter(Boolean);
+  if (settings.length === 0) return null;
+  const landuse = new Set();
+  const amenity = new Set();
+  settings.forEach((setting) => {
+    Object.keys(setting.landuse).forEach((value) => landuse.add(value));
+    Object.keys(setting.amenity).forEach((value) => amenity.add(value));
+  });
+  return { landuse: [...landuse].sort(), amenity: [...amenity].sort() };
+};
+
+// Building type a POI (or a building's own tags) stands for, undefined when it isn't one
+export const poiTypeOf = (setting, tags) => {
+  if (tags.shop && setting.shop) return setting.shop;
+  if (tags.office && setting.office) return setting.office;
+  return setting.amenity[tags.amenity];
+};
+
+// ==================== Index ====================
+
+const cellSize = 0.005; // degrees
+const sharedArray = (Type, length) => new Type(new SharedArrayBuffer(Math.max(1, length) * Type.BYTES_PER_ELEMENT));
+
+// Tells indexes apart in the workers, which keep their lookup for as long as they see the same index
+let indexCount = 0;
+
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  return Math.abs(area / 2);
+};
+
+// Compressed lists of item indexes per grid cell, items given by their bboxes
+const buildGrid = ([minLon, minLat, maxLon, maxLat], bboxes) => {
+  const cols = Math.max(1, Math.ceil((maxLon - minLon) / cellSize));
+  const rows = Math.max(1, Math.ceil((maxLat - minLat) / cellSize));
+  const cellRange = (item) => {
+    const clampCol = (lon) => Math.min(cols - 1, Math.max(0, Math.floor((lon - minLon) / cellSize)));
+    const clampRow = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat - minLat) / cellSize)));
+    return [clampCol(bboxes[item * 4]), clampRow(bboxes[item * 4 + 1]), clampCol(bboxes[item * 4 + 2]), clampRow(bboxes[item * 4 + 3])];
+  };
+
+  const cellStart = sharedArray(Int32Array, cols * rows + 1);
+  const itemCount = bboxes.length / 4;
+  for (let item = 0; item < itemCount; item++) {
+    const [col0, row0, col1, row1] = cellRange(item);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) cellStart[row * cols + col + 1]++;
+    }
+  }
+  for (let cell = 0; cell < cols * rows; cell++) cellStart[cell + 1] += cellStart[cell];
+
+  const cellItems = sharedArray(Int32Array, cellStart[cols * rows]);
+  const fill = Int32Array.from(cellStart.subarray(0, cols * rows));
+  for (let item = 0; item < itemCount; item++) {
+    const [col0, row0, col1, row1] = cellRange(item);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) cellItems[fill[row * cols + col]++] = item;
+    }
+  }
+  return { origin: [minLon, minLat], cols, rows, cellStart, cellItems };
+};
+
+// Landuse polygons and POIs of a place, or null when the download has neither (older downloads)
+export const buildLandUseIndex = async (place, bbox, setting) => {
+  const landusePath = `./raw_data/${place.code}/landuse.msgpack`;
+  const poisPath = `./raw_data/${place.code}/pois.msgpack`;
+  if (!fs.existsSync(landusePath) && !fs.existsSync(poisPath)) return null;
+
+  const typeNames = [];
+  const typeIndex = (type) => {
+    if (!typeNames.includes(type)) typeNames.push(type);
+    return typeNames.indexOf(type);
+  };
+
+  // Polygons: one per part, first ring outer, the rest holes
+  const coords = [];
+  const ringStart = [0];
+  const polygonRingStart = [0];
+  const polygonTypes = [];
+  const polygonAreas = [];
+  const polygonBboxes = [];
+  if (fs.existsSync(landusePath)) {
+    for await (const element of readDatasetItems(landusePath, 'msgpack')) {
+      const type = setting.landuse[element.tags?.landuse];
+      if (!type || !element.polygons) continue;
+      element.polygons.forEach((rings) => {
+        let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+        rings[0].forEach(([lon, lat]) => {
+          if (lon < minLon) minLon = lon;
+          if (lon > maxLon) maxLon = lon;
+          if (lat < minLat) minLat = lat;
+          if (lat > maxLat) maxLat = lat;
+        });
+        if (maxLon < bbox[0] || minLon > bbox[2] || maxLat < bbox[1] || minLat > bbox[3]) return;
+        rings.forEach((ring) => {
+          ring.forEach(([lon, lat]) => coords.push(lon, lat));
+          ringStart.push(coords.length / 2);
+        });
+        polygonRingStart.push(ringStart.length - 1);
+        polygonTypes.push(typeIndex(type));
+        polygonAreas.push(rings.slice(1).reduce((area, hole) => area - ringArea(hole), ringArea(rings[0])));
+        polygonBboxes.push(minLon, minLat, maxLon, maxLat);
+      });
+    }
+  }
+
+  const poiLons = [];
+  const poiLats = [];
+  const poiTypes = [];
+  if (fs.existsSync(poisPath)) {
+    for await (const element of readDatasetItems(poisPath, 'msgpack')) {
+      const type = poiTypeOf(setting, element.tags || {});
+      if (!type || !(element.lon >= bbox[0] && element.lon <= bbox[2] && element.lat >= bbox[1] && element.lat <= bbox[3])) continue;
+      poiLons.push(element.lon);
+      poiLats.push(element.lat);
+      poiTypes.push(typeIndex(type));
+    }
+  }
+
+  const toShared = (Type, values) => {
+    const array = sharedArray(Type, values.length);
+    array.set(values);
+    return array;
+  };
+  const poiBboxes = new Float64Array(poiLons.length * 4);
+  poiLons.forEach((lon, i) => poiBboxes.set([lon, poiLats[i], lon, poiLats[i]], i * 4));
+
+  indexCount++;
+  return {
+    id: indexCount,
+    typeNames,
+    polygonCount: polygonTypes.length,
+    coords: toShared(Float64Array, coords),
+    ringStart: toShared(Int32Array, ringStart),
+    polygonRingStart: toShared(Int32Array, polygonRingStart),
+    polygonTypes: toShared(Uint8Array, polygonTypes),
+    polygonAreas: toShared(Float64Array, polygonAreas),
+    polygonGrid: buildGrid(bbox, polygonBboxes),
+    poiCount: poiTypes.length,
+    poiLons: toShared(Float64Array, poiLons),
+    poiLats: toShared(Float64Array, poiLats),
+    poiTypes: toShared(Uint8Array, poiTypes),
+    poiGrid: buildGrid(bbox, poiBboxes),
+  };
+};
+
+// ==================== Lookup ====================
+
+const cellsOf = ({ origin, cols, rows }, minLon, minLat, maxLon, maxLat) => {
+  const col0 = Math.floor((minLon - origin[0]) / cellSize);
+  const row0 = Math.floor((minLat - origin[1]) / cellSize);
+  const col1 = Math.floor((maxLon - origin[0]) / cellSize);
+  const row1 = Math.floor((maxLat - origin[1]) / cellSize);
+  const cells = [];
+  for (let row = Math.max(0, row0); row <= Math.min(rows - 1, row1); row++) {
+    for (let col = Math.max(0, col0); col <= Math.min(cols - 1, col1); col++) cells.push(row * cols + col);
+  }
+  return cells;
+};
+
+// (center, bbox, containsPoint) => { landuse, poiType, pois } for one building: the type of the
+// smallest landuse polygon around its center, and the most common type of the POIs inside it
+export const createLandUseLookup = (index) => {
+  const { typeNames, coords, ringStart, polygonRingStart, polygonTypes, polygonAreas, polygonGrid, poiLons, poiLats, poiTypes, poiGrid } = index;
+
+  const ringContains = (ring, lon, lat) => {
+    let inside = false;
+    for (let i = ringStart[ring], j = ringStart[ring + 1] - 1; i < ringStart[ring + 1]; j = i++) {
+      const x1 = coords[i * 2], y1 = coords[i * 2 + 1];
+      const x2 = coords[j * 2], y2 = coords[j * 2 + 1];
+      if ((y1 > lat) !== (y2 > lat) && lon < ((x2 - x1) * (lat - y1)) / (y2 - y1) + x1) inside = !inside;
+    }
+    return inside;
+  };
+  const polygonContains = (polygon, lon, lat) => {
+    const first = polygonRingStart[polygon];
+    if (!ringContains(first, lon, lat)) return false;
+    for (let ring = first + 1; ring < polygonRingStart[polygon + 1]; ring++) {
+      if (ringContains(ring, lon, lat)) return false;
+    }
+    return true;
+  };
+
+  return ([lon, lat], [minLon, minLat, maxLon, maxLat], containsPoint) => {
+    let landuse = null;
+    let smallest = Infinity;
+    cellsOf(polygonGrid, lon, lat, lon, lat).forEach((cell) => {
+      for (let k = polygonGrid.cellStart[cell]; k < polygonGrid.cellStart[cell + 1]; k++) {
+        const polygon = polygonGrid.cellItems[k];
+        if (polygonAreas[polygon] < smallest && polygonContains(polygon, lon, lat)) {
+          landuse = typeNames[polygonTypes[polygon]];
+          smallest = polygonAreas[polygon];
+        }
+      }
+    });
+
+    const counts = new Map();
+    let pois = 0;
+    cellsOf(poiGrid, minLon, minLat, maxLon, maxLat).forEach((cell) => {
+      for (let k = poiGrid.cellStart[cell]; k < poiGrid.cellStart[cell + 1]; k++) {
+        const poi = poiGrid.cellItems[k];
+        const poiLon = poiLons[poi];
+        const poiLat = poiLats[poi];
+        if (poiLon < minLon || poiLon > maxLon || poiLat < minLat || poiLat > maxLat || !containsPoint([poiLon, poiLat])) continue;
+        pois++;
+        counts.set(poiTypes[poi], (counts.get(poiTypes[poi]) || 0) + 1);
+      }
+    });
+    let poiType = null;
+    let most = 0;
+    counts.forEach((count, type) => {
+      if (count > most) {
+        poiType = typeNames[type];
+        most = count;
+      }
+    });
+    return { landuse, poiType, pois };
+  };
+};
@@ -0,0 +1,100 @@
+// Multipolygon assembly for building relations
+// Overpass (and the extract reader) return relations as member ways with geometry. Outer and inner
+// boundaries are often split over several ways, so members are joined end to end into closed rings,
+// and every inner ring is attached to the outer ring that contains it.
+// Assembled buildings keep the usual element shape, plus:
+//   geometry - points of all outer rings, for code that only needs bounds/center
+//   polygons - [[outer, ...inners], ...] with rings as closed [lon, lat] arrays
+
+const pointKey = ([lon, lat]) => `${lon},${lat}`;
+
+const closeRing = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  return ring;
+};
+
+// Join way segments sharing endpoints into closed rings, segments that never close are dropped
+const joinRings = (segments) => {
+  const rings = [];
+  const open = segments.filter((segment) => segment.length >= 2).map((segment) => [...segment]);
+
+  while (open.length > 0) {
+    let ring = open.pop();
+
+    // Keep appending whichever segment continues from the current end (in either direction)
+    while (pointKey(ring[0]) !== pointKey(ring[ring.length - 1])) {
+      const endKey = pointKey(ring[ring.length - 1]);
+      const nextIdx = open.findIndex((segment) => pointKey(segment[0]) === endKey || pointKey(segment[segment.length - 1]) === endKey);
+      if (nextIdx === -1) break;
+
+      const [next] = open.splice(nextIdx, 1);
+      if (pointKey(next[0]) !== endKey) next.reverse();
+      ring = ring.concat(next.slice(1));
+    }
+
+    if (ring.length >= 4 && pointKey(ring[0]) === pointKey(ring[ring.length - 1])) {
+      rings.push(ring);
+    }
+  }
+
+  return rings;
+};
+
+export const ringContainsPoint = (ring, [lon, lat]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[j];
+    if ((y1 > lat) !== (y2 > lat) && lon < ((x2 - x1) * (lat - y1)) / (y2 - y1) + x1) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return Math.abs(area / 2);
+};
+
+// [[outer, ...inners], ...] for a relation with member geometry, or null if no outer ring closes
+export const assembleMultipolygon = (relation) => {
+  const segmentsByRole = { outer: [], inner: [] };
+  (relation.members || []).forEach((member) => {
+    if (member.type !== 'way' || !member.geometry) return;
+    const segment = member.geometry.filter((point) => point).map((point) => [point.lon, point.lat]);
+    // Untagged roles count as outer, like most renderers do
+    segmentsByRole[member.role === 'inner' ? 'inner' : 'outer'].push(segment);
+  });
+
+  // Smallest outers first, so each hole goes to the tightest outer ring around it
+  // (matters when a building sits inside another building's courtyard)
+  const outers = joinRings(segmentsByRole.outer).sort((a, b) => ringArea(a) - ringArea(b));
+  if (outers.length === 0) return null;
+
+  const polygons = outers.map((outer) => [closeRing(outer)]);
+  joinRings(segmentsByRole.inner).forEach((inner) => {
+    const owner = polygons.find(([outer]) => ringContainsPoint(outer, inner[0]));
+    if (owner) owner.push(closeRing(inner));
+  });
+
+  return polygons;
+};
+
+// Assembled building for a building relation, or null when its outer rings don't close.
+// Ways and relations assembled before (e.g. carried over by a refresh) pass through untouched.
+export const assembleBuildingRelation = (element) => {
+  if (element.type !== 'relation' || element.polygons) return element;
+
+  const polygons = assembleMultipolygon(element);
+  if (!polygons) return null;
+
+  const geometry = [];
+  polygons.forEach(([outer]) => outer.forEach(([lon, lat]) => geometry.push({ lat, lon })));
+  return { type: 'relation', id: element.id, bounds: element.bounds, geometry, polygons, tags: element.tags };
+};
@@ -0,0 +1,250 @@
+// Streaming readers for local OSM extracts (.osm.pbf and .osm XML)
+// Both readers yield batches of plain entities so callers don't care about the format:
+//   { type: 'node', id, lat, lon, tags }
+//   { type: 'way', id, refs, tags }
+//   { type: 'relation', id, members: [{ type, ref, role }], tags }
+// Batches also carry the extract's replication timestamp (ISO string) when the file records one.
+import fs from 'fs';
+import zlib from 'zlib';
+import sax from 'sax';
+import { PbfReader } from 'pbf';
+
+const memberTypes = ['node', 'way', 'relation'];
+
+// ==================== PBF ====================
+
+const readBlobHeader = (buffer) => new PbfReader(buffer).readFields((field, header, pbf) => {
+  if (field === 1) header.type = pbf.readString();
+  else if (field === 3) header.datasize = pbf.readVarint();
+}, { type: null, datasize: 0 });
+
+const readBlob = (buffer) => {
+  const blob = new PbfReader(buffer).readFields((field, result, pbf) => {
+    if (field === 1) result.raw = pbf.readBytes();
+    else if (field === 3) result.zlib = pbf.readBytes();
+    else if (field === 4 || field === 6 || field === 7) result.unsupported = field;
+  }, { raw: null, zlib: null, unsupported: null });
+
+  if (blob.raw) return blob.raw;
+  if (blob.zlib) return zlib.inflateSync(blob.zlib);
+  throw new Error(`Unsupported PBF blob compression (field ${blob.unsupported}), only raw and zlib are supported`);
+};
+
+// HeaderBlock field 32: osmosis_replication_timestamp, seconds since epoch
+const readHeaderTimestamp = (buffer) => {
+  const seconds = new PbfReader(buffer).readFields((field, result, pbf) => {
+    if (field === 32) result.value = pbf.readVarint(true);
+  }, { value: null }).value;
+  return seconds ? new Date(seconds * 1000).toISOString().replace('.000Z', 'Z') : null;
+};
+
+const readTags = (keys, vals, strings) => {
+  const tags = {};
+  for (let i = 0; i < keys.length; i++) {
+    tags[strings[keys[i]]] = strings[vals[i]];
+  }
+  return tags;
+};
+
+// Decode one PrimitiveBlock into entities, skipping groups the caller isn't interested in
+const readPrimitiveBlock = (buffer, wanted) => {
+  const block = { strings: [], groups: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+  const pbf = new PbfReader(buffer);
+
+  // First pass over the block: string table, offsets and the raw group slices
+  pbf.readFields((field, result, reader) => {
+    if (field === 1) {
+      const table = new PbfReader(reader.readBytes());
+      table.readFields((tableField, strings, tableReader) => {
+        if (tableField === 1) strings.push(tableReader.readString());
+      }, result.strings);
+    } else if (field === 2) result.groups.push(reader.readBytes());
+    else if (field === 17) result.granularity = reader.readVarint();
+    else if (field === 19) result.latOffset = reader.readVarint(true);
+    else if (field === 20) result.lonOffset = reader.readVarint(true);
+  }, block);
+
+  const { strings, granularity, latOffset, lonOffset } = block;
+  // Rounded to 7 decimals like Overpass output (OSM's own precision)
+  const toLat = (value) => Math.round((latOffset + granularity * value) / 100) / 1e7;
+  const toLon = (value) => Math.round((lonOffset + granularity * value) / 100) / 1e7;
+  const entities = [];
+
+  block.groups.forEach((groupBuffer) => {
+    new PbfReader(groupBuffer).readFields((field, _, reader) => {
+      if (field === 1 && wanted.node) {
+        const node = reader.readMessage((nodeField, result, nodeReader) => {
+          if (nodeField === 1) result.id = nodeReader.readSVarint();
+          else if (nodeField === 2) nodeReader.readPackedVarint(result.keys);
+          else if (nodeField === 3) nodeReader.readPackedVarint(result.vals);
+          else if (nodeField === 8) result.lat = nodeReader.readSVarint();
+          else if (nodeField === 9) result.lon = nodeReader.readSVarint();
+        }, { id: 0, keys: [], vals: [], lat: 0, lon: 0 });
+        entities.push({ type: 'node', id: node.id, lat: toLat(node.lat), lon: toLon(node.lon), tags: readTags(node.keys, node.vals, strings) });
+      } else if (field === 2 && wanted.node) {
+        const dense = reader.readMessage((denseField, result, denseReader) => {
+          if (denseField === 1) denseReader.readPackedSVarint(result.ids);
+          else if (denseField === 8) denseReader.readPackedSVarint(result.lats);
+          else if (denseField === 9) denseReader.readPackedSVarint(result.lons);
+          else if (denseField === 10) denseReader.readPackedVarint(result.keysVals);
+        }, { ids: [], lats: [], lons: [], keysVals: [] });
+
+        // Dense nodes are delta-encoded, tags are a flat 0-delimited key/value list
+        let id = 0, lat = 0, lon = 0, kv = 0;
+        for (let i = 0; i < dense.ids.length; i++) {
+          id += dense.ids[i];
+          lat += dense.lats[i];
+          lon += dense.lons[i];
+          const tags = {};
+          if (dense.keysVals.length > 0) {
+            while (dense.keysVals[kv] !== 0) {
+              tags[strings[dense.keysVals[kv]]] = strings[dense.keysVals[kv + 1]];
+              kv += 2;
+            }
+            kv++;
+          }
+          entities.push({ type: 'node', id, lat: toLat(lat), lon: toLon(lon), tags });
+        }
+      } else if (field === 3 && wanted.way) {
+        const way = reader.readMessage((wayField, result, wayReader) => {
+          if (wayField === 1) result.id = wayReader.readVarint(true);
+          else if (wayField === 2) wayReader.readPackedVarint(result.keys);
+          else if (wayField === 3) wayReader.readPackedVarint(result.vals);
+          else if (wayField === 8) wayReader.readPackedSVarint(result.refs);
+        }, { id: 0, keys: [], vals: [], refs: [] });
+
+        let ref = 0;
+        const refs = way.refs.map((delta) => (ref += delta));
+        entities.push({ type: 'way', id: way.id, refs, tags: readTags(way.keys, way.vals, strings) });
+      } else if (field === 4 && wanted.relation) {
+        const relation = reader.readMessage((relationField, result, relationReader) => {
+          if (relationField === 1) result.id = relationReader.readVarint(true);
+          else if (relationField === 2) relationReader.readPackedVarint(result.keys);
+          else if (relationField === 3) relationReader.readPackedVarint(result.vals);
+          else if (relationField === 8) relationReader.readPackedVarint(result.roles, true);
+          else if (relationField === 9) relationReader.readPackedSVarint(result.memids);
+          else if (relationField === 10) relationReader.readPackedVarint(result.types);
+        }, { id: 0, keys: [], vals: [], roles: [], memids: [], types: [] });
+
+        let ref = 0;
+        const members = relation.memids.map((delta, i) => ({
+          type: memberTypes[relation.types[i]],
+          ref: (ref += delta),
+          role: strings[relation.roles[i]] || '',
+        }));
+        entities.push({ type: 'relation', id: relation.id, members, tags: readTags(relation.keys, relation.vals, strings) });
+      }
+    }, null);
+  });
+
+  return entities;
+};
+
+// Reads the file blob by blob so memory stays bounded by the largest block (a few MB)
+async function* readOsmPbf(filePath, wanted) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const totalBytes = (await handle.stat()).size;
+  let position = 0;
+  let timestamp = null;
+
+  const readExactly = async (length) => {
+    const buffer = Buffer.allocUnsafe(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    if (bytesRead !== length) throw new Error(`Unexpected end of PBF file at byte ${position}`);
+    position += length;
+    return buffer;
+  };
+
+  try {
+    while (position < totalBytes) {
+      const headerLength = (await readExactly(4)).readUInt32BE(0);
+      const header = readBlobHeader(await readExactly(headerLength));
+      const blobBuffer = await readExactly(header.datasize);
+
+      // The OSMHeader block only matters for its replication timestamp
+      if (header.type === 'OSMHeader') {
+        timestamp = readHeaderTimestamp(readBlob(blobBuffer));
+        continue;
+      }
+      if (header.type !== 'OSMData') continue;
+
+      const entities = readPrimitiveBlock(readBlob(blobBuffer), wanted);
+      if (entities.length > 0) {
+        yield { entities, progress: position / totalBytes, timestamp };
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// ==================== OSM XML ====================
+
+async function* readOsmXml(filePath, wanted, batchSize = 10000) {
+  const totalBytes = fs.statSync(filePath).size;
+  const parser = sax.parser(true);
+  let bytesRead = 0;
+  let current = null;
+  let batch = [];
+  let timestamp = null;
+
+  parser.onopentag = ({ name, attributes }) => {
+    // osmium writes <osm timestamp="...">, Overpass XML has <meta osm_base="..."/>
+    if (name === 'osm' && attributes.timestamp) {
+      timestamp = attributes.timestamp;
+    } else if (name === 'meta' && attributes.osm_base) {
+      timestamp = attributes.osm_base;
+    } else if (name === 'node' || name === 'way' || name === 'relation') {
+      current = { type: name, id: Number(attributes.id), tags: {} };
+      if (name === 'node') {
+        current.lat = Number(attributes.lat);
+        current.lon = Number(attributes.lon);
+      } else if (name === 'way') {
+        current.refs = [];
+      } else {
+        current.members = [];
+      }
+    } else if (current && name === 'tag') {
+      current.tags[attributes.k] = attributes.v;
+    } else if (current && name === 'nd') {
+      current.refs.push(Number(attributes.ref));
+    } else if (current && name === 'member') {
+      current.members.push({ type: attributes.type, ref: Number(attributes.ref), role: attributes.role || '' });
+    }
+  };
+
+  parser.onclosetag = (name) => {
+    if (current && name === current.type) {
+      if (wanted[current.type]) batch.push(current);
+      current = null;
+    }
+  };
+
+  parser.onerror = (error) => {
+    throw error;
+  };
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 })) {
+    bytesRead += Buffer.byteLength(chunk);
+    parser.write(chunk);
+
+    if (batch.length >= batchSize) {
+      yield { entities: batch, progress: bytesRead / totalBytes, timestamp };
+      batch = [];
+    }
+  }
+  parser.close();
+
+  if (batch.length > 0) {
+    yield { entities: batch, progress: 1, timestamp };
+  }
+}
+
+// ==================== Entry Point ====================
+
+// wanted: which entity types to decode, e.g. { node: true, way: false, relation: false }
+export const readOsmFile = (filePath, wanted = { node: true, way: true, relation: true }) => {
+  if (filePath.endsWith('.pbf')) return readOsmPbf(filePath, wanted);
+  if (filePath.endsWith('.osm')) return readOsmXml(filePath, wanted);
+  throw new Error(`Unsupported OSM file format: ${filePath} (expected .osm.pbf or .osm)`);
+};
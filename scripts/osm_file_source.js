@@ -0,0 +1,235 @@
+// Offline data source: extracts every dataset for a bbox from a local .osm.pbf / .osm file
+// and hands out elements shaped like Overpass `out geom` results, so the rest of the pipeline
+// can't tell the difference. Entities are selected with the datasets' own Overpass filters.
+import fs from 'fs';
+import { readOsmFile } from './osm_file_reader.js';
+import { compileDatasetMatcher } from './datasets.js';
+import { createElementIdSet } from './element_id_set.js';
+
+// Node coordinate store backed by typed arrays (a Map tops out at ~16M entries,
+// and city bboxes easily hold tens of millions of nodes)
+const createNodeStore = (initialCapacity = 1 << 20) => {
+  let ids = new Float64Array(initialCapacity);
+  let coords = new Float64Array(initialCapacity * 2);
+  let size = 0;
+  let sorted = true;
+
+  const grow = () => {
+    const newIds = new Float64Array(ids.length * 2);
+    newIds.set(ids);
+    ids = newIds;
+    const newCoords = new Float64Array(coords.length * 2);
+    newCoords.set(coords);
+    coords = newCoords;
+  };
+
+  return {
+    add(id, lon, lat) {
+      if (size === ids.length) grow();
+      if (size > 0 && id < ids[size - 1]) sorted = false;
+      ids[size] = id;
+      coords[size * 2] = lon;
+      coords[size * 2 + 1] = lat;
+      size++;
+    },
+
+    // PBF extracts are sorted by id already, XML usually is too; sort only if needed
+    finalize() {
+      if (sorted) return;
+      const order = Array.from({ length: size }, (_, i) => i).sort((a, b) => ids[a] - ids[b]);
+      const sortedIds = new Float64Array(size);
+      const sortedCoords = new Float64Array(size * 2);
+      order.forEach((from, to) => {
+        sortedIds[to] = ids[from];
+        sortedCoords[to * 2] = coords[from * 2];
+        sortedCoords[to * 2 + 1] = coords[from * 2 + 1];
+      });
+      ids = sortedIds;
+      coords = sortedCoords;
+      sorted = true;
+    },
+
+    get(id) {
+      let low = 0, high = size - 1;
+      while (low <= high) {
+        const mid = (low + high) >>> 1;
+        if (ids[mid] === id) return [coords[mid * 2], coords[mid * 2 + 1]];
+        if (ids[mid] < id) low = mid + 1;
+        else high = mid - 1;
+      }
+      return null;
+    },
+  };
+};
+
+const boundsOf = (geometry) => {
+  const bounds = { minlat: Infinity, minlon: Infinity, maxlat: -Infinity, maxlon: -Infinity };
+  geometry.forEach(({ lat, lon }) => {
+    if (lat < bounds.minlat) bounds.minlat = lat;
+    if (lon < bounds.minlon) bounds.minlon = lon;
+    if (lat > bounds.maxlat) bounds.maxlat = lat;
+    if (lon > bounds.maxlon) bounds.maxlon = lon;
+  });
+  return bounds;
+};
+
+// bbox is in Overpass order: [south, west, north, east]
+// sinks maps every dataset name to an async (elements) => {} that takes the dataset's elements a
+// block at a time, as soon as their geometry is known, so only node coordinates stay in memory.
+// Returns { timestamp }
+export const extractFromOsmFile = async (filePath, bbox, datasets, sinks, onProgress = () => {}) => {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`OSM file not found: ${filePath}`);
+  }
+
+  const matchers = datasets.map((dataset) => ({ name: dataset.name, matches: compileDatasetMatcher(dataset) }));
+  // Names of the datasets that want this entity (one entity can belong to several, like in Overpass)
+  const datasetsFor = (type, tags) => matchers.filter(({ matches }) => matches(type, tags)).map(({ name }) => name);
+
+  const [south, west, north, east] = bbox;
+  const inBbox = (lat, lon) => lat >= south && lat <= north && lon >= west && lon <= east;
+
+  const bboxNodes = createNodeStore();
+  const outsideNodes = new Map(); // referenced by kept ways but outside the bbox
+  const pending = createElementIdSet(); // kept ways and relations that wait for the later passes
+  const relationMemberWays = new Map(); // way id -> refs, for kept relations
+
+  // Elements of the current block per dataset, handed to the sinks once the block is done
+  let batches = {};
+  const emit = (names, element) => names.forEach((name) => {
+    if (!batches[name]) batches[name] = [];
+    batches[name].push(element);
+  });
+  const flush = async () => {
+    const ready = batches;
+    batches = {};
+    for (const [name, elements] of Object.entries(ready)) {
+      await sinks[name](elements);
+    }
+  };
+
+  const lookupNode = (ref) => bboxNodes.get(ref) || outsideNodes.get(ref) || null;
+  const toGeometry = (refs) => refs
+    .map(lookupNode)
+    .filter((coord) => coord !== null)
+    .map(([lon, lat]) => ({ lat, lon }));
+
+  const emitWay = (way, names) => {
+    const geometry = toGeometry(way.refs);
+    if (geometry.length < 2) return;
+    emit(names, { type: 'way', id: way.id, bounds: boundsOf(geometry), nodes: way.refs, geometry, tags: way.tags });
+  };
+
+  const emitRelation = (relation, names) => {
+    let touchesBbox = false;
+    const allGeometry = [];
+    const members = relation.members.map((member) => {
+      if (member.type === 'node') {
+        const coord = lookupNode(member.ref);
+        if (!coord) return member;
+        if (inBbox(coord[1], coord[0])) touchesBbox = true;
+        allGeometry.push({ lat: coord[1], lon: coord[0] });
+        return { ...member, lat: coord[1], lon: coord[0] };
+      }
+      if (member.type === 'way' && relationMemberWays.get(member.ref)) {
+        const refs = relationMemberWays.get(member.ref);
+        if (refs.some((ref) => bboxNodes.get(ref) !== null)) touchesBbox = true;
+        const geometry = toGeometry(refs);
+        geometry.forEach((point) => allGeometry.push(point));
+        return { ...member, geometry };
+      }
+      return member;
+    });
+
+    if (!touchesBbox || allGeometry.length === 0) return;
+    emit(names, { type: 'relation', id: relation.id, bounds: boundsOf(allGeometry), members, tags: relation.tags });
+  };
+
+  // Pass 1: bbox nodes, matching nodes and the ways that lie entirely inside the bbox go out right away,
+  // ways crossing the bbox edge and relations are only marked
+  onProgress('Reading nodes, ways and relations', 0);
+  let nodesFinalized = false;
+  let snapshotTimestamp = null;
+  for await (const { entities, progress, timestamp } of readOsmFile(filePath)) {
+    snapshotTimestamp = timestamp;
+    for (const entity of entities) {
+      if (entity.type === 'node') {
+        if (!inBbox(entity.lat, entity.lon)) continue;
+        bboxNodes.add(entity.id, entity.lon, entity.lat);
+        if (Object.keys(entity.tags).length === 0) continue;
+        emit(datasetsFor('node', entity.tags), { type: 'node', id: entity.id, lat: entity.lat, lon: entity.lon, tags: entity.tags });
+      } else if (entity.type === 'way') {
+        if (!nodesFinalized) {
+          bboxNodes.finalize();
+          nodesFinalized = true;
+        }
+
+        const names = datasetsFor('way', entity.tags);
+        if (names.length === 0) continue;
+
+        // Overpass keeps a way if any of its nodes is inside the bbox
+        const outside = entity.refs.filter((ref) => bboxNodes.get(ref) === null);
+        if (outside.length === entity.refs.length) continue;
+        if (outside.length === 0) {
+          emitWay(entity, names);
+          continue;
+        }
+
+        outside.forEach((ref) => outsideNodes.set(ref, null));
+        pending.add('way', entity.id);
+      } else if (entity.type === 'relation') {
+        if (datasetsFor('relation', entity.tags).length === 0) continue;
+        pending.add('relation', entity.id);
+        entity.members.forEach((member) => {
+          if (member.type === 'way') relationMemberWays.set(member.ref, null);
+        });
+      }
+    }
+    await flush();
+    onProgress('Reading nodes, ways and relations', progress);
+  }
+  if (!nodesFinalized) bboxNodes.finalize();
+
+  // Pass 2: geometry of ways that are members of kept relations
+  if (relationMemberWays.size > 0) {
+    onProgress('Reading relation members', 0);
+    for await (const { entities, progress } of readOsmFile(filePath, { node: false, way: true, relation: false })) {
+      for (const entity of entities) {
+        if (!relationMemberWays.has(entity.id)) continue;
+        relationMemberWays.set(entity.id, entity.refs);
+        entity.refs.forEach((ref) => {
+          if (bboxNodes.get(ref) === null) outsideNodes.set(ref, null);
+        });
+      }
+      onProgress('Reading relation members', progress);
+    }
+  }
+
+  // Pass 3: coordinates of nodes outside the bbox that kept ways still need
+  if (outsideNodes.size > 0) {
+    onProgress('Reading nodes outside bbox', 0);
+    for await (const { entities, progress } of readOsmFile(filePath, { node: true, way: false, relation: false })) {
+      for (const entity of entities) {
+        if (outsideNodes.has(entity.id)) outsideNodes.set(entity.id, [entity.lon, entity.lat]);
+      }
+      onProgress('Reading nodes outside bbox', progress);
+    }
+  }
+
+  // Pass 4: the marked ways and relations, now that every node they need is known
+  if (pending.size > 0) {
+    onProgress('Reading ways and relations across the bbox edge', 0);
+    for await (const { entities, progress } of readOsmFile(filePath, { node: false, way: true, relation: true })) {
+      for (const entity of entities) {
+        if (!pending.has(entity.type, entity.id)) continue;
+        if (entity.type === 'way') emitWay(entity, datasetsFor('way', entity.tags));
+        else emitRelation(entity, datasetsFor('relation', entity.tags));
+      }
+      await flush();
+      onProgress('Reading ways and relations across the bbox edge', progress);
+    }
+  }
+
+  onProgress('Extraction complete', 1);
+  return { timestamp: snapshotTimestamp };
+};
@@ -0,0 +1,143 @@
+// Overpass interpreter client: sends each query to the healthiest endpoint of its pool (see
+// overpass_endpoints.js), through the slot scheduler when it has one (see overpass_scheduler.js),
+// and retries with exponential backoff, rotating between endpoints on rate limits, timeouts and
+// network errors. download_data.js builds one from config, tests point one at local servers.
+import { Readable } from 'stream';
+import { createParseStream } from 'big-json';
+import { createEndpointPool, classifyHttpFailure, shouldRotate } from './overpass_endpoints.js';
+
+// Overpass reports server-side failures in `remark` while still returning valid JSON,
+// along with whatever elements it produced before giving up
+const classifyRemark = (remark) => {
+  if (!/runtime error/i.test(remark)) return null; // "runtime remark" etc. are informational
+  if (/timed out/i.test(remark)) return 'timeout';
+  if (/out of memory/i.test(remark)) return 'out-of-memory';
+  return 'runtime-error';
+};
+
+export const partialResultError = (kind, detail, elements = []) => {
+  const error = new Error(`Incomplete response (${kind}): ${detail}`);
+  error.partial = kind;
+  error.elements = elements || [];
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Without a scheduler every request starts right away
+const unscheduled = {
+  run: (endpoint, task) => task(),
+  reportSuccess() {},
+  reportRateLimit() {},
+  limitFor: () => Infinity,
+};
+
+export const createOverpassClient = ({ endpoints, scheduler = unscheduled, maxAttempts = 3, baseDelay = 1000 }) => {
+  const pool = createEndpointPool(endpoints);
+
+  // Request and response body both count against the server's slot, so the slot is only released once parsed
+  const request = (endpoint, query) => scheduler.run(endpoint, async () => {
+    const res = await fetch(endpoint, {
+      "credentials": "omit",
+      "headers": {
+        "User-Agent": "SubwayBuilder-Patcher (https://github.com/piemadd/subwaybuilder-patcher)",
+        "Accept": "*/*",
+        "Accept-Language": "en-US,en;q=0.5"
+      },
+      "body": `data=${encodeURIComponent(query)}`,
+      "method": "POST",
+      "mode": "cors"
+    });
+    if (!res.ok) {
+      await res.body?.cancel();
+      return { res, parsedData: null };
+    }
+
+    // Use streaming JSON parser to avoid string length limits
+    const parseStream = createParseStream();
+    let parsedData = null;
+
+    parseStream.on('data', (data) => {
+      parsedData = data;
+    });
+
+    await new Promise((resolve, reject) => {
+      parseStream.on('end', resolve);
+      parseStream.on('error', reject);
+      Readable.fromWeb(res.body).pipe(parseStream);
+    });
+    return { res, parsedData };
+  });
+
+  // Retry logic with exponential backoff, rotating between endpoints on rate limits/timeouts/network errors
+  const runQuery = async (query, maxRetries = maxAttempts) => {
+    let lastFailedEndpoint = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const endpoint = pool.pick(lastFailedEndpoint);
+      const requestStart = Date.now();
+
+      try {
+        const { res, parsedData } = await request(endpoint, query);
+
+        if (!res.ok) {
+          // For rate limits (429), use longer delays
+          const isRateLimit = res.status === 429;
+          const backoff = isRateLimit
+            ? baseDelay * Math.pow(4, attempt - 1)  // 1s, 4s, 16s for rate limits
+            : baseDelay * Math.pow(2, attempt - 1); // 1s, 2s, 4s for other errors
+          const failureKind = classifyHttpFailure(res.status);
+          pool.reportFailure(endpoint, failureKind, isRateLimit ? backoff : 0);
+          if (isRateLimit) scheduler.reportRateLimit(endpoint);
+          lastFailedEndpoint = endpoint;
+
+          if (attempt < maxRetries) {
+            // No need to wait out the backoff when another endpoint can take the retry
+            const delay = shouldRotate(failureKind) && pool.size > 1 ? baseDelay : backoff;
+            console.log(`  Attempt ${attempt} failed (${res.status} from ${new URL(endpoint).host}). Retrying in ${delay/1000}s...`);
+            await sleep(delay);
+            continue;
+          }
+          const error = new Error(`HTTP ${res.status}: ${res.statusText}`);
+          error.status = res.status;
+          throw error;
+        }
+
+        // The server answered, whatever the remark says it isn't the endpoint's fault
+        pool.reportSuccess(endpoint, Date.now() - requestStart);
+        scheduler.reportSuccess(endpoint);
+
+        // Check for Overpass API-specific errors or warnings
+        if (parsedData && parsedData.remark) {
+          const remarkKind = classifyRemark(parsedData.remark);
+          if (remarkKind) {
+            // Same query would just hit the same limit again, let the caller split the tile instead
+            throw partialResultError(remarkKind, parsedData.remark, parsedData.elements);
+          }
+          console.warn(`  ⚠️  Overpass remark: ${parsedData.remark}`);
+        }
+
+        if (parsedData) parsedData.servedBy = endpoint;
+        return parsedData;
+      } catch (error) {
+        if (error.partial) throw error;
+
+        // HTTP errors were already reported above; anything else is a network or broken-response failure
+        if (!error.status) {
+          pool.reportFailure(endpoint, 'network');
+          lastFailedEndpoint = endpoint;
+        }
+
+        if (attempt < maxRetries) {
+          const delay = pool.size > 1 ? baseDelay : baseDelay * Math.pow(2, attempt - 1);
+          console.log(`  Attempt ${attempt} failed (${new URL(endpoint).host}): ${error.message}. Retrying in ${delay/1000}s...`);
+          await sleep(delay);
+        } else {
+          throw error;
+        }
+      }
+    }
+  };
+
+  return { runQuery, pool, scheduler };
+};
@@ -0,0 +1,78 @@
+// Pool of Overpass interpreter endpoints with a simple health score per endpoint
+// Healthy endpoints are preferred, failing ones are penalised and rate-limited ones
+// sit out a cooldown so retries go somewhere else instead of hammering the same server.
+
+// How much each kind of failure costs an endpoint (score is 0..1)
+const failurePenalties = {
+  'rate-limit': 0.3,  // 429
+  'timeout': 0.2,     // 504
+  'network': 0.4,     // connection refused/reset, DNS, ...
+  'http': 0.1,        // any other non-2xx
+};
+
+export const classifyHttpFailure = (status) => {
+  if (status === 429) return 'rate-limit';
+  if (status === 504) return 'timeout';
+  return 'http';
+};
+
+// Failures that mean "try another server", as opposed to a problem with the query itself
+export const shouldRotate = (kind) => kind === 'rate-limit' || kind === 'timeout' || kind === 'network';
+
+export const createEndpointPool = (urls) => {
+  if (!urls || urls.length === 0) {
+    throw new Error('At least one Overpass endpoint must be configured');
+  }
+
+  const endpoints = urls.map((url) => ({
+    url,
+    score: 1,
+    served: 0,
+    failures: 0,
+    cooldownUntil: 0,
+    lastLatency: null,
+  }));
+
+  const find = (url) => endpoints.find((endpoint) => endpoint.url === url);
+
+  return {
+    // Healthiest endpoint not cooling down, skipping `exclude` when there is an alternative
+    pick(exclude = null) {
+      const now = Date.now();
+      let candidates = endpoints.filter((endpoint) => endpoint.cooldownUntil <= now && endpoint.url !== exclude);
+      if (candidates.length === 0) candidates = endpoints.filter((endpoint) => endpoint.url !== exclude);
+      if (candidates.length === 0) candidates = endpoints;
+
+      // Prefer higher score, then whichever has served least (spreads load between equals)
+      return candidates.reduce((best, endpoint) => {
+        if (endpoint.score > best.score) return endpoint;
+        if (endpoint.score === best.score && endpoint.served < best.served) return endpoint;
+        return best;
+      }).url;
+    },
+
+    reportSuccess(url, latencyMs) {
+      const endpoint = find(url);
+      if (!endpoint) return;
+      endpoint.score = Math.min(1, endpoint.score + 0.1);
+      endpoint.served++;
+      endpoint.lastLatency = latencyMs;
+    },
+
+    reportFailure(url, kind, cooldownMs = 0) {
+      const endpoint = find(url);
+      if (!endpoint) return;
+      endpoint.score = Math.max(0, endpoint.score - (failurePenalties[kind] ?? failurePenalties.http));
+      endpoint.failures++;
+      if (cooldownMs > 0) endpoint.cooldownUntil = Date.now() + cooldownMs;
+    },
+
+    get size() {
+      return endpoints.length;
+    },
+
+    stats() {
+      return endpoints.map(({ url, score, served, failures, lastLatency }) => ({ url, score, served, failures, lastLatency }));
+    },
+  };
+};
@@ -0,0 +1,182 @@
+// Request scheduler that respects Overpass slot limits
+// Each endpoint gets its own adaptive concurrency limit: it starts at what /api/status says our
+// IP is allowed, halves on every 429 and creeps back up one step at a time as requests succeed.
+// Before a request starts, /api/status is asked whether a slot is actually free right now.
+
+// /api/status is plain text, e.g.
+//   Rate limit: 2
+//   1 slots available now.
+//   Slot available after: 2025-01-01T12:00:05Z, in 3 seconds.
+export const parseOverpassStatus = (text) => {
+  const rateLimitMatch = text.match(/Rate limit:\s*(\d+)/);
+  const availableMatch = text.match(/(\d+)\s+slots? available now/);
+  const nextSlotIn = [...text.matchAll(/Slot available after:.*?in\s+(-?\d+)\s+seconds?/g)].map((match) => Number(match[1]));
+
+  return {
+    rateLimit: rateLimitMatch ? Number(rateLimitMatch[1]) : null, // 0 = unlimited
+    availableNow: availableMatch ? Number(availableMatch[1]) : (nextSlotIn.length > 0 ? 0 : null),
+    nextSlotIn,
+  };
+};
+
+// .../api/interpreter -> .../api/status
+export const statusUrlFor = (interpreterUrl) => interpreterUrl.replace(/\/interpreter\/?$/, '/status');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// maxConcurrency caps every endpoint, statusTtl is how long (ms) a fetched /api/status is trusted (and
+// how long to wait before asking again after a failed fetch), statusTimeout how long a fetch may take,
+// maxSlotWait the longest sleep until a slot opens and slotMargin the extra wait after its time.
+// statusUrl maps an interpreter URL to its status URL (for instances that put it elsewhere).
+export const createSlotScheduler = ({
+  maxConcurrency = 1,
+  useSlotStatus = true,
+  statusTtl = 2000,
+  statusTimeout = 10000,
+  maxSlotWait = 60000,
+  slotMargin = 250,
+  statusUrl = statusUrlFor,
+} = {}) => {
+  const states = new Map();
+
+  const stateFor = (endpoint) => {
+    if (!states.has(endpoint)) {
+      states.set(endpoint, {
+        limit: maxConcurrency,
+        active: 0,
+        waiters: [],
+        successStreak: 0,
+        status: null,          // last parsed /api/status
+        statusFetchedAt: 0,
+        statusRequest: null,   // in-flight status fetch shared by concurrent callers
+        startedSinceStatus: 0, // requests started since the status was fetched (they use up its free slots)
+        statusSupported: useSlotStatus,
+      });
+    }
+    return states.get(endpoint);
+  };
+
+  // Status URLs that answer with one of these don't have a status page at all
+  const missingStatus = [404, 405, 410, 501];
+
+  const fetchStatus = async (endpoint, state) => {
+    let res;
+    try {
+      res = await fetch(statusUrl(endpoint), {
+        headers: { "User-Agent": "SubwayBuilder-Patcher (https://github.com/piemadd/subwaybuilder-patcher)" },
+        signal: AbortSignal.timeout(statusTimeout),
+      });
+    } catch (error) {
+      // Timeouts and network hiccups pass, ask again once the status TTL is up
+      return null;
+    }
+
+    // Private instances often don't expose /api/status, fall back to the adaptive limit only.
+    // Busy servers (429, 5xx) are asked again later like network failures.
+    if (missingStatus.includes(res.status)) {
+      state.statusSupported = false;
+      return null;
+    }
+    if (!res.ok) return null;
+
+    const status = parseOverpassStatus(await res.text().catch(() => ''));
+    if (status.rateLimit === null && status.availableNow === null) {
+      // Something answered, but it isn't an Overpass status page
+      state.statusSupported = false;
+      return null;
+    }
+
+    // Never run more in parallel than the server lets one IP run
+    if (status.rateLimit > 0 && state.limit > status.rateLimit) state.limit = status.rateLimit;
+    return status;
+  };
+
+  const currentStatus = async (endpoint, state) => {
+    if (Date.now() - state.statusFetchedAt > statusTtl) {
+      if (!state.statusRequest) {
+        state.statusRequest = fetchStatus(endpoint, state).then((status) => {
+          state.status = status;
+          state.statusFetchedAt = Date.now();
+          state.startedSinceStatus = 0;
+          state.statusRequest = null;
+        });
+      }
+      await state.statusRequest;
+    }
+    return state.status;
+  };
+
+  const release = (state) => {
+    state.active--;
+    const next = state.waiters.shift();
+    if (next) next();
+  };
+
+  // Waits for both our own limit and a free server slot, resolves with a release function
+  const acquire = async (endpoint) => {
+    const state = stateFor(endpoint);
+
+    while (true) {
+      if (state.active >= state.limit) {
+        await new Promise((resolve) => state.waiters.push(resolve));
+        continue;
+      }
+
+      if (state.statusSupported) {
+        const status = await currentStatus(endpoint, state);
+        if (status && status.rateLimit !== 0 && status.availableNow !== null) {
+          const freeSlots = status.availableNow - state.startedSinceStatus;
+          if (freeSlots <= 0) {
+            // Sleep until the server says the next slot opens (plus a little margin), then ask again
+            const waitSeconds = status.nextSlotIn.length > 0 ? Math.max(0, Math.min(...status.nextSlotIn)) : 1;
+            await sleep(Math.min(maxSlotWait, waitSeconds * 1000 + slotMargin));
+            state.statusFetchedAt = 0;
+            continue;
+          }
+        }
+        if (state.active >= state.limit) continue; // someone else got in while we were checking
+      }
+
+      state.active++;
+      state.startedSinceStatus++;
+      return () => release(state);
+    }
+  };
+
+  return {
+    // Run `task` once a slot on `endpoint` is free
+    async run(endpoint, task) {
+      const releaseSlot = await acquire(endpoint);
+      try {
+        return await task();
+      } finally {
+        releaseSlot();
+      }
+    },
+
+    // Additive increase: one step up after `limit` successes in a row
+    reportSuccess(endpoint) {
+      const state = stateFor(endpoint);
+      state.successStreak++;
+      const ceiling = state.status?.rateLimit > 0 ? Math.min(maxConcurrency, state.status.rateLimit) : maxConcurrency;
+      if (state.successStreak >= state.limit && state.limit < ceiling) {
+        state.limit++;
+        state.successStreak = 0;
+        const next = state.waiters.shift();
+        if (next) next();
+      }
+    },
+
+    // Multiplicative decrease on 429, and forget the (clearly outdated) slot status
+    reportRateLimit(endpoint) {
+      const state = stateFor(endpoint);
+      state.limit = Math.max(1, Math.floor(state.limit / 2));
+      state.successStreak = 0;
+      state.statusFetchedAt = 0;
+    },
+
+    limitFor(endpoint) {
+      return stateFor(endpoint).limit;
+    },
+  };
+};
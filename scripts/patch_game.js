@@ -1,6 +1,7 @@
 import fs from 'fs';
 import config from '../config.js';
 import { execSync } from 'child_process';
+import { loadPlaceBoundary, getPlaceBbox, boundaryCentroid } from './place_boundary.js';
 
 const ENABLE_DEV_TOOLS = false;
 
@@ -75,6 +76,12 @@ const existingListOfCities = JSON.parse(indexJSContents.substring(startOfCitiesA
 console.log('Modifying existing list of cities and writing placeholder city maps');
 existingListOfCities.push(...config.places.map((place) => {
   fs.cpSync(`${import.meta.dirname}/../placeholder_mapimage.svg`, `${import.meta.dirname}/../patching_working_directory/extracted-asar/dist/renderer/city-maps/${place.code.toLowerCase()}.svg`);
+
+  // center on the shape itself when there is one (a bbox center can easily be in the sea)
+  const boundary = loadPlaceBoundary(place);
+  const bbox = getPlaceBbox(place);
+  const [longitude, latitude] = boundary ? boundaryCentroid(boundary) : [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+
   return {
     name: place.name,
     code: place.code,
@@ -82,8 +89,8 @@ existingListOfCities.push(...config.places.map((place) => {
     population: place.population,
     initialViewState: {
       zoom: 13.5,
-      latitude: (place.bbox[1] + place.bbox[3]) / 2,
-      longitude: (place.bbox[0] + place.bbox[2]) / 2,
+      latitude,
+      longitude,
       bearing: 0,
     }
   }
@@ -139,24 +146,36 @@ config.places.forEach((place) => {
     { recursive: true }
   );
 
-  const listOfPlaceFiles = fs.readdirSync(`${import.meta.dirname}/../patching_working_directory/squashfs-root/resources/data/${place.code}/`);
+  let listOfPlaceFiles = fs.readdirSync(`${import.meta.dirname}/../patching_working_directory/squashfs-root/resources/data/${place.code}/`);
 
   //guh
   let hasBuildings = false;
   let hasDemand = false;
   let hasRoads = false;
+  let hasTransit = false;
 
   // checking to make sure we have everything we need
   listOfPlaceFiles.forEach((file) => {
     if (file.startsWith('buildings')) hasBuildings = true;
     if (file.startsWith('demand')) hasDemand = true;
     if (file.startsWith('roads')) hasRoads = true;
+    if (file.startsWith('transit')) hasTransit = true;
   });
 
   if (!hasBuildings) triggerError('required-map-file-not-found', 'Missing file: buildings_index.json OR buildings_index.json.gz (only one is required)');
   if (!hasDemand) triggerError('required-map-file-not-found', 'Missing file: demand_data.json OR buildings_index.json.gz (only one is required)');
   if (!hasRoads) triggerError('required-map-file-not-found', 'Missing file: roads.geojson OR buildings_index.geojson.gz (only one is required)');
 
+  // optional, the existing rail network shipped as a reference layer (config.transitReference: false leaves it out)
+  if (hasTransit && config.transitReference === false) {
+    listOfPlaceFiles.filter((file) => file.startsWith('transit')).forEach((file) => {
+      fs.rmSync(`${import.meta.dirname}/../patching_working_directory/squashfs-root/resources/data/${place.code}/${file}`);
+    });
+    listOfPlaceFiles = listOfPlaceFiles.filter((file) => !file.startsWith('transit'));
+  } else if (hasTransit) {
+    console.log(`Including transit reference layer for ${place.code}`);
+  }
+
   // actually zipping
   listOfPlaceFiles.forEach((file) => {
     if (!file.endsWith('.gz')) {
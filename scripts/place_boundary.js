@@ -0,0 +1,224 @@
+// Arbitrary place boundaries (GeoJSON Polygon/MultiPolygon or Osmosis .poly files)
+// Shared by download, processing and patching so all three agree on what "inside the place" means.
+// Boundaries are normalised to MultiPolygon coordinates: [polygon][ring][point] with points as [lon, lat].
+import fs from 'fs';
+
+// ==================== Parsing ====================
+
+// Osmosis polygon format: a name line, then sections of "lon lat" lines each closed by END,
+// sections starting with ! are holes (attached to the outer ring before them), final END closes the file
+export const parsePolyFile = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+  const polygons = [];
+  let ring = null;
+  let isHole = false;
+
+  // First line is the polygon name
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (ring === null) {
+      if (line === 'END') break; // end of file
+      isHole = line.startsWith('!');
+      ring = [];
+      continue;
+    }
+
+    if (line === 'END') {
+      if (ring.length >= 3) {
+        if (isHole && polygons.length > 0) polygons[polygons.length - 1].push(ring);
+        else if (!isHole) polygons.push([ring]);
+      }
+      ring = null;
+      continue;
+    }
+
+    const [lon, lat] = line.split(/\s+/).map(Number);
+    if (!isNaN(lon) && !isNaN(lat)) ring.push([lon, lat]);
+  }
+
+  if (polygons.length === 0) throw new Error('No polygons found in .poly file');
+  return polygons;
+};
+
+const geojsonToMultiPolygon = (geojson) => {
+  if (!geojson) return [];
+  if (geojson.type === 'Polygon') return [geojson.coordinates];
+  if (geojson.type === 'MultiPolygon') return geojson.coordinates;
+  if (geojson.type === 'Feature') return geojsonToMultiPolygon(geojson.geometry);
+  if (geojson.type === 'FeatureCollection') return geojson.features.flatMap((feature) => geojsonToMultiPolygon(feature));
+  if (geojson.type === 'GeometryCollection') return geojson.geometries.flatMap((geometry) => geojsonToMultiPolygon(geometry));
+  throw new Error(`Unsupported boundary geometry type: ${geojson.type} (expected Polygon or MultiPolygon)`);
+};
+
+const boundaryCache = new Map();
+
+// place.boundary can be a GeoJSON object or a path to a .poly/.geojson file; null when the place only has a bbox
+export const loadPlaceBoundary = (place) => {
+  if (!place.boundary) return null;
+  if (boundaryCache.has(place.code)) return boundaryCache.get(place.code);
+
+  let multiPolygon;
+  if (typeof place.boundary === 'string') {
+    if (!fs.existsSync(place.boundary)) {
+      throw new Error(`Boundary file for ${place.name} (${place.code}) not found: ${place.boundary}`);
+    }
+    const contents = fs.readFileSync(place.boundary, 'utf8');
+    multiPolygon = place.boundary.endsWith('.poly') ? parsePolyFile(contents) : geojsonToMultiPolygon(JSON.parse(contents));
+  } else {
+    multiPolygon = geojsonToMultiPolygon(place.boundary);
+  }
+
+  if (multiPolygon.length === 0) {
+    throw new Error(`Boundary for ${place.name} (${place.code}) contains no polygons`);
+  }
+
+  boundaryCache.set(place.code, multiPolygon);
+  return multiPolygon;
+};
+
+// ==================== Geometry ====================
+
+// [minLon, minLat, maxLon, maxLat], same order as config bboxes
+export const boundaryBbox = (multiPolygon) => {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  multiPolygon.forEach((polygon) => polygon[0].forEach(([lon, lat]) => {
+    if (lon < minLon) minLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lon > maxLon) maxLon = lon;
+    if (lat > maxLat) maxLat = lat;
+  }));
+  return [minLon, minLat, maxLon, maxLat];
+};
+
+// Config bbox if given, otherwise the bbox of the boundary
+export const getPlaceBbox = (place) => {
+  if (place.bbox) return place.bbox;
+  const boundary = loadPlaceBoundary(place);
+  if (!boundary) throw new Error(`${place.name} (${place.code}) needs either a bbox or a boundary`);
+  return boundaryBbox(boundary);
+};
+
+// Point-in-polygon tester with edges bucketed into latitude bands, so each test only looks at
+// the handful of edges crossing the point's band (coastlines easily have thousands of vertices)
+export const createBoundaryTester = (multiPolygon, bandCount = 1024) => {
+  const [, minLat, , maxLat] = boundaryBbox(multiPolygon);
+  const bandHeight = (maxLat - minLat) / bandCount || 1;
+  const bands = Array.from({ length: bandCount }, () => []);
+
+  multiPolygon.forEach((polygon) => polygon.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const edge = [ring[j][0], ring[j][1], ring[i][0], ring[i][1]];
+      const firstBand = Math.max(0, Math.floor((Math.min(edge[1], edge[3]) - minLat) / bandHeight));
+      const lastBand = Math.min(bandCount - 1, Math.floor((Math.max(edge[1], edge[3]) - minLat) / bandHeight));
+      for (let band = firstBand; band <= lastBand; band++) bands[band].push(edge);
+    }
+  }));
+
+  // Even-odd ray casting over every ring, which handles holes and multiple polygons at once
+  return (lon, lat) => {
+    if (lat < minLat || lat > maxLat) return false;
+    const band = bands[Math.min(bandCount - 1, Math.floor((lat - minLat) / bandHeight))];
+    let inside = false;
+    for (let k = 0; k < band.length; k++) {
+      const [x1, y1, x2, y2] = band[k];
+      if ((y1 > lat) !== (y2 > lat) && lon < ((x2 - x1) * (lat - y1)) / (y2 - y1) + x1) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+};
+
+const segmentsIntersect = (ax, ay, bx, by, cx, cy, dx, dy) => {
+  const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+};
+
+// Whether a [minLon, minLat, maxLon, maxLat] box overlaps the boundary at all
+export const bboxIntersectsBoundary = (multiPolygon, isInside, [minLon, minLat, maxLon, maxLat]) => {
+  const corners = [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat]];
+  if (corners.some(([lon, lat]) => isInside(lon, lat))) return true;
+
+  for (const polygon of multiPolygon) {
+    for (const ring of polygon) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lon, lat] = ring[i];
+        if (lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat) return true;
+        for (let c = 0; c < 4; c++) {
+          const [cx, cy] = corners[c];
+          const [dx, dy] = corners[(c + 1) % 4];
+          if (segmentsIntersect(ring[j][0], ring[j][1], lon, lat, cx, cy, dx, dy)) return true;
+        }
+      }
+    }
+  }
+  return false;
+};
+
+const ringAreaAndCentroid = (ring) => {
+  let area = 0, cx = 0, cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    area += cross;
+    cx += (ring[j][0] + ring[i][0]) * cross;
+    cy += (ring[j][1] + ring[i][1]) * cross;
+  }
+  area /= 2;
+  if (area === 0) return { area: 0, centroid: ring[0] };
+  return { area: Math.abs(area), centroid: [cx / (6 * area), cy / (6 * area)] };
+};
+
+// Area-weighted centroid, nudged to the nearest inside point when the shape is concave
+// enough for the centroid to land outside (e.g. a bay)
+export const boundaryCentroid = (multiPolygon) => {
+  let totalArea = 0, sumLon = 0, sumLat = 0;
+  multiPolygon.forEach((polygon) => polygon.forEach((ring, ringIdx) => {
+    const { area, centroid } = ringAreaAndCentroid(ring);
+    const sign = ringIdx === 0 ? 1 : -1; // holes subtract
+    totalArea += sign * area;
+    sumLon += sign * area * centroid[0];
+    sumLat += sign * area * centroid[1];
+  }));
+
+  const [minLon, minLat, maxLon, maxLat] = boundaryBbox(multiPolygon);
+  const centroid = totalArea > 0 ? [sumLon / totalArea, sumLat / totalArea] : [(minLon + maxLon) / 2, (minLat + maxLat) / 2];
+
+  const isInside = createBoundaryTester(multiPolygon);
+  if (isInside(centroid[0], centroid[1])) return centroid;
+
+  let best = centroid, bestDistSq = Infinity;
+  const steps = 50;
+  for (let x = 0; x <= steps; x++) {
+    for (let y = 0; y <= steps; y++) {
+      const lon = minLon + (maxLon - minLon) * x / steps;
+      const lat = minLat + (maxLat - minLat) * y / steps;
+      if (!isInside(lon, lat)) continue;
+      const distSq = (lon - centroid[0]) ** 2 + (lat - centroid[1]) ** 2;
+      if (distSq < bestDistSq) {
+        bestDistSq = distSq;
+        best = [lon, lat];
+      }
+    }
+  }
+  return best;
+};
+
+// Overpass-style element (node/way/relation with `out geom`) touches the boundary
+export const elementInBoundary = (element, isInside) => {
+  if (element.type === 'node') return isInside(element.lon, element.lat);
+  if (element.geometry) return element.geometry.some((point) => point && isInside(point.lon, point.lat));
+  if (element.members) {
+    return element.members.some((member) => (member.geometry
+      ? member.geometry.some((point) => point && isInside(point.lon, point.lat))
+      : member.lat !== undefined && isInside(member.lon, member.lat)));
+  }
+  if (element.bounds) {
+    return isInside((element.bounds.minlon + element.bounds.maxlon) / 2, (element.bounds.minlat + element.bounds.maxlat) / 2);
+  }
+  return true;
+};
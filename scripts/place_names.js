@@ -0,0 +1,139 @@
+// Name resolution for streets, neighborhoods, terminals and stations
+// config.locale is a language code or an ordered fallback list (e.g. ["en", "zh-Latn-pinyin", "ja-Latn"]),
+// tried as name:<locale> tags before falling back to the plain name. With config.romanize, names that
+// only exist in a non-Latin script are transliterated by the small built-in tables below.
+import config from '../config.js';
+
+export const localeChain = () => {
+  const locales = Array.isArray(config.locale) ? config.locale : [config.locale || 'en'];
+  return locales.filter((locale) => typeof locale === 'string' && locale.trim()).map((locale) => locale.trim());
+};
+
+const onlyLatin = /^[\p{Script=Latin}\p{Script=Common}\p{Script=Inherited}]*$/u;
+export const isLatin = (text) => onlyLatin.test(text);
+
+// ==================== Romanization ====================
+
+const cyrillic = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+  л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+  ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye',
+  ґ: 'g', ў: 'u', ј: 'j', љ: 'lj', њ: 'nj', ћ: 'c', џ: 'dz', ђ: 'dj', ѓ: 'gj', ќ: 'kj', ѕ: 'dz',
+};
+
+const greek = {
+  ου: 'ou', ού: 'ou', α: 'a', ά: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', έ: 'e', ζ: 'z', η: 'i', ή: 'i',
+  θ: 'th', ι: 'i', ί: 'i', ϊ: 'i', ΐ: 'i', κ: 'k', λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', ό: 'o',
+  π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', ύ: 'y', ϋ: 'y', ΰ: 'y', φ: 'f', χ: 'ch', ψ: 'ps',
+  ω: 'o', ώ: 'o',
+};
+
+// Cased alphabets: map letter by letter (two-letter sequences first), keeping capitals
+const transliterateCased = (text, table) => {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2).toLowerCase();
+    const single = text[i].toLowerCase();
+    const key = table[pair] !== undefined ? pair : single;
+    const mapped = table[key];
+    if (mapped === undefined) {
+      result += text[i];
+      continue;
+    }
+    result += text[i] !== single && mapped ? mapped[0].toUpperCase() + mapped.slice(1) : mapped;
+    i += key.length - 1;
+  }
+  return result;
+};
+
+// Hepburn for hiragana (katakana is the same block shifted by 0x60)
+const kana = Object.fromEntries(('あa いi うu えe おo かka きki くku けke こko がga ぎgi ぐgu げge ごgo '
+  + 'さsa しshi すsu せse そso ざza じji ずzu ぜze ぞzo たta ちchi つtsu てte とto だda ぢji づzu でde どdo '
+  + 'なna にni ぬnu ねne のno はha ひhi ふfu へhe ほho ばba びbi ぶbu べbe ぼbo ぱpa ぴpi ぷpu ぺpe ぽpo '
+  + 'まma みmi むmu めme もmo やya ゆyu よyo らra りri るru れre ろro わwa ゐi ゑe をo んn ゔvu '
+  + 'ぁa ぃi ぅu ぇe ぉo ゎwa').split(' ').map((entry) => [entry[0], entry.slice(1)]));
+const smallY = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+const toHiragana = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : char;
+};
+
+const transliterateKana = (text) => {
+  let result = '';
+  let doubleNext = false;
+  for (const original of text) {
+    const char = toHiragana(original);
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+    if (char === 'ー') {
+      const vowel = result.match(/[aeiou]$/);
+      if (vowel) result += vowel[0];
+      continue;
+    }
+    if (smallY[char] && /(shi|chi|ji|i)$/.test(result)) {
+      // きゃ -> kya, しゃ -> sha
+      result = result.replace(/(sh|ch|j)i$/, '$1').replace(/([^shcj])i$/, '$1y') + smallY[char];
+      continue;
+    }
+    let syllable = kana[char] ?? (char === '・' ? ' ' : char);
+    if (doubleNext && /^[a-z]/.test(syllable)) {
+      syllable = (syllable.startsWith('ch') ? 't' : syllable[0]) + syllable;
+    }
+    doubleNext = false;
+    result += syllable;
+  }
+  return result;
+};
+
+// Revised Romanization, syllable by syllable (no sound change rules across syllables)
+const hangulInitials = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const hangulVowels = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const hangulFinals = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+const transliterateHangul = (text) => [...text].map((char) => {
+  const code = char.charCodeAt(0) - 0xac00;
+  if (code < 0 || code > 11171) return char;
+  return hangulInitials[Math.floor(code / 588)] + hangulVowels[Math.floor((code % 588) / 28)] + hangulFinals[code % 28];
+}).join('');
+
+const capitalizeWords = (text) => text.replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+
+// Latin transliteration of a name, or null when it uses a script the tables don't cover
+// (Chinese characters and Japanese kanji need a dictionary, so those stay unromanized)
+export const romanize = (text) => {
+  let result = transliterateCased(text, cyrillic);
+  result = transliterateCased(result, greek);
+  result = capitalizeWords(transliterateHangul(transliterateKana(result)));
+  return isLatin(result) && result.trim() ? result.trim() : null;
+};
+
+// ==================== Resolution ====================
+
+// { name, source }: source is the matching locale, 'name' (plain name tag), 'romanized', 'ref',
+// or null when there's no name at all. `ref` only counts for streets (route numbers).
+export const resolveName = (tags, { allowRef = false, locales = localeChain() } = {}) => {
+  if (!tags || tags.noname === 'yes') return { name: '', source: null };
+
+  for (const locale of locales) {
+    const localized = tags[`name:${locale}`];
+    if (localized && localized.trim()) return { name: localized.trim(), source: locale };
+  }
+
+  const name = (tags.name || '').trim();
+  if (name) {
+    if (config.romanize && !isLatin(name)) {
+      const romanized = romanize(name);
+      if (romanized) return { name: romanized, source: 'romanized' };
+    }
+    return { name, source: 'name' };
+  }
+
+  if (allowRef && tags.ref && tags.ref.trim()) return { name: tags.ref.trim(), source: 'ref' };
+  return { name: '', source: null };
+};
+
+// Whether a resolved name fell back to something other than the requested locales
+export const isFallback = ({ source }, locales = localeChain()) => source !== null && !locales.includes(source);
@@ -0,0 +1,199 @@
+// Gridded population calibration
+// OSM only tells us how much residential floor area there is, not how many people live in it. With a
+// population grid (a GHS-POP or WorldPop GeoTIFF in WGS84, or a CSV of lat/lon/pop cells) each cell's
+// population is spread over the residential buildings inside it in proportion to their floor area.
+// Buildings in cells the grid doesn't cover (outside the raster, nodata) keep the area-based estimate.
+import fs from 'fs';
+import { fromFile } from 'geotiff';
+import { readCsv } from './csv_file.js';
+
+// ==================== Loading ====================
+
+// Regular grid clipped to the place's bbox: values[row * width + col], NaN where there's no data.
+// originLon/originLat is the top left corner, rows run south.
+const createGrid = ({ originLon, originLat, cellLon, cellLat, width, height, values }) => ({
+  originLon, originLat, cellLon, cellLat, width, height, values,
+
+  // Index of the cell containing a point, -1 outside the grid
+  cellOf(lon, lat) {
+    const col = Math.floor((lon - originLon) / cellLon);
+    const row = Math.floor((originLat - lat) / cellLat);
+    if (col < 0 || row < 0 || col >= width || row >= height) return -1;
+    return row * width + col;
+  },
+});
+
+// Single band GeoTIFF in WGS84, people per pixel
+const loadGeoTiff = async (filePath, [west, south, east, north]) => {
+  const tiff = await fromFile(filePath);
+  const image = await tiff.getImage();
+
+  // GHS-POP also comes in Mollweide, which would need reprojecting
+  const { GeographicTypeGeoKey, ProjectedCSTypeGeoKey } = image.geoKeys || {};
+  if (ProjectedCSTypeGeoKey || (GeographicTypeGeoKey && GeographicTypeGeoKey !== 4326)) {
+    throw new Error(`${filePath} isn't in WGS84 (EPSG:4326), download the WGS84 version of the grid instead`);
+  }
+
+  const [originLon, originLat] = image.getOrigin();
+  const [cellLon, negativeCellLat] = image.getResolution();
+  const cellLat = Math.abs(negativeCellLat);
+
+  // Only read the window covering the bbox
+  const left = Math.max(0, Math.floor((west - originLon) / cellLon));
+  const top = Math.max(0, Math.floor((originLat - north) / cellLat));
+  const right = Math.min(image.getWidth(), Math.ceil((east - originLon) / cellLon));
+  const bottom = Math.min(image.getHeight(), Math.ceil((originLat - south) / cellLat));
+  if (right <= left || bottom <= top) {
+    throw new Error(`${filePath} doesn't cover the place's bbox`);
+  }
+
+  const [raster] = await image.readRasters({ window: [left, top, right, bottom], samples: [0] });
+  const noData = image.getGDALNoData();
+  const values = new Float32Array(raster.length);
+  for (let i = 0; i < raster.length; i++) {
+    const value = raster[i];
+    values[i] = value === noData || !(value >= 0) ? NaN : value;
+  }
+
+  return createGrid({
+    originLon: originLon + left * cellLon,
+    originLat: originLat - top * cellLat,
+    cellLon,
+    cellLat,
+    width: right - left,
+    height: bottom - top,
+    values,
+  });
+};
+
+const csvColumns = {
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x'],
+  pop: ['pop', 'population', 'value', 'count'],
+};
+
+// Smallest step between distinct coordinates, i.e. the cell size of the grid
+const gridStep = (coordinates) => {
+  const sorted = [...new Set(coordinates)].sort((a, b) => a - b);
+  let step = Infinity;
+  for (let i = 1; i < sorted.length; i++) {
+    const difference = sorted[i] - sorted[i - 1];
+    if (difference > 1e-9 && difference < step) step = difference;
+  }
+  // Text coordinates carry float noise (0.009999999999998), grid sizes don't
+  return Math.round(step * 1e9) / 1e9;
+};
+
+// One row per cell center: lat,lon,pop (any column order with a header, that order without one)
+const loadCsv = async (filePath, [west, south, east, north], cellSize) => {
+  let columns = null;
+  const cells = [];
+
+  const addCell = (fields) => {
+    const lat = Number(fields[columns.lat]);
+    const lon = Number(fields[columns.lon]);
+    const pop = Number(fields[columns.pop]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isFinite(pop)) return;
+    // Generous margin so cells whose center lies just outside the bbox still count
+    if (lon < west - 0.1 || lon > east + 0.1 || lat < south - 0.1 || lat > north + 0.1) return;
+    cells.push([lon, lat, pop]);
+  };
+
+  for await (const { header, fields } of readCsv(filePath)) {
+    if (!columns) {
+      const find = (names) => header.findIndex((field) => names.includes(field));
+      columns = { lat: find(csvColumns.lat), lon: find(csvColumns.lon), pop: find(csvColumns.pop) };
+      if (Object.values(columns).every((index) => index === -1)) {
+        // No header, the first line is a cell too
+        columns = { lat: 0, lon: 1, pop: 2 };
+        addCell(header);
+      } else if (Object.values(columns).includes(-1)) {
+        throw new Error(`${filePath} needs lat, lon and pop columns`);
+      }
+    }
+    addCell(fields);
+  }
+  if (cells.length === 0) throw new Error(`${filePath} has no cells inside the place's bbox`);
+
+  const cellLon = cellSize || gridStep(cells.map(([lon]) => lon));
+  const cellLat = cellSize || gridStep(cells.map(([, lat]) => lat));
+  if (!Number.isFinite(cellLon) || !Number.isFinite(cellLat)) {
+    throw new Error(`Can't tell the cell size of ${filePath}, set populationGrid.cellSize`);
+  }
+
+  // Keep the cells overlapping the bbox; rows are cell centers, so the grid starts half a cell
+  // up and left of the north-westernmost one
+  const inside = cells.filter(([lon, lat]) => lon > west - cellLon / 2 && lon < east + cellLon / 2
+    && lat > south - cellLat / 2 && lat < north + cellLat / 2);
+  if (inside.length === 0) throw new Error(`${filePath} has no cells inside the place's bbox`);
+  let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  inside.forEach(([lon, lat]) => {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  });
+  const originLon = Math.round((minLon - cellLon / 2) * 1e9) / 1e9;
+  const originLat = Math.round((maxLat + cellLat / 2) * 1e9) / 1e9;
+  const width = Math.round((maxLon - minLon) / cellLon) + 1;
+  const height = Math.round((maxLat - minLat) / cellLat) + 1;
+
+  const grid = createGrid({ originLon, originLat, cellLon, cellLat, width, height, values: new Float32Array(width * height).fill(NaN) });
+  inside.forEach(([lon, lat, pop]) => {
+    const index = grid.cellOf(lon, lat);
+    if (index >= 0) grid.values[index] = (Number.isNaN(grid.values[index]) ? 0 : grid.values[index]) + Math.max(0, pop);
+  });
+  return grid;
+};
+
+// place.populationGrid (or config.populationGrid): a path, or { file, cellSize } for CSVs whose cell
+// size can't be inferred. Returns null when the place has no grid.
+export const loadPopulationGrid = async (setting, bbox) => {
+  if (!setting) return null;
+  const { file, cellSize } = typeof setting === 'string' ? { file: setting } : setting;
+  if (!fs.existsSync(file)) throw new Error(`Population grid not found: ${file}`);
+
+  if (/\.csv$/i.test(file)) return loadCsv(file, bbox, cellSize);
+  if (/\.tiff?$/i.test(file)) return loadGeoTiff(file, bbox);
+  throw new Error(`Population grid ${file} must be a .tif/.tiff GeoTIFF or a .csv file`);
+};
+
+// ==================== Calibration ====================
+
+// Replaces approxPop of every residential building (one with floorArea) inside grid coverage by its
+// share of the cell's population. Works on the building summaries from building_worker.js.
+export const calibrateResidents = (buildings, grid) => {
+  const stats = { gridPopulation: 0, calibratedBuildings: 0, fallbackBuildings: 0, unplacedPopulation: 0 };
+
+  // Residential floor area per cell
+  const cellOfBuilding = new Int32Array(buildings.length).fill(-1);
+  const floorAreaPerCell = new Map();
+  buildings.forEach((building, i) => {
+    if (building.approxPop === undefined || !building.floorArea) return;
+    const cell = grid.cellOf(building.center[0], building.center[1]);
+    if (cell < 0 || Number.isNaN(grid.values[cell])) {
+      stats.fallbackBuildings++;
+      return;
+    }
+    cellOfBuilding[i] = cell;
+    floorAreaPerCell.set(cell, (floorAreaPerCell.get(cell) || 0) + building.floorArea);
+  });
+
+  buildings.forEach((building, i) => {
+    const cell = cellOfBuilding[i];
+    if (cell < 0) return;
+    building.approxPop = Math.round(grid.values[cell] * building.floorArea / floorAreaPerCell.get(cell));
+    stats.calibratedBuildings++;
+  });
+
+  // People the grid puts where OSM has no residential buildings can't be placed anywhere
+  for (let cell = 0; cell < grid.values.length; cell++) {
+    const value = grid.values[cell];
+    if (Number.isNaN(value)) continue;
+    stats.gridPopulation += value;
+    if (!floorAreaPerCell.has(cell)) stats.unplacedPopulation += value;
+  }
+  stats.gridPopulation = Math.round(stats.gridPopulation);
+  stats.unplacedPopulation = Math.round(stats.unplacedPopulation);
+  return stats;
+};
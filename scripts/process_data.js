@@ -1,35 +1,32 @@
 import fs from 'fs';
 import config from '../config.js';
 import perfConfig from '../performance_config.js';
-import { createParseStream } from 'big-json';
 import cliProgress from 'cli-progress';
 import RBush from 'rbush';
-import StreamArray from 'stream-json/streamers/StreamArray.js';
-import pkg from 'stream-chain';
-const { chain } = pkg;
 import Piscina from 'piscina';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { decode as msgpackDecode } from '@msgpack/msgpack';
+import { loadPlaceBoundary, getPlaceBbox, createBoundaryTester, elementInBoundary } from './place_boundary.js';
+import { buildTransitReference } from './transit_reference.js';
+import { resolveName, isFallback, localeChain } from './place_names.js';
+import { createDatasetWriter, readDatasetItems, readDatasetChunks } from './dataset_files.js';
+import { loadPopulationGrid, calibrateResidents } from './population_grid.js';
+import { loadCommuteFlows } from './commute_flows.js';
+import { loadGtfs, gtfsDemand } from './gtfs_import.js';
+import { gravitySetting, balanceFlows, describeGravity } from './gravity_model.js';
+import { buildRoadGraph, snapToGraph } from './road_graph.js';
+import { footprintSetting, describeFootprints } from './footprint.js';
+import { foundationSetting, inferFoundationDepths } from './foundation_depth.js';
+import { calibrationSetting, calibrateTotals } from './calibration.js';
+import { landUseSetting, buildLandUseIndex } from './land_use.js';
+import { densityFor } from './density_presets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // ==================== Lightweight Geometry Functions ====================
 
-// Calculate polygon area using shoelace formula (square meters)
-const calculateArea = (coords) => {
-  let area = 0;
-  const n = coords.length;
-  for (let i = 0; i < n - 1; i++) {
-    const [lon1, lat1] = coords[i];
-    const [lon2, lat2] = coords[i + 1];
-    area += lon1 * lat2 - lon2 * lat1;
-  }
-  return Math.abs(area / 2) * 111320 * 111320 * Math.cos(coords[0][1] * Math.PI / 180);
-};
-
 // Centroid removed - we now use fast bbox center for neighborhood assignment
 
 // Calculate distance between two points (meters)
@@ -61,7 +58,7 @@ const optimizeBuilding = (unOptimizedBuilding) => {
   return {
     b: [unOptimizedBuilding.minX, unOptimizedBuilding.minY, unOptimizedBuilding.maxX, unOptimizedBuilding.maxY],
     f: unOptimizedBuilding.foundationDepth,
-    p: simplifiedPolygon,
+    p: unOptimizedBuilding.footprint ? [unOptimizedBuilding.footprint] : simplifiedPolygon,
   }
 };
 
@@ -109,36 +106,16 @@ const optimizeIndex = async (unOptimizedIndex, progressBar) => {
   }
 };
 
-// ==================== Building Type Mappings ====================
-
-const squareFeetPerPopulation = {
-  yes: 600, apartments: 240, barracks: 100, bungalow: 600, cabin: 600,
-  detached: 600, annexe: 240, dormitory: 125, farm: 600, ger: 240,
-  hotel: 240, house: 600, houseboat: 600, residential: 600, semidetached_house: 400,
-  static_caravan: 500, stilt_house: 600, terrace: 500, tree_house: 240, trullo: 240,
-};
-
-const squareFeetPerJob = {
-  commercial: 150, industrial: 500, kiosk: 50, office: 150, retail: 300,
-  supermarket: 300, warehouse: 500, religious: 100, cathedral: 100, chapel: 100,
-  church: 100, kingdom_hall: 100, monastery: 100, mosque: 100, presbytery: 100,
-  shrine: 100, synagogue: 100, temple: 100, bakehouse: 300, college: 250,
-  fire_station: 500, government: 150, gatehouse: 150, hospital: 150, kindergarten: 100,
-  museum: 300, public: 300, school: 100, train_station: 1000, transportation: 1000,
-  university: 250, grandstand: 150, pavilion: 150, riding_hall: 150, sports_hall: 150,
-  sports_centre: 150, stadium: 150,
-};
-
 const validPlaces = ['quarter', 'neighbourhood', 'suburb', 'hamlet', 'village'];
 
 let terminalTicker = 0;
+let hubTicker = 0;
 
 // ==================== Connection/Demand Processing (Optimized) ====================
 
-const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressBar) => {
+const processPlaceConnections = async (place, buildings, rawPlaces, gtfs, progressBar) => {
   let neighborhoods = {};
   let centersOfNeighborhoods = {};
-  let calculatedBuildings = {};
 
   progressBar.update(0, { stage: 'Finding neighborhoods' });
 
@@ -176,7 +153,7 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
   console.log(`  ✓ Spatial index built for ${neighborhoodList.length} neighborhoods`);
   
   // STEP 2: Build grid with spatial index queries (much faster!)
-  const [minLon, minLat, maxLon, maxLat] = place.bbox;
+  const [minLon, minLat, maxLon, maxLat] = getPlaceBbox(place);
   const gridResolution = 0.002; // 200m resolution for good accuracy
   const gridCols = Math.ceil((maxLon - minLon) / gridResolution);
   const gridRows = Math.ceil((maxLat - minLat) / gridResolution);
@@ -248,67 +225,15 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
   const gridTime = ((Date.now() - gridStart) / 1000).toFixed(1);
   console.log(`  ✓ Grid built in ${gridTime}s (${totalGridCells.toLocaleString()} cells)`);
 
-  progressBar.update(20, { stage: 'Processing buildings' });
+  // Neighborhood whose grid cell covers a point (nearest center at grid resolution), null outside the grid
+  const neighborhoodAt = (lon, lat) => {
+    const col = Math.floor((lon - minLon) / gridResolution);
+    const row = Math.floor((lat - minLat) / gridResolution);
+    return neighborhoodGrid.get(`${col},${row}`) || null;
+  };
 
-  // Process buildings in batches
-  const buildingBatchSize = perfConfig.batchSizes.buildings;
-  let processedCount = 0;
-  const startTime = Date.now();
-  
-  for (let i = 0; i < rawBuildings.length; i += buildingBatchSize) {
-    const batch = rawBuildings.slice(i, i + buildingBatchSize);
-    
-    batch.forEach((building) => {
-      if (!building.tags.building) return;
-      
-      const __coords = building.geometry.map((point) => [point.lon, point.lat]);
-      if (__coords.length < 3) return;
-      if (__coords[0][0] !== __coords[__coords.length - 1][0] || __coords[0][1] !== __coords[__coords.length - 1][1]) {
-        __coords.push(__coords[0]);
-      }
-
-      // Use exact area calculation for accurate population
-      const buildingAreaSqMeters = calculateArea(__coords);
-      let buildingAreaMultiplier = Math.max(Number(building.tags['building:levels']), 1);
-      if (isNaN(buildingAreaMultiplier)) buildingAreaMultiplier = 1;
-      const buildingArea = buildingAreaSqMeters * buildingAreaMultiplier * 10.7639; // to square feet
-
-      // Fast bbox center for neighborhood assignment (don't need exact centroid!)
-      let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
-      for (const [lon, lat] of __coords) {
-        if (lon < minLon) minLon = lon;
-        if (lon > maxLon) maxLon = lon;
-        if (lat < minLat) minLat = lat;
-        if (lat > maxLat) maxLat = lat;
-      }
-      const buildingCenter = [(minLon + maxLon) / 2, (minLat + maxLat) / 2];
-
-      if (squareFeetPerPopulation[building.tags.building]) {
-        const approxPop = Math.floor(buildingArea / squareFeetPerPopulation[building.tags.building]);
-        calculatedBuildings[building.id] = {
-          ...building,
-          approxPop,
-          buildingCenter,
-        };
-      } else if (squareFeetPerJob[building.tags.building]) {
-        let approxJobs = Math.floor(buildingArea / squareFeetPerJob[building.tags.building]);
-        if (building.tags.aeroway && building.tags.aeroway == 'terminal') {
-          approxJobs *= 20;
-        }
-        calculatedBuildings[building.id] = {
-          ...building,
-          approxJobs,
-          buildingCenter,
-        };
-      }
-    });
-    
-    processedCount += batch.length;
-    const percent = 20 + Math.floor((processedCount / rawBuildings.length) * 30);
-    const elapsed = (Date.now() - startTime) / 1000;
-    const eta = processedCount > 0 ? Math.round((elapsed / processedCount) * (rawBuildings.length - processedCount)) : 0;
-    progressBar.update(percent, { stage: `Buildings ${processedCount}/${rawBuildings.length} ETA:${eta}s` });
-  }
+  // Only buildings with residents or jobs take part in demand
+  const buildingList = buildings.filter((building) => building.approxPop !== undefined || building.approxJobs !== undefined);
 
   progressBar.update(50, { stage: 'Assigning to neighborhoods' });
 
@@ -320,7 +245,7 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
     finalVoronoiMembers[placeID] = [];
     finalVoronoiMetadata[placeID] = {
       placeID,
-      name: neighborhoods[placeID].tags.name,
+      name: resolveName(neighborhoods[placeID].tags).name,
       totalPopulation: 0,
       totalJobs: 0,
       percentOfTotalPopulation: null,
@@ -331,16 +256,11 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
   // Assign buildings using grid lookup (super fast!)
   let assignedCount = 0;
   const assignStartTime = Date.now();
-  const buildingList = Object.values(calculatedBuildings);
-  
   for (let i = 0; i < buildingList.length; i++) {
     const building = buildingList[i];
-    const [lon, lat] = building.buildingCenter;
+    const [lon, lat] = building.center;
     
-    // Convert building coordinates to grid cell
-    const col = Math.floor((lon - minLon) / gridResolution);
-    const row = Math.floor((lat - minLat) / gridResolution);
-    const placeID = neighborhoodGrid.get(`${col},${row}`);
+    const placeID = neighborhoodAt(lon, lat);
     
     // Assign building to neighborhood
     if (placeID && finalVoronoiMembers[placeID]) {
@@ -366,6 +286,55 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
   const assignTime = ((Date.now() - assignStartTime) / 1000).toFixed(1);
   console.log(`  ✓ Assigned ${assignedCount.toLocaleString()} buildings in ${assignTime}s`);
 
+  // Busy GTFS stations attract more trips: their neighborhoods get extra jobs, and major hubs become
+  // destinations of their own (hubs have no residents, so nobody commutes from them)
+  const gtfsChanges = gtfs ? gtfsDemand(gtfs, neighborhoodAt) : null;
+  const jobsBeforeGtfs = new Map();
+  if (gtfsChanges) {
+    gtfsChanges.boosts.forEach(({ factor }, placeID) => {
+      const meta = finalVoronoiMetadata[placeID];
+      jobsBeforeGtfs.set(placeID, meta.totalJobs);
+      meta.totalJobs = Math.round(meta.totalJobs * factor);
+    });
+    gtfsChanges.hubs.forEach((hub) => {
+      hub.placeID = "GTFS_Hub_" + hubTicker;
+      hubTicker++;
+      centersOfNeighborhoods[hub.placeID] = hub.location;
+      jobsBeforeGtfs.set(hub.placeID, 0);
+      finalVoronoiMetadata[hub.placeID] = {
+        placeID: hub.placeID,
+        name: hub.name,
+        totalPopulation: 0,
+        totalJobs: hub.jobs,
+        percentOfTotalPopulation: null,
+        percentOfTotalJobs: null,
+      };
+    });
+  }
+
+  // Residents and jobs scaled to the place's known totals (see calibration.js)
+  const calibration = calibrationSetting(config.calibration, place.calibration);
+  let calibrationReport = null;
+  if (calibration) {
+    const zoneTypeOf = (placeID) => {
+      if (placeID.startsWith('GTFS_Hub_')) return 'gtfs_hub';
+      const tags = neighborhoods[placeID]?.tags || {};
+      return tags.aeroway == 'terminal' ? 'terminal' : tags.place;
+    };
+    calibrationReport = calibrateTotals(Object.values(finalVoronoiMetadata), zoneTypeOf, place, calibration);
+    // The GTFS report compares jobs before and after the station boosts, both calibrated
+    jobsBeforeGtfs.forEach((jobs, placeID) => {
+      jobsBeforeGtfs.set(placeID, Math.round(jobs * calibrationReport.factorOf('jobs', zoneTypeOf(placeID))));
+    });
+    [['residents', 'population'], ['jobs', 'jobs']].forEach(([side, targetKey]) => {
+      if (!calibrationReport[side]) {
+        console.log(`  ⚠️  Calibration: no place.${targetKey} to scale ${side} to, kept as processed`);
+        return;
+      }
+      calibrationReport[side].warnings.forEach((warning) => console.log(`  ⚠️  Calibration: ${warning}`));
+    });
+  }
+
   progressBar.update(70, { stage: 'Computing totals' });
 
   // Calculate totals
@@ -395,6 +364,7 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
 
     finalNeighborhoods[place.placeID] = {
       id: id,
+      name: place.name,
       location: centersOfNeighborhoods[place.placeID],
       jobs: place.totalJobs,
       residents: place.totalPopulation,
@@ -406,6 +376,11 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
 
   // Compute connections in parallel with preserved totals
   const places = Object.values(finalVoronoiMetadata);
+
+  // Observed commute flows (e.g. LODES) replace the modeled demand of every neighborhood they start in
+  const commuteSetting = place.commuteFlows || config.commuteFlows;
+  const commuteFlows = await loadCommuteFlows(commuteSetting, [minLon, minLat, maxLon, maxLat], neighborhoodAt);
+  const modeledPlaces = commuteFlows ? places.filter((origin) => !commuteFlows.flows.has(origin.placeID)) : places;
   
   // Create worker pool for demand calculation
   const workerCount = perfConfig.workerThreads > 0 ? perfConfig.workerThreads : 
@@ -417,45 +392,112 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
     maxThreads: workerCount,
   });
 
-  // Process connections in smaller batches with progress updates
-  const demandBatchSize = 100; // Process 100 neighborhoods at a time
-  const totalDemandBatches = Math.ceil(places.length / demandBatchSize);
+  // Distance-decay gravity model when the place (or config) has one, proportional to jobs otherwise
+  const gravity = gravitySetting(config.gravity, place.gravity);
   let neighborhoodConnections = [];
+
+  if (gravity) {
+    const { connections, stats: gravityStats } = await computeGravityConnections(modeledPlaces, places, centersOfNeighborhoods, gravity, demandPool, workerCount, progressBar);
+    neighborhoodConnections = connections;
+
+    let trips = 0, tripMeters = 0;
+    connections.forEach(({ size, drivingDistance }) => {
+      trips += size;
+      tripMeters += size * drivingDistance;
+    });
+    console.log(`  ✓ Gravity model (${describeGravity(gravity)}): balanced in ${gravityStats.iterations} iterations, destinations within ${(gravityStats.error * 100).toFixed(1)}% of their jobs share, average trip ${(tripMeters / trips / 1000 || 0).toFixed(1)} km`);
+    if (gravityStats.unreachableResidents > 0) {
+      console.log(`    ⚠️  ${gravityStats.unreachableResidents.toLocaleString()} residents of ${gravityStats.unreachableOrigins.toLocaleString()} neighborhoods have no jobs within ${gravity.maxTripLength} km and don't travel`);
+    }
+    if (gravityStats.unreachedJobs > 0) {
+      console.log(`    ⚠️  ${gravityStats.unreachedJobs.toLocaleString()} jobs are further than ${gravity.maxTripLength} km from any residents and get no trips`);
+    }
+  } else {
+    // Process connections in smaller batches with progress updates
+    const demandBatchSize = 100; // Process 100 neighborhoods at a time
+    const totalDemandBatches = Math.ceil(modeledPlaces.length / demandBatchSize);
   
-  for (let batchNum = 0; batchNum < totalDemandBatches; batchNum++) {
-    const startIdx = batchNum * demandBatchSize;
-    const batch = places.slice(startIdx, startIdx + demandBatchSize);
+    for (let batchNum = 0; batchNum < totalDemandBatches; batchNum++) {
+      const startIdx = batchNum * demandBatchSize;
+      const batch = modeledPlaces.slice(startIdx, startIdx + demandBatchSize);
     
-    // Split across workers
-    const workerBatchSize = Math.ceil(batch.length / workerCount);
-    const workerTasks = [];
+      // Split across workers
+      const workerBatchSize = Math.ceil(batch.length / workerCount);
+      const workerTasks = [];
     
-    for (let i = 0; i < batch.length; i += workerBatchSize) {
-      const workerBatch = batch.slice(i, i + workerBatchSize);
-      workerTasks.push(
-        demandPool.run({
-          originPlaces: workerBatch,
-          allPlaces: places,
-          centersOfNeighborhoods,
-        })
-      );
-    }
+      for (let i = 0; i < batch.length; i += workerBatchSize) {
+        const workerBatch = batch.slice(i, i + workerBatchSize);
+        workerTasks.push(
+          demandPool.run({
+            originPlaces: workerBatch,
+            allPlaces: places,
+            centersOfNeighborhoods,
+          })
+        );
+      }
     
-    const results = await Promise.all(workerTasks);
+      const results = await Promise.all(workerTasks);
+    
+      // Merge results from this batch
+      results.forEach(batchConnections => {
+        for (let j = 0; j < batchConnections.length; j++) {
+          neighborhoodConnections.push(batchConnections[j]);
+        }
+      });
     
-    // Merge results from this batch
+      // Update progress (0% to 90% range)
+      const progress = Math.floor((batchNum + 1) / totalDemandBatches * 90);
+      const processed = Math.min(startIdx + batch.length, modeledPlaces.length);
+      progressBar.update(progress, { 
+        stage: `Computing ${processed.toLocaleString()}/${modeledPlaces.length.toLocaleString()} connections` 
+      });
+    }
+  }
+
+  if (commuteFlows) {
+    progressBar.update(90, { stage: 'Splitting commute flows' });
+    const flowEntries = [...commuteFlows.flows].map(([residenceId, destinations]) => [residenceId, [...destinations]]);
+    const workerBatchSize = Math.max(1, Math.ceil(flowEntries.length / workerCount));
+    const workerTasks = [];
+    for (let i = 0; i < flowEntries.length; i += workerBatchSize) {
+      workerTasks.push(demandPool.run({
+        flows: flowEntries.slice(i, i + workerBatchSize),
+        centersOfNeighborhoods,
+        scale: commuteSetting.scale ?? 1,
+      }, { name: 'flowConnections' }));
+    }
+
+    const results = await Promise.all(workerTasks);
     results.forEach(batchConnections => {
       for (let j = 0; j < batchConnections.length; j++) {
         neighborhoodConnections.push(batchConnections[j]);
       }
     });
-    
-    // Update progress (0% to 90% range)
-    const progress = Math.floor((batchNum + 1) / totalDemandBatches * 90);
-    const processed = Math.min(startIdx + batch.length, places.length);
-    progressBar.update(progress, { 
-      stage: `Computing ${processed.toLocaleString()}/${places.length.toLocaleString()} connections` 
-    });
+
+    const { stats: flowStats } = commuteFlows;
+    console.log(`  ✓ Commute flows: ${flowStats.commuters.toLocaleString()} commuters from ${flowStats.mappedZones.toLocaleString()}/${flowStats.zones.toLocaleString()} zones, ${commuteFlows.flows.size.toLocaleString()} neighborhoods with observed demand`);
+    if (modeledPlaces.length > 0) {
+      console.log(`    ${modeledPlaces.length.toLocaleString()} neighborhoods without observed flows keep the modeled demand`);
+    }
+    if (flowStats.outside > 0) {
+      console.log(`    ${flowStats.outside.toLocaleString()} commuters living or working outside the place's neighborhoods skipped`);
+    }
+  }
+
+  // Driving distances and times along the road network instead of straight lines
+  const roadsPath = `./raw_data/${place.code}/roads.geojson`;
+  if ((place.roadNetwork ?? config.roadNetwork) !== false && fs.existsSync(roadsPath) && neighborhoodConnections.length > 0) {
+    progressBar.update(90, { stage: 'Building road graph' });
+    const graph = await buildRoadGraph(roadsPath, place, [minLon, minLat, maxLon, maxLat]);
+    if (graph.edgeCount > 0) {
+      const routeStats = await routeConnections(neighborhoodConnections, centersOfNeighborhoods, graph, demandPool, workerCount, progressBar);
+      console.log(`  ✓ Road network: ${graph.nodeCount.toLocaleString()} junctions, ${graph.edgeCount.toLocaleString()} segments; ${routeStats.routed.toLocaleString()}/${routeStats.pairs.toLocaleString()} neighborhood pairs routed`);
+      if (routeStats.routed < routeStats.pairs) {
+        console.log(`    ⚠️  ${(routeStats.pairs - routeStats.routed).toLocaleString()} pairs the roads don't connect (${routeStats.unsnapped.toLocaleString()} neighborhoods more than 1 km from a road) keep straight-line distances`);
+      }
+    } else {
+      console.log('  ⚠️  No roads to route on, connections keep straight-line distances');
+    }
   }
   
   await demandPool.destroy();
@@ -526,6 +568,13 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
 
   progressBar.update(100, { stage: 'Connections complete' });
 
+  if (gtfsChanges) {
+    const report = writeGtfsReport(place, gtfs, gtfsChanges, jobsBeforeGtfs, finalNeighborhoods, neighborhoodConnections);
+    const addedJobs = report.neighborhoods.reduce((sum, { jobsBefore, jobsAfter }) => sum + jobsAfter - jobsBefore, 0);
+    console.log(`  ✓ GTFS demand: +${addedJobs.toLocaleString()} jobs in ${report.neighborhoods.length.toLocaleString()} neighborhoods near busy stations, ${report.hubs.length.toLocaleString()} hubs attracting ${report.hubs.reduce((sum, hub) => sum + hub.trips, 0).toLocaleString()} trips`);
+    console.log(`    ${(report.destinationShift * 100).toFixed(1)}% of modeled destinations shifted (see ${report.reportPath})`);
+  }
+
   // Calculate statistics
   const stats = {
     totalPopulation,
@@ -535,6 +584,10 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
     avgConnectionSize: Math.round(neighborhoodConnections.reduce((sum, c) => sum + c.size, 0) / neighborhoodConnections.length),
     totalMovement: neighborhoodConnections.reduce((sum, c) => sum + c.size, 0),
   };
+  if (calibrationReport) {
+    const { residents, jobs } = calibrationReport;
+    stats.calibration = { residents, jobs };
+  }
 
   return {
     points: Object.values(finalNeighborhoods),
@@ -543,48 +596,158 @@ const processPlaceConnections = async (place, rawBuildings, rawPlaces, progressB
   };
 };
 
-// ==================== Building Processing (Optimized with Workers) ====================
+const sharedArray = (Type, length) => new Type(new SharedArrayBuffer(Math.max(1, length) * Type.BYTES_PER_ELEMENT));
+
+// Gravity model demand (see gravity_model.js): the workers recompute the distance-decay weights for every
+// balancing sweep, so only one row and one column factor per neighborhood is kept here, then turn the
+// balanced flows into connections batch by batch
+const computeGravityConnections = async (origins, places, centersOfNeighborhoods, setting, demandPool, workerCount, progressBar) => {
+  const originPlaces = origins.filter((origin) => origin.totalPopulation > 0);
+  const destinationPlaces = places.filter((destination) => destination.totalJobs > 0);
+  const destinations = sharedArray(Float64Array, destinationPlaces.length * 2);
+  destinationPlaces.forEach((destination, j) => {
+    destinations[j * 2] = centersOfNeighborhoods[destination.placeID][0];
+    destinations[j * 2 + 1] = centersOfNeighborhoods[destination.placeID][1];
+  });
+  // Shared with the workers, refilled before every sweep
+  const columnFactors = sharedArray(Float64Array, destinationPlaces.length);
+  const originsFrom = (start, end) => originPlaces.slice(start, end).map((origin) => ({
+    placeID: origin.placeID,
+    center: centersOfNeighborhoods[origin.placeID],
+    totalPopulation: origin.totalPopulation,
+  }));
+
+  // A few tasks per worker, so a slow batch doesn't hold up the others
+  const sweepBatchSize = Math.max(1, Math.ceil(originPlaces.length / (workerCount * 4)));
+  let sweeps = 0;
+  const sweep = async (factors) => {
+    columnFactors.set(factors);
+    const rowFactors = new Float64Array(originPlaces.length);
+    const columnSums = new Float64Array(destinationPlaces.length);
+    const tasks = [];
+    for (let start = 0; start < originPlaces.length; start += sweepBatchSize) {
+      const end = Math.min(start + sweepBatchSize, originPlaces.length);
+      tasks.push(demandPool.run({ origins: originsFrom(start, end), destinations, setting, columnFactors }, { name: 'gravitySweep' })
+        .then((result) => {
+          rowFactors.set(result.rowFactors, start);
+          for (let j = 0; j < columnSums.length; j++) columnSums[j] += result.columnSums[j];
+        }));
+    }
+    await Promise.all(tasks);
 
-const processBuildings = async (place, rawBuildings, progressBar) => {
-  let minLon = 9999, minLat = 9999, maxLon = -999, maxLat = -999;
+    sweeps++;
+    progressBar.update(Math.min(40, sweeps * 2), { stage: `Balancing gravity model (sweep ${sweeps})` });
+    return { rowFactors, columnSums };
+  };
 
-  progressBar.update(0, { stage: 'Calculating bounds' });
+  const { rowFactors, columnFactors: balancedFactors, stats } = await balanceFlows(
+    sweep,
+    originPlaces.map((origin) => origin.totalPopulation),
+    destinationPlaces.map((destination) => destination.totalJobs),
+    setting
+  );
+  columnFactors.set(balancedFactors);
+
+  // Balanced flows as connections, a batch of origins at a time
+  const destinationIds = destinationPlaces.map((destination) => destination.placeID);
+  const connections = [];
+  const batchSize = 100;
+  for (let startIdx = 0; startIdx < originPlaces.length; startIdx += batchSize) {
+    const batchLength = Math.min(batchSize, originPlaces.length - startIdx);
+    const workerBatchSize = Math.ceil(batchLength / workerCount);
+    const workerTasks = [];
+    for (let i = 0; i < batchLength; i += workerBatchSize) {
+      const offset = startIdx + i;
+      const end = Math.min(offset + workerBatchSize, startIdx + batchLength);
+      const batchOrigins = originsFrom(offset, end).map((origin, k) => ({ ...origin, rowFactor: rowFactors[offset + k] }));
+      workerTasks.push(demandPool.run({ origins: batchOrigins, destinations, setting, columnFactors, destinationIds, centersOfNeighborhoods }, { name: 'gravityConnections' })
+        .then((batchConnections) => {
+          for (let j = 0; j < batchConnections.length; j++) {
+            connections.push(batchConnections[j]);
+          }
+        }));
+    }
+    await Promise.all(workerTasks);
 
-  // First pass: find overall bounding box with progress updates
-  const updateInterval = Math.floor(rawBuildings.length / 100); // Update every 1%
-  rawBuildings.forEach((building, idx) => {
-    building.geometry.forEach((coord) => {
-      if (coord.lon < minLon) minLon = coord.lon;
-      if (coord.lat < minLat) minLat = coord.lat;
-      if (coord.lon > maxLon) maxLon = coord.lon;
-      if (coord.lat > maxLat) maxLat = coord.lat;
+    const progress = 45 + Math.floor((startIdx + batchLength) / originPlaces.length * 45);
+    progressBar.update(progress, { stage: `Gravity connections ${(startIdx + batchLength).toLocaleString()}/${originPlaces.length.toLocaleString()}` });
+  }
+
+  return { connections, stats };
+};
+
+// Road network distance and time (see road_graph.js) for every pair of neighborhoods with a connection,
+// searched by the workers one origin at a time. Pairs the network doesn't connect keep the straight-line
+// estimate, trips within a neighborhood stay as they are.
+const routeConnections = async (connections, centersOfNeighborhoods, graph, demandPool, workerCount, progressBar) => {
+  const placeIDs = Object.keys(centersOfNeighborhoods);
+  const snaps = snapToGraph(graph, placeIDs.map((placeID) => centersOfNeighborhoods[placeID]));
+  const snapped = new Map(placeIDs.map((placeID, i) => [placeID, snaps[i]]));
+
+  // Destinations of every origin
+  const destinations = new Map();
+  const unsnapped = new Set();
+  let pairs = 0;
+  connections.forEach(({ residenceId, jobId }) => {
+    if (residenceId === jobId) return;
+    if (!destinations.has(residenceId)) destinations.set(residenceId, new Set());
+    if (destinations.get(residenceId).has(jobId)) return;
+    destinations.get(residenceId).add(jobId);
+    pairs++;
+    [residenceId, jobId].forEach((placeID) => {
+      if (!snapped.get(placeID)) unsnapped.add(placeID);
     });
-    
-    // Update progress every 1% (every ~50k buildings for Tokyo)
-    if (idx % updateInterval === 0) {
-      const progress = Math.floor((idx / rawBuildings.length) * 10);
-      progressBar.update(progress, { 
-        stage: `Calculating bounds ${idx.toLocaleString()}/${rawBuildings.length.toLocaleString()}` 
+  });
+
+  const origins = [...destinations.keys()].filter((placeID) => snapped.get(placeID));
+  const routes = new Map();
+  const batchSize = Math.max(1, Math.min(50, Math.ceil(origins.length / workerCount)));
+  for (let startIdx = 0; startIdx < origins.length; startIdx += batchSize * workerCount) {
+    const workerTasks = [];
+    for (let i = startIdx; i < Math.min(startIdx + batchSize * workerCount, origins.length); i += batchSize) {
+      const batch = origins.slice(i, i + batchSize).map((residenceId) => {
+        const jobIds = [...destinations.get(residenceId)].filter((jobId) => snapped.get(jobId));
+        return { residenceId, jobIds };
       });
+      const requests = batch.map(({ residenceId, jobIds }) => [snapped.get(residenceId).node, jobIds.map((jobId) => snapped.get(jobId).node)]);
+      workerTasks.push(demandPool.run({ graph, requests }, { name: 'routeDistances' }).then((results) => {
+        results.forEach(({ meters, seconds }, k) => {
+          const { residenceId, jobIds } = batch[k];
+          const originRoutes = new Map();
+          jobIds.forEach((jobId, j) => {
+            if (!Number.isNaN(seconds[j])) originRoutes.set(jobId, [meters[j], seconds[j]]);
+          });
+          routes.set(residenceId, originRoutes);
+        });
+      }));
     }
-  });
+    await Promise.all(workerTasks);
 
-  progressBar.update(10, { stage: 'Creating grid' });
+    const processed = Math.min(startIdx + batchSize * workerCount, origins.length);
+    progressBar.update(90, { stage: `Routing ${processed.toLocaleString()}/${origins.length.toLocaleString()} origins` });
+  }
 
-  // Calculate grid dimensions
-  const horizontalDistance = calculateDistance([minLon, minLat], [maxLon, minLat]);
-  const verticalDistance = calculateDistance([minLon, minLat], [minLon, maxLat]);
+  let routed = 0;
+  routes.forEach((originRoutes) => { routed += originRoutes.size; });
 
-  const cellSizeMeters = 100;
-  const cols = Math.ceil(horizontalDistance / cellSizeMeters);
-  const rows = Math.ceil(verticalDistance / cellSizeMeters);
+  connections.forEach((connection) => {
+    const route = routes.get(connection.residenceId)?.get(connection.jobId);
+    if (!route) return;
+    // Straight lines between the neighborhood centers and the roads they were snapped to, at minor road speed
+    const accessMeters = snapped.get(connection.residenceId).accessMeters + snapped.get(connection.jobId).accessMeters;
+    connection.drivingDistance = Math.round(route[0] + accessMeters);
+    connection.drivingSeconds = Math.round(route[1] + accessMeters / graph.accessSpeed);
+  });
 
-  const cellWidth = (maxLon - minLon) / cols;
-  const cellHeight = (maxLat - minLat) / rows;
+  return { pairs, routed, unsnapped: unsnapped.size };
+};
 
-  progressBar.update(20, { stage: 'Processing in parallel' });
+// ==================== Building Processing (Optimized with Workers) ====================
 
-  // Create worker pool
+// Stream buildings.msgpack chunk by chunk through the worker pool, keeping only the compact
+// summaries (bbox, center, foundation depth, pop/jobs, simplified footprint when footprints are on),
+// never the raw geometry of the whole city
+const summarizeBuildings = async (place, isInside, { density, footprints, foundations, landUse }, progressBar) => {
   const workerCount = perfConfig.workerThreads > 0 ? perfConfig.workerThreads : 
                       perfConfig.workerThreads === -1 ? os.cpus().length : 
                       Math.max(1, os.cpus().length - 1);
@@ -594,90 +757,123 @@ const processBuildings = async (place, rawBuildings, progressBar) => {
     maxThreads: workerCount,
   });
 
-  // Process buildings in smaller batches with progress updates
-  // Use smaller batch size to reduce memory usage
-  const batchSize = 50000; // Process 50k buildings at a time
-  const totalBatches = Math.ceil(rawBuildings.length / batchSize);
-  let processedBuildings = {};
-  
-  console.log(`  Parallel processing ${totalBatches} batches with ${workerCount} workers...`);
+  const inFlight = new Set();
+  let read = 0;
+  let clipped = 0;
   const startTime = Date.now();
-  
-  for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
-    const batchStartTime = Date.now();
-    const startIdx = batchNum * batchSize;
-    const batch = rawBuildings.slice(startIdx, startIdx + batchSize);
-    
-    // Split this batch across workers
-    const workerBatchSize = Math.ceil(batch.length / workerCount);
-    const workerTasks = [];
-    
-    for (let i = 0; i < batch.length; i += workerBatchSize) {
-      const workerBatch = batch.slice(i, i + workerBatchSize);
-      workerTasks.push(
-        pool.run({
-          buildings: workerBatch,
-          startIdx: startIdx + i,
-          minLon, maxLon, minLat, maxLat,
-          cellWidth, cellHeight, cols, rows,
-        })
-      );
-    }
-    
-    const results = await Promise.all(workerTasks);
-    
-    // Merge results from this batch
-    results.forEach(batchResult => {
-      batchResult.forEach(building => {
-        processedBuildings[building.id] = building;
-      });
+
+  console.log(`  Streaming buildings through ${workerCount} workers...`);
+  progressBar.update(0, { stage: 'Reading buildings' });
+
+  // Chunks finish out of order, so each result goes into its own slot to keep the ids stable
+  const chunkResults = [];
+  let chunkIndex = 0;
+  for await (const chunk of readDatasetChunks(`./raw_data/${place.code}/buildings.msgpack`, 'msgpack', perfConfig.batchSizes.buildings)) {
+    read += chunk.length;
+    const inside = isInside ? chunk.filter((building) => elementInBoundary(building, isInside)) : chunk;
+    clipped += chunk.length - inside.length;
+
+    const index = chunkIndex++;
+    const task = pool.run({ buildings: inside, density, footprints, foundations, landUse }).then((result) => {
+      chunkResults[index] = result;
+      inFlight.delete(task);
     });
-    
-    // Update progress (20% to 70% range) - show every batch!
-    const progress = 20 + Math.floor((batchNum + 1) / totalBatches * 50);
-    const processed = Math.min(startIdx + batch.length, rawBuildings.length);
-    const batchTime = ((Date.now() - batchStartTime) / 1000).toFixed(1);
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+    inFlight.add(task);
+
+    // Don't read further ahead than the workers can keep up with
+    if (inFlight.size >= workerCount) await Promise.race(inFlight);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     const memUsed = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-    
-    progressBar.update(progress, { 
-      stage: `Batch ${batchNum + 1}/${totalBatches}: ${processed.toLocaleString()}/${rawBuildings.length.toLocaleString()} [${batchTime}s, ${memUsed}MB]` 
-    });
+    progressBar.update(0, { stage: `Reading buildings ${read.toLocaleString()} [${elapsed}s, ${memUsed}MB]` });
   }
-
+  await Promise.all(inFlight);
   await pool.destroy();
-  
-  // Log memory before cells phase
+
+  const summaries = [];
+  const footprintStats = footprints ? {} : null;
+  const foundationStats = foundations ? {} : null;
+  const landUseStats = landUse ? {} : null;
+  const addStats = (total, chunk) => {
+    Object.keys(chunk).forEach((key) => {
+      total[key] = typeof chunk[key] === 'object' ? addStats(total[key] || {}, chunk[key]) : (total[key] || 0) + chunk[key];
+    });
+    return total;
+  };
+  chunkResults.forEach((result) => {
+    for (let i = 0; i < result.summaries.length; i++) summaries.push(result.summaries[i]);
+    if (footprintStats) addStats(footprintStats, result.footprintStats);
+    if (foundationStats) addStats(foundationStats, result.foundationStats);
+    if (landUseStats) addStats(landUseStats, result.landUseStats);
+  });
+
+  return { summaries, read, clipped, footprintStats, foundationStats, landUseStats };
+};
+
+const processBuildings = async (place, buildings, progressBar) => {
+  let minLon = 9999, minLat = 9999, maxLon = -999, maxLat = -999;
+
+  progressBar.update(0, { stage: 'Calculating bounds' });
+
+  // First pass: find overall bounding box
+  buildings.forEach(({ bbox }) => {
+    if (bbox[0] < minLon) minLon = bbox[0];
+    if (bbox[1] < minLat) minLat = bbox[1];
+    if (bbox[2] > maxLon) maxLon = bbox[2];
+    if (bbox[3] > maxLat) maxLat = bbox[3];
+  });
+
+  progressBar.update(10, { stage: 'Creating grid' });
+
+  // Calculate grid dimensions
+  const horizontalDistance = calculateDistance([minLon, minLat], [maxLon, minLat]);
+  const verticalDistance = calculateDistance([minLon, minLat], [minLon, maxLat]);
+
+  const cellSizeMeters = 100;
+  const cols = Math.ceil(horizontalDistance / cellSizeMeters);
+  const rows = Math.ceil(verticalDistance / cellSizeMeters);
+
+  const cellWidth = (maxLon - minLon) / cols;
+  const cellHeight = (maxLat - minLat) / rows;
+
   const memBeforeCells = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
   console.log(`  Memory before building cells: ${memBeforeCells} MB`);
 
-  progressBar.update(70, { stage: 'Extracting building IDs' });
-  
-  // Build cells dictionary in BATCHES to avoid memory spike
+  // Build cells dictionary in BATCHES so the progress bar can render
   let cellsDict = {};
-  const buildingIdsForCells = Object.keys(processedBuildings);
+  let maxDepth = 1;
+  const optimizedBuildings = [];
   const cellBatchSize = 25000; // Process 25k at a time (smaller = more frequent updates)
-  const totalCellBatches = Math.ceil(buildingIdsForCells.length / cellBatchSize);
-  console.log(`  Extracted ${buildingIdsForCells.length.toLocaleString()} building IDs, creating ${totalCellBatches} batches...`);
-  
-  progressBar.update(70, { stage: 'Building cells (starting)' });
-  
+  const totalCellBatches = Math.ceil(buildings.length / cellBatchSize);
+
   for (let batchNum = 0; batchNum < totalCellBatches; batchNum++) {
     const startIdx = batchNum * cellBatchSize;
-    const endIdx = Math.min(startIdx + cellBatchSize, buildingIdsForCells.length);
-    
+    const endIdx = Math.min(startIdx + cellBatchSize, buildings.length);
+
     for (let i = startIdx; i < endIdx; i++) {
-      const id = buildingIdsForCells[i];
-      const building = processedBuildings[id];
-    const buildingCoord = `${building.xCellCoord},${building.yCellCoord}`;
-    if (!cellsDict[buildingCoord]) cellsDict[buildingCoord] = [];
-    cellsDict[buildingCoord].push(building.id);
+      const { bbox, center, foundationDepth, footprint } = buildings[i];
+      const xCell = Math.min(cols - 1, Math.max(0, Math.floor((center[0] - minLon) / cellWidth)));
+      const yCell = Math.min(rows - 1, Math.max(0, Math.floor((center[1] - minLat) / cellHeight)));
+      const buildingCoord = `${xCell},${yCell}`;
+      if (!cellsDict[buildingCoord]) cellsDict[buildingCoord] = [];
+      cellsDict[buildingCoord].push(i);
+
+      if (foundationDepth > maxDepth) maxDepth = foundationDepth;
+
+      optimizedBuildings.push({
+        minX: bbox[0],
+        minY: bbox[1],
+        maxX: bbox[2],
+        maxY: bbox[3],
+        foundationDepth,
+        footprint,
+      });
     }
-    
-    // Update progress every batch (70-90%)
-    const progress = 70 + Math.floor((batchNum + 1) / totalCellBatches * 20);
+
+    // Update progress every batch (10-90%)
+    const progress = 10 + Math.floor((batchNum + 1) / totalCellBatches * 80);
     progressBar.update(progress, { 
-      stage: `Building cells batch ${batchNum + 1}/${totalCellBatches} (${endIdx.toLocaleString()}/${buildingIdsForCells.length.toLocaleString()})` 
+      stage: `Building cells batch ${batchNum + 1}/${totalCellBatches} (${endIdx.toLocaleString()}/${buildings.length.toLocaleString()})` 
     });
     
     // Yield to event loop so progress bar can render
@@ -687,67 +883,6 @@ const processBuildings = async (place, rawBuildings, progressBar) => {
   const memAfterCells = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
   console.log(`  Memory after building cells: ${memAfterCells} MB (Δ +${memAfterCells - memBeforeCells} MB)`);
 
-  const memBeforeOptimize = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-  console.log(`  Memory before optimizing: ${memBeforeOptimize} MB`);
-  
-  progressBar.update(90, { stage: 'Optimizing output' });
-
-  // Optimize buildings in batches to avoid memory overflow
-  let maxDepth = 1;
-  const optimizedBuildings = [];
-  const buildingIdsForOptimize = Object.keys(processedBuildings);
-  const optimizeBatchSize = 100000; // Process 100k at a time
-  const totalOptimizeBatches = Math.ceil(buildingIdsForOptimize.length / optimizeBatchSize);
-  
-  for (let batchNum = 0; batchNum < totalOptimizeBatches; batchNum++) {
-    const startIdx = batchNum * optimizeBatchSize;
-    const batchIds = buildingIdsForOptimize.slice(startIdx, startIdx + optimizeBatchSize);
-    
-    batchIds.forEach(id => {
-      const building = processedBuildings[id];
-      
-      if (building.tags['building:levels:underground'] && Number(building.tags['building:levels:underground']) > maxDepth) {
-        maxDepth = Number(building.tags['building:levels:underground']);
-      }
-      
-      // Create simple rectangle polygon from bounding box
-      const simplePolygon = [[
-        [building.bbox.minLon, building.bbox.minLat],
-        [building.bbox.maxLon, building.bbox.minLat],
-        [building.bbox.maxLon, building.bbox.maxLat],
-        [building.bbox.minLon, building.bbox.maxLat],
-        [building.bbox.minLon, building.bbox.minLat],
-      ]];
-
-      optimizedBuildings.push({
-        minX: building.bbox.minLon,
-        minY: building.bbox.minLat,
-        maxX: building.bbox.maxLon,
-        maxY: building.bbox.maxLat,
-        foundationDepth: building.tags['building:levels:underground'] ? Number(building.tags['building:levels:underground']) : 1,
-        polygon: simplePolygon,
-      });
-      
-      // Release memory as we go
-      delete processedBuildings[id];
-    });
-    
-    // Update progress (90-95%)
-    const progress = 90 + Math.floor((batchNum + 1) / totalOptimizeBatches * 5);
-    const processed = Math.min(startIdx + optimizeBatchSize, buildingIdsForOptimize.length);
-    const memUsed = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-    progressBar.update(progress, { 
-      stage: `Optimize batch ${batchNum + 1}/${totalOptimizeBatches}: ${processed.toLocaleString()}/${buildingIdsForOptimize.length.toLocaleString()} [${memUsed}MB]` 
-    });
-    
-    // Yield to event loop so progress bar can render and GC can run
-    await new Promise(resolve => setImmediate(resolve));
-  }
-  
-  const memAfterOptimize = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-  console.log(`  Memory after optimizing: ${memAfterOptimize} MB (Δ ${memAfterOptimize - memBeforeOptimize} MB)`);
-  
-  // Now processedBuildings is empty, much less memory used!
   progressBar.update(95, { stage: 'Finalizing index' });
   
   const optimizedIndex = await optimizeIndex({
@@ -765,67 +900,6 @@ const processBuildings = async (place, rawBuildings, progressBar) => {
 
 // ==================== Streaming JSON Utilities ====================
 
-// Read MessagePack binary (10x faster than JSON streaming!)
-const readMsgpackBinary = async (filePath) => {
-  const binary = fs.readFileSync(filePath);
-  return msgpackDecode(binary);
-};
-
-const readJsonFileStreaming = (filePath) => {
-    return new Promise((resolve, reject) => {
-      const parseStream = createParseStream();
-      let jsonData;
-
-      parseStream.on('data', (data) => {
-        jsonData = data;
-      });
-
-      parseStream.on('end', () => {
-        resolve(jsonData);
-      });
-
-      parseStream.on('error', (err) => {
-        reject(err);
-      });
-
-      fs.createReadStream(filePath).pipe(parseStream);
-    });
-  };
-
-// Stream large JSON arrays in chunks
-const streamJsonArray = (filePath, onChunk, chunkSize = perfConfig.batchSizes.buildings) => {
-  return new Promise((resolve, reject) => {
-    const pipeline = chain([
-      fs.createReadStream(filePath),
-      StreamArray.withParser(),
-    ]);
-
-    let buffer = [];
-    let totalProcessed = 0;
-
-    pipeline.on('data', (data) => {
-      buffer.push(data.value);
-      
-      if (buffer.length >= chunkSize) {
-        const chunk = buffer;
-        buffer = [];
-        totalProcessed += chunk.length;
-        onChunk(chunk, totalProcessed);
-      }
-    });
-
-    pipeline.on('end', () => {
-      if (buffer.length > 0) {
-        totalProcessed += buffer.length;
-        onChunk(buffer, totalProcessed);
-      }
-      resolve(totalProcessed);
-    });
-
-    pipeline.on('error', reject);
-  });
-};
-
 // Write JSON in batches for performance with progress tracking
 const writeJsonFileStreaming = (filePath, data, progressCallback) => {
   return new Promise((resolve, reject) => {
@@ -897,6 +971,103 @@ const writeJsonFileStreaming = (filePath, data, progressCallback) => {
   });
 };
 
+// ==================== GTFS Report ====================
+
+// How the GTFS signal changed demand: jobs of every boosted neighborhood, the hub points and the trips
+// they ended up with, and the share of job destinations that moved (half the summed differences
+// between the job shares before and after, 0.05 = 5% of modeled trips now go somewhere else)
+const writeGtfsReport = (place, gtfs, { boosts, hubs }, jobsBefore, finalNeighborhoods, connections) => {
+  const tripsTo = new Map();
+  connections.forEach(({ jobId, size }) => tripsTo.set(jobId, (tripsTo.get(jobId) || 0) + size));
+  const tripsFor = (placeID) => tripsTo.get(finalNeighborhoods[placeID].id) || 0;
+
+  const neighborhoods = Object.entries(finalNeighborhoods);
+  const totalAfter = neighborhoods.reduce((sum, [, neighborhood]) => sum + neighborhood.jobs, 0);
+  const totalBefore = neighborhoods.reduce((sum, [placeID, neighborhood]) => sum + (jobsBefore.get(placeID) ?? neighborhood.jobs), 0);
+  let shifted = 0;
+  neighborhoods.forEach(([placeID, neighborhood]) => {
+    shifted += Math.abs((neighborhood.jobs / totalAfter || 0) - ((jobsBefore.get(placeID) ?? neighborhood.jobs) / totalBefore || 0));
+  });
+
+  const report = {
+    place: place.code,
+    feeds: gtfs.stats.feeds,
+    jobBoost: Number(gtfs.setting.jobBoost) || 0,
+    hubSetting: gtfs.setting.hubs || null,
+    totalJobsBefore: totalBefore,
+    totalJobsAfter: totalAfter,
+    destinationShift: Math.round(shifted / 2 * 1000) / 1000,
+    neighborhoods: [...boosts].map(([placeID, { departures }]) => ({
+      id: placeID,
+      name: finalNeighborhoods[placeID].name,
+      departures,
+      jobsBefore: jobsBefore.get(placeID),
+      jobsAfter: finalNeighborhoods[placeID].jobs,
+      trips: tripsFor(placeID),
+    })).sort((a, b) => (b.jobsAfter - b.jobsBefore) - (a.jobsAfter - a.jobsBefore)),
+    hubs: hubs.map((hub) => ({
+      id: hub.placeID,
+      station: hub.id,
+      name: hub.name,
+      modes: hub.modes,
+      departures: hub.departures,
+      jobs: finalNeighborhoods[hub.placeID].jobs,
+      trips: tripsFor(hub.placeID),
+    })),
+  };
+
+  const reportPath = `./processed_data/${place.code}_gtfs_report.json`;
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return { ...report, reportPath };
+};
+
+// ==================== Missing Names Report ====================
+
+// Streets, neighborhoods and terminals that had no name in any of the config.locale languages,
+// with what they fell back to ('name', 'romanized' or 'ref'), so they can be fixed in OSM
+const writeMissingNamesReport = async (place, rawPlaces) => {
+  const locales = localeChain();
+  const report = { place: place.code, locales, romanize: !!config.romanize, streets: [], neighborhoods: [], terminals: [] };
+
+  const streets = new Map();
+  for await (const feature of readDatasetItems(`./raw_data/${place.code}/roads.geojson`, 'geojson')) {
+    const { name, nameFallback } = feature.properties;
+    if (!nameFallback) continue;
+    const key = `${nameFallback}/${name}`;
+    if (!streets.has(key)) streets.set(key, { name, fallback: nameFallback, segments: 0 });
+    streets.get(key).segments++;
+  }
+  report.streets = [...streets.values()].sort((a, b) => b.segments - a.segments);
+
+  rawPlaces.forEach((rawPlace) => {
+    const isTerminal = rawPlace.tags.aeroway == 'terminal';
+    if (!isTerminal && !validPlaces.includes(rawPlace.tags.place)) return;
+    const resolved = resolveName(rawPlace.tags);
+    if (!isFallback(resolved, locales)) return;
+    report[isTerminal ? 'terminals' : 'neighborhoods'].push({ id: `${rawPlace.type}/${rawPlace.id}`, name: resolved.name, fallback: resolved.source });
+  });
+
+  const reportPath = `./processed_data/${place.code}_missing_names.json`;
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return { reportPath, streets: report.streets.length, neighborhoods: report.neighborhoods.length, terminals: report.terminals.length };
+};
+
+// roads.geojson as the game gets it: the raw file without what only the pipeline needs (the OSM id
+// --refresh merges by, and the name fallback kept for the missing names report)
+const writeGameRoads = async (place) => {
+  const writer = createDatasetWriter(`./processed_data/${place.code}/roads.geojson`, 'geojson');
+  try {
+    for await (const { id, ...feature } of readDatasetItems(`./raw_data/${place.code}/roads.geojson`, 'geojson')) {
+      const { nameFallback, ...properties } = feature.properties;
+      await writer.write({ ...feature, properties });
+    }
+    await writer.close();
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+};
+
 // ==================== Main Processing ====================
 
 const processAllData = async (place) => {
@@ -913,20 +1084,77 @@ const processAllData = async (place) => {
   const connectionBar = multibar.create(100, 0, { stage: 'Connections' });
 
   try {
-    console.log('  Reading raw data (MessagePack binary, in parallel)...');
+    // Raw files are read incrementally, only the summaries of buildings and the (few) places are kept
+    const boundary = loadPlaceBoundary(place);
+    const isInside = boundary ? createBoundaryTester(boundary) : null;
+    const readElements = async (name) => {
+      const elements = [];
+      let clipped = 0;
+      for await (const element of readDatasetItems(`./raw_data/${place.code}/${name}.msgpack`, 'msgpack')) {
+        if (isInside && !elementInBoundary(element, isInside)) {
+          clipped++;
+        } else {
+          elements.push(element);
+        }
+      }
+      return { elements, clipped };
+    };
+
+    console.log('  Reading raw data (MessagePack stream)...');
     const startRead = Date.now();
-    
-    // Read buildings and places in parallel (Option 1)
-    const [rawBuildings, rawPlaces] = await Promise.all([
-      readMsgpackBinary(`./raw_data/${place.code}/buildings.msgpack`),
-      readMsgpackBinary(`./raw_data/${place.code}/places.msgpack`)
-    ]);
-    
+
+    const { elements: rawPlaces, clipped: placesClipped } = await readElements('places');
+    // Floor area per resident and job, the same tables for every worker
+    const density = densityFor(config.density, place.density);
+    const overridden = Object.values(density.overrides).reduce((sum, table) => sum + Object.keys(table).length, 0);
+    console.log(`  ✓ Density: ${density.preset}${overridden > 0 ? ` with ${overridden} overridden ${overridden === 1 ? 'entry' : 'entries'}` : ''}`);
+    const footprints = footprintSetting(config.footprints, place.footprints);
+    const foundations = foundationSetting(config.foundations, place.foundations);
+    // Landuse polygons and POIs to classify generic buildings by (downloads from before they existed have none)
+    const landUseConfig = landUseSetting(place);
+    const landUseIndex = landUseConfig ? await buildLandUseIndex(place, getPlaceBbox(place), landUseConfig) : null;
+    const landUse = landUseIndex ? { index: landUseIndex, setting: landUseConfig } : null;
+    if (landUse) {
+      console.log(`  ✓ Land use: ${landUseIndex.polygonCount.toLocaleString()} landuse areas, ${landUseIndex.poiCount.toLocaleString()} POIs`);
+    }
+    const {
+      summaries: buildings, read: buildingsRead, clipped: buildingsClipped, footprintStats, foundationStats, landUseStats,
+    } = await summarizeBuildings(place, isInside, { density, footprints, foundations, landUse }, buildingBar);
+
     const readTime = ((Date.now() - startRead) / 1000).toFixed(1);
-    console.log(`  ✓ Read ${rawBuildings.length.toLocaleString()} buildings + ${rawPlaces.length.toLocaleString()} places in ${readTime}s`);
+    console.log(`  ✓ Read ${buildingsRead.toLocaleString()} buildings + ${(rawPlaces.length + placesClipped).toLocaleString()} places in ${readTime}s`);
+
+    // Buildings and neighborhoods outside the place's boundary shape (if it has one) were dropped while reading
+    if (boundary) {
+      console.log(`  ✓ Boundary clip removed ${buildingsClipped.toLocaleString()} buildings + ${placesClipped.toLocaleString()} places`);
+    }
+
+    // Buildings without levels or height take them from their neighbours (see foundation_depth.js)
+    if (foundationStats?.pending > 0) Object.assign(foundationStats, inferFoundationDepths(buildings, foundations));
 
-    const processedBuildings = await processBuildings(place, rawBuildings, buildingBar);
-    const processedConnections = await processPlaceConnections(place, rawBuildings, rawPlaces, connectionBar);
+    // Residents from a population grid where there is one, floor area estimates everywhere else
+    const populationGrid = await loadPopulationGrid(place.populationGrid || config.populationGrid, getPlaceBbox(place));
+    if (populationGrid) {
+      const gridStats = calibrateResidents(buildings, populationGrid);
+      console.log(`  ✓ Population grid: ${gridStats.calibratedBuildings.toLocaleString()} buildings calibrated, ${gridStats.fallbackBuildings.toLocaleString()} outside grid coverage kept their area estimate`);
+      if (gridStats.unplacedPopulation > 0) {
+        console.log(`    ⚠️  ${gridStats.unplacedPopulation.toLocaleString()} of ${gridStats.gridPopulation.toLocaleString()} people in the grid live in cells without residential buildings in OSM`);
+      }
+    }
+
+    // Timetables from local GTFS feeds: a reference layer, and optionally a demand signal
+    const gtfs = await loadGtfs(place.gtfs || config.gtfs, getPlaceBbox(place), isInside);
+    if (gtfs) {
+      const days = [...new Set(gtfs.stats.feeds.map(({ day }) => day || 'every day'))].join(', ');
+      console.log(`  ✓ GTFS: ${gtfs.stats.routes.toLocaleString()} routes, ${gtfs.stats.stations.toLocaleString()} stations, ${gtfs.stats.departures.toLocaleString()} departures on ${days}`);
+    }
+
+    const processedBuildings = await processBuildings(place, buildings, buildingBar);
+    const processedConnections = await processPlaceConnections(place, buildings, rawPlaces, gtfs, connectionBar);
+    // Which floor area tables the residents and jobs came from
+    if (processedConnections.stats) {
+      processedConnections.stats.density = { preset: density.preset, ...(overridden > 0 ? { overrides: density.overrides } : {}) };
+    }
 
     multibar.stop();
 
@@ -940,7 +1168,11 @@ const processAllData = async (place) => {
       console.log(`    Total Movement: ${processedConnections.stats.totalMovement.toLocaleString()} people`);
       console.log(`    Avg Connection: ${processedConnections.stats.avgConnectionSize} people`);
       console.log(`    Buildings:      ${processedBuildings.stats.count.toLocaleString()}\n`);
+      if (processedConnections.stats.calibration) logCalibration(processedConnections.stats.calibration);
     }
+    if (landUseStats) logLandUse(landUseConfig, landUseStats);
+    logFoundationDepths(buildings, foundationStats);
+    if (footprintStats) logFootprintStats(footprints, footprintStats);
 
     console.log('  Writing output files...');
     
@@ -954,7 +1186,7 @@ const processAllData = async (place) => {
     );
     console.log('\r    ✓ Buildings index written     ');
     
-  fs.cpSync(`./raw_data/${place.code}/roads.geojson`, `./processed_data/${place.code}/roads.geojson`);
+    await writeGameRoads(place);
     console.log('    ✓ Roads copied');
     
     process.stdout.write('    Writing demand data... ');
@@ -967,6 +1199,27 @@ const processAllData = async (place) => {
     );
     console.log('\r    ✓ Demand data written     ');
 
+    // Existing rail network as a reference layer (downloads from before it existed don't have one)
+    if (fs.existsSync(`./raw_data/${place.code}/transit.msgpack`)) {
+      const { elements: rawTransit } = await readElements('transit');
+      const { transit, stats: transitStats } = buildTransitReference(rawTransit);
+      fs.writeFileSync(`./processed_data/${place.code}/transit.geojson`, JSON.stringify(transit));
+      console.log(`    ✓ Transit reference written (${transitStats.routes.toLocaleString()} routes / ${transitStats.routeKm.toLocaleString()} km, ${transitStats.stations.toLocaleString()} stations, ${transitStats.trackKm.toLocaleString()} km of track)`);
+    } else {
+      console.log('    ⚠️  No transit.msgpack in raw data, rerun the download to get the transit reference layer');
+    }
+    if (gtfs) {
+      fs.writeFileSync(`./processed_data/${place.code}/transit_gtfs.geojson`, JSON.stringify(gtfs.transit));
+      console.log(`    ✓ GTFS reference written (${gtfs.stats.routes.toLocaleString()} routes / ${gtfs.stats.routeKm.toLocaleString()} km, ${gtfs.stats.stations.toLocaleString()} stations)`);
+    }
+
+    const missingNames = await writeMissingNamesReport(place, rawPlaces);
+    if (missingNames.streets + missingNames.neighborhoods + missingNames.terminals > 0) {
+      console.log(`    ⚠️  No ${localeChain().join('/')} name for ${missingNames.streets.toLocaleString()} streets, ${missingNames.neighborhoods.toLocaleString()} neighborhoods, ${missingNames.terminals.toLocaleString()} terminals (see ${missingNames.reportPath})`);
+    } else {
+      console.log('    ✓ Every name found in the requested locales');
+    }
+
     console.log(`✓ Finished processing ${place.code}`);
     
     // Return stats for summary
@@ -985,6 +1238,80 @@ const processAllData = async (place) => {
   }
 };
 
+// Totals before and after calibration, with the factor of every zone type
+const logCalibration = (report) => {
+  console.log('  🎯 Calibration:');
+  [['Residents', report.residents], ['Jobs', report.jobs]].forEach(([label, side]) => {
+    if (!side) return;
+    const overall = side.before > 0 ? ` (×${(side.after / side.before).toFixed(3)})` : '';
+    console.log(`    ${label.padEnd(15)} ${side.before.toLocaleString()} → ${side.after.toLocaleString()}, target ${side.target.toLocaleString()}${overall}`);
+    side.zoneTypes
+      .filter(({ before, after }) => before > 0 || after > 0)
+      .sort((a, b) => b.after - a.after)
+      .forEach(({ zoneType, rule, before, after, factor }) => {
+        const how = rule === 'fixed' ? 'fixed' : `×${factor.toFixed(3)}${typeof rule === 'number' ? ' (own target)' : ''}`;
+        console.log(`      ${String(zoneType).padEnd(14)} ${before.toLocaleString()} → ${after.toLocaleString()}  ${how}`);
+      });
+  });
+  console.log('');
+};
+
+// What generic buildings were classified as, and what that did to their residents and jobs
+const logLandUse = (setting, stats) => {
+  if (stats.generic === 0) return;
+  const line = (label, count) => `${count.toLocaleString()} ${label} (${(count / stats.generic * 100).toFixed(1)}%)`;
+  const jobs = Object.entries(stats.jobs || {}).sort((a, b) => b[1] - a[1]);
+  const jobBuildings = jobs.reduce((sum, [, count]) => sum + count, 0);
+
+  console.log(`  🏘️  Generic buildings (building=${setting.types.join('/')}): ${stats.generic.toLocaleString()}`);
+  console.log(`    ${[line('residential', stats.residential), line('mixed use', stats.mixed), line('jobs', jobBuildings)].join(', ')}`);
+  if (jobs.length > 0) {
+    console.log(`    Jobs as:        ${jobs.map(([type, count]) => `${type} ${count.toLocaleString()}`).join(', ')}`);
+  }
+  console.log(`    Residents:      ${stats.residentsBefore.toLocaleString()} as housing → ${stats.residentsAfter.toLocaleString()}, plus ${stats.jobsAfter.toLocaleString()} jobs\n`);
+};
+
+// Histogram of the foundation depths written to `f`, and where they came from when the model is on
+const logFoundationDepths = (buildings, stats) => {
+  if (buildings.length === 0) return;
+  const counts = new Map();
+  buildings.forEach(({ foundationDepth }) => {
+    const depth = Number.isFinite(foundationDepth) ? foundationDepth : '?';
+    counts.set(depth, (counts.get(depth) || 0) + 1);
+  });
+  const depths = [...counts.keys()].sort((a, b) => (a === '?') - (b === '?') || a - b);
+  const largest = Math.max(...counts.values());
+
+  console.log('  🏗️  Foundation depths (levels below ground):');
+  depths.forEach((depth) => {
+    const count = counts.get(depth);
+    const bar = '█'.repeat(Math.max(1, Math.round(count / largest * 30)));
+    console.log(`    ${String(depth).padStart(3)}  ${bar.padEnd(30)} ${count.toLocaleString()} (${(count / buildings.length * 100).toFixed(1)}%)`);
+  });
+  if (stats) {
+    console.log(`    From underground tags: ${stats.tagged.toLocaleString()}, levels/height: ${stats.levels.toLocaleString()}, neighbours: ${(stats.inferred || 0).toLocaleString()}, class default: ${(stats.class + (stats.defaulted || 0)).toLocaleString()}`);
+  }
+  console.log('');
+};
+
+// Footprints next to the rectangles they replace, to pick the tolerance/vertex cap per city
+const logFootprintStats = (setting, stats) => {
+  const buildings = stats.footprints + stats.rectangles;
+  if (buildings === 0) return;
+  const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  const share = (part, whole) => `${(part / whole * 100).toFixed(1)}%`;
+  const change = (value, base) => `${value >= base ? '+' : ''}${((value / base - 1) * 100).toFixed(1)}%`;
+
+  console.log(`  📐 Footprints (${describeFootprints(setting)}):`);
+  console.log(`    Outlines:       ${stats.footprints.toLocaleString()} buildings, ${stats.rectangles.toLocaleString()} kept their rectangle (${share(stats.rectangles, buildings)}), ${stats.capped.toLocaleString()} hit the vertex cap`);
+  console.log(`    Vertices:       ${(stats.vertices / buildings).toFixed(1)} per building (rectangles: 4)`);
+  console.log(`    Polygon size:   ${megabytes(stats.footprintBytes)} (rectangles: ${megabytes(stats.rectangleBytes)}, ${change(stats.footprintBytes, stats.rectangleBytes)})`);
+  if (stats.outlineArea > 0) {
+    console.log(`    Ground covered: ${change(stats.footprintArea, stats.outlineArea)} of the real outlines (rectangles: ${change(stats.rectangleArea, stats.outlineArea)})`);
+  }
+  console.log(`    Simplifying:    ${(stats.milliseconds / 1000).toFixed(1)}s of worker time\n`);
+};
+
 // ==================== Main Execution ====================
 
 if (!fs.existsSync('./processed_data')) fs.mkdirSync('./processed_data');
@@ -0,0 +1,305 @@
+// Routable road graph from roads.geojson
+// Every coordinate shared by two roads (or ending one) becomes a node, the points in between are folded
+// into edge lengths. Edges run both ways (roads.geojson carries no oneway information) and take
+// length / speed of their roadClass. The arrays live in SharedArrayBuffers, so every worker of the pool
+// searches the same graph without it being copied.
+import config from '../config.js';
+import { readDatasetItems } from './dataset_files.js';
+
+// km/h per roadClass, config.js can override entries with `roadSpeeds` at the top level or per place
+export const defaultRoadSpeeds = {
+  highway: 90,
+  major: 50,
+  minor: 30,
+};
+
+const roadSpeedsFor = (place) => ({ ...defaultRoadSpeeds, ...config.roadSpeeds, ...place?.roadSpeeds });
+
+// Neighborhood centers further than this from any road don't get routed
+const maxSnapDistance = 1000; // meters
+// Road pieces with fewer nodes than this (a lone driveway, a mapping error) aren't snapped to
+const minComponentNodes = 50;
+
+const distance = (lon1, lat1, lon2, lat2) => {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Tells graphs apart in the workers, which keep their router for as long as they see the same graph
+let graphCount = 0;
+
+const sharedArray = (Type, length) => new Type(new SharedArrayBuffer(Math.max(1, length) * Type.BYTES_PER_ELEMENT));
+
+// ==================== Building ====================
+
+// Coordinates as integers in 1e-6 degree steps (~10 cm) from 1° south-west of the place, packed into
+// one safe integer (good for places up to 60° across): fast Map keys, and points this close together
+// are the same junction anyway
+const createKeyer = ([minLon, minLat]) => {
+  const originLon = minLon - 1;
+  const originLat = minLat - 1;
+  return (lon, lat) => Math.round((lon - originLon) * 1e6) * 2 ** 27 + Math.round((lat - originLat) * 1e6);
+};
+
+async function* roadLines(filePath) {
+  for await (const feature of readDatasetItems(filePath, 'geojson')) {
+    const { geometry } = feature;
+    if (geometry?.type === 'LineString') yield [feature.properties?.roadClass, geometry.coordinates];
+    else if (geometry?.type === 'MultiLineString') {
+      for (const line of geometry.coordinates) yield [feature.properties?.roadClass, line];
+    }
+  }
+}
+
+export const buildRoadGraph = async (filePath, place, bbox) => {
+  const keyOf = createKeyer(bbox);
+  const speeds = roadSpeedsFor(place);
+
+  // Pass 1: how many roads use each coordinate (ends count twice, so they always become nodes)
+  const uses = new Map();
+  for await (const [, line] of roadLines(filePath)) {
+    if (line.length < 2) continue;
+    line.forEach(([lon, lat], i) => {
+      const key = keyOf(lon, lat);
+      uses.set(key, (uses.get(key) || 0) + (i === 0 || i === line.length - 1 ? 2 : 1));
+    });
+  }
+
+  // Pass 2: nodes and the edges between them. Node indexes go into the same map as -(index + 1).
+  const nodeLons = [];
+  const nodeLats = [];
+  const nodeOf = (key, lon, lat) => {
+    const value = uses.get(key);
+    if (value < 0) return -value - 1;
+    uses.set(key, -(nodeLons.length + 1));
+    nodeLons.push(lon);
+    nodeLats.push(lat);
+    return nodeLons.length - 1;
+  };
+  const isNode = (key) => {
+    const value = uses.get(key);
+    return value < 0 || value >= 2;
+  };
+
+  const edgeFrom = [];
+  const edgeTo = [];
+  const edgeMeters = [];
+  const edgeSeconds = [];
+  for await (const [roadClass, line] of roadLines(filePath)) {
+    if (line.length < 2) continue;
+    const metersPerSecond = (speeds[roadClass] || speeds.minor) / 3.6;
+    let from = nodeOf(keyOf(line[0][0], line[0][1]), line[0][0], line[0][1]);
+    let meters = 0;
+    for (let i = 1; i < line.length; i++) {
+      const [lon, lat] = line[i];
+      meters += distance(line[i - 1][0], line[i - 1][1], lon, lat);
+      const key = keyOf(lon, lat);
+      if (!isNode(key)) continue;
+
+      const to = nodeOf(key, lon, lat);
+      if (to !== from) {
+        edgeFrom.push(from);
+        edgeTo.push(to);
+        edgeMeters.push(meters);
+        edgeSeconds.push(meters / metersPerSecond);
+      }
+      from = to;
+      meters = 0;
+    }
+  }
+  uses.clear();
+
+  // Compressed adjacency (CSR), every edge stored in both directions
+  const nodeCount = nodeLons.length;
+  const offsets = sharedArray(Int32Array, nodeCount + 1);
+  edgeFrom.forEach((from, e) => {
+    offsets[from + 1]++;
+    offsets[edgeTo[e] + 1]++;
+  });
+  for (let i = 0; i < nodeCount; i++) offsets[i + 1] += offsets[i];
+
+  const targets = sharedArray(Int32Array, edgeFrom.length * 2);
+  const meters = sharedArray(Float32Array, edgeFrom.length * 2);
+  const seconds = sharedArray(Float32Array, edgeFrom.length * 2);
+  const fill = Int32Array.from(offsets.subarray(0, nodeCount));
+  const addEdge = (from, to, e) => {
+    const slot = fill[from]++;
+    targets[slot] = to;
+    meters[slot] = edgeMeters[e];
+    seconds[slot] = edgeSeconds[e];
+  };
+  edgeFrom.forEach((from, e) => {
+    addEdge(from, edgeTo[e], e);
+    addEdge(edgeTo[e], from, e);
+  });
+
+  const lons = sharedArray(Float64Array, nodeCount);
+  const lats = sharedArray(Float64Array, nodeCount);
+  lons.set(nodeLons);
+  lats.set(nodeLats);
+
+  graphCount++;
+  return { id: graphCount, nodeCount, edgeCount: edgeFrom.length, offsets, targets, meters, seconds, lons, lats, accessSpeed: speeds.minor / 3.6 };
+};
+
+// ==================== Snapping ====================
+
+// Size of the connected piece of road every node belongs to
+const componentSizes = ({ nodeCount, offsets, targets }) => {
+  const component = new Int32Array(nodeCount).fill(-1);
+  const sizes = [];
+  const stack = [];
+  for (let start = 0; start < nodeCount; start++) {
+    if (component[start] !== -1) continue;
+    const id = sizes.length;
+    let size = 0;
+    component[start] = id;
+    stack.push(start);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      size++;
+      for (let k = offsets[node]; k < offsets[node + 1]; k++) {
+        if (component[targets[k]] === -1) {
+          component[targets[k]] = id;
+          stack.push(targets[k]);
+        }
+      }
+    }
+    sizes.push(size);
+  }
+  return Int32Array.from(component, (id) => sizes[id]);
+};
+
+// Nearest usable node for every point: { node, accessMeters } or null when there's no road close enough
+export const snapToGraph = (graph, points) => {
+  const sizes = componentSizes(graph);
+  const cellSize = 0.01; // degrees
+  const cells = new Map();
+  for (let node = 0; node < graph.nodeCount; node++) {
+    if (sizes[node] < Math.min(minComponentNodes, graph.nodeCount)) continue;
+    const key = `${Math.floor(graph.lons[node] / cellSize)},${Math.floor(graph.lats[node] / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(node);
+  }
+
+  return points.map(([lon, lat]) => {
+    const col = Math.floor(lon / cellSize);
+    const row = Math.floor(lat / cellSize);
+    const cellMeters = cellSize * 111320 * Math.cos(lat * Math.PI / 180);
+    let best = null;
+    for (let ring = 0; ring <= Math.ceil(maxSnapDistance / cellMeters); ring++) {
+      // Nodes in this ring of cells are at least ring - 1 cells away
+      if (best && (ring - 1) * cellMeters > best.accessMeters) break;
+      for (let dx = -ring; dx <= ring; dx++) {
+        for (let dy = -ring; dy <= ring; dy++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          (cells.get(`${col + dx},${row + dy}`) || []).forEach((node) => {
+            const accessMeters = distance(lon, lat, graph.lons[node], graph.lats[node]);
+            if (accessMeters <= maxSnapDistance && (!best || accessMeters < best.accessMeters)) best = { node, accessMeters };
+          });
+        }
+      }
+    }
+    return best;
+  });
+};
+
+// ==================== Searching ====================
+
+// Fastest paths (Dijkstra on travel time) from one node to a list of nodes, stopping once all of them are
+// settled. Returns { meters, seconds } arrays in target order, NaN for targets that can't be reached.
+// The per-node arrays are allocated once per graph and only the touched entries are reset between calls.
+export const createRouter = (graph) => {
+  const { nodeCount, offsets, targets: neighbours, meters: edgeMeters, seconds: edgeSeconds } = graph;
+  const bestSeconds = new Float64Array(nodeCount).fill(Infinity);
+  const bestMeters = new Float64Array(nodeCount);
+  const settled = new Uint8Array(nodeCount);
+  const touched = [];
+
+  return (source, targetNodes) => {
+    const meters = new Float64Array(targetNodes.length).fill(NaN);
+    const seconds = new Float64Array(targetNodes.length).fill(NaN);
+    const waiting = new Map();
+    targetNodes.forEach((node, i) => {
+      if (!waiting.has(node)) waiting.set(node, []);
+      waiting.get(node).push(i);
+    });
+
+    // Binary heap of [seconds, node] with lazy deletion
+    const heapSeconds = [0];
+    const heapNodes = [source];
+    const push = (value, node) => {
+      let i = heapSeconds.length;
+      heapSeconds.push(value);
+      heapNodes.push(node);
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heapSeconds[parent] <= value) break;
+        heapSeconds[i] = heapSeconds[parent];
+        heapNodes[i] = heapNodes[parent];
+        i = parent;
+      }
+      heapSeconds[i] = value;
+      heapNodes[i] = node;
+    };
+    const pop = () => {
+      const node = heapNodes[0];
+      const lastSeconds = heapSeconds.pop();
+      const lastNode = heapNodes.pop();
+      if (heapSeconds.length > 0) {
+        let i = 0;
+        while (true) {
+          let child = 2 * i + 1;
+          if (child >= heapSeconds.length) break;
+          if (child + 1 < heapSeconds.length && heapSeconds[child + 1] < heapSeconds[child]) child++;
+          if (heapSeconds[child] >= lastSeconds) break;
+          heapSeconds[i] = heapSeconds[child];
+          heapNodes[i] = heapNodes[child];
+          i = child;
+        }
+        heapSeconds[i] = lastSeconds;
+        heapNodes[i] = lastNode;
+      }
+      return node;
+    };
+
+    bestSeconds[source] = 0;
+    bestMeters[source] = 0;
+    touched.push(source);
+    let remaining = waiting.size;
+
+    while (heapNodes.length > 0 && remaining > 0) {
+      const node = pop();
+      if (settled[node]) continue;
+      settled[node] = 1;
+
+      if (waiting.has(node)) {
+        waiting.get(node).forEach((i) => {
+          meters[i] = bestMeters[node];
+          seconds[i] = bestSeconds[node];
+        });
+        remaining--;
+      }
+
+      for (let k = offsets[node]; k < offsets[node + 1]; k++) {
+        const next = neighbours[k];
+        const nextSeconds = bestSeconds[node] + edgeSeconds[k];
+        if (nextSeconds < bestSeconds[next]) {
+          if (bestSeconds[next] === Infinity) touched.push(next);
+          bestSeconds[next] = nextSeconds;
+          bestMeters[next] = bestMeters[node] + edgeMeters[k];
+          push(nextSeconds, next);
+        }
+      }
+    }
+
+    touched.forEach((node) => {
+      bestSeconds[node] = Infinity;
+      settled[node] = 0;
+    });
+    touched.length = 0;
+    return { meters, seconds };
+  };
+};
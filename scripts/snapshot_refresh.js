@@ -0,0 +1,87 @@
+// Incremental refresh of a place's raw data
+// Every complete download records the OSM timestamp it reflects in raw_data/<code>/snapshot.json.
+// A refresh then asks Overpass only for elements changed since that timestamp, plus the ids of
+// everything that still matches the dataset's filters, and merges both into the existing files:
+// changed elements are replaced, new ones appended and anything missing from the id list dropped
+// (deleted, moved out of the bbox or no longer tagged the way we query for). The existing file is
+// streamed through, so a refresh needs no more memory than the changes themselves.
+import fs from 'fs';
+
+const snapshotPath = (placeDir) => `${placeDir}/snapshot.json`;
+
+// { timestamp, bbox, source } or null when the place was never fully downloaded with tracking
+export const readSnapshot = (placeDir) => {
+  if (!fs.existsSync(snapshotPath(placeDir))) return null;
+  return JSON.parse(fs.readFileSync(snapshotPath(placeDir), 'utf8'));
+};
+
+export const writeSnapshot = (placeDir, snapshot) => {
+  fs.writeFileSync(snapshotPath(placeDir), JSON.stringify(snapshot, null, 2));
+};
+
+export const clearSnapshot = (placeDir) => {
+  fs.rmSync(snapshotPath(placeDir), { force: true });
+};
+
+// Overpass elements and road features (whose id is the way id) share one key space
+export const elementKey = (element) => `${element.type}/${element.id}`;
+export const roadFeatureKey = (feature) => `way/${feature.id}`;
+
+// Elements changed since `since`. Ways whose nodes moved keep their own version, so they are
+// caught through the moved nodes (way(bn)) rather than by their own timestamp; relations likewise
+// through their changed or moved member ways (rel(bw)).
+export const buildChangesQuery = (filters, tile, since) => {
+  const area = tile.join(',');
+  const wayFilters = filters.filter((filter) => /^(way|nwr)/.test(filter));
+  const relationFilters = filters.filter((filter) => /^(relation|nwr)/.test(filter));
+  return `
+[out:json][timeout:180];
+node(newer:"${since}")(${area})->.moved;
+(way(bn.moved); way(newer:"${since}")(${area});)->.movedWays;
+(
+${filters.map((filter) => `  ${filter}(newer:"${since}")(${area});`).join('\n')}
+${wayFilters.map((filter) => `  ${filter.replace(/^nwr/, 'way')}(bn.moved);`).join('\n')}
+${relationFilters.map((filter) => `  ${filter.replace(/^nwr/, 'relation')}(bw.movedWays);`).join('\n')}
+);
+out geom;`;
+};
+
+// Type and id of everything currently matching, used to spot deletions
+export const buildIdsQuery = (filters, tile) => `
+[out:json][timeout:180];
+(
+${filters.map((filter) => `  ${filter}(${tile.join(',')});`).join('\n')}
+);
+out ids;`;
+
+// Streams the existing items through `write`, replacing changed ones, dropping deleted ones and
+// appending new ones. `changed` maps keys to the new item (null when the element no longer produces
+// one), `isCurrent(key)` tells whether the key is still in the id list.
+export const mergeChanges = async (existing, changed, isCurrent, keyOf, write) => {
+  const pending = new Map(changed);
+  const stats = { added: 0, updated: 0, deleted: 0 };
+
+  for await (const item of existing) {
+    const key = keyOf(item);
+    const replacement = pending.get(key);
+    pending.delete(key);
+
+    if (!isCurrent(key) || replacement === null) {
+      stats.deleted++;
+    } else if (replacement) {
+      await write(replacement);
+      stats.updated++;
+    } else {
+      await write(item);
+    }
+  }
+
+  // Whatever is left is new (ways refetched through a moved node can also lie just outside the bbox)
+  for (const [key, item] of pending) {
+    if (!item || !isCurrent(key)) continue;
+    await write(item);
+    stats.added++;
+  }
+
+  return stats;
+};
@@ -0,0 +1,114 @@
+// Transit reference layer
+// Turns the raw transit download (railway ways, route relations and station nodes) into the
+// transit.geojson shipped next to roads.geojson, so players can see the existing network:
+//   kind: 'route'   - one MultiLineString per subway/light rail/train route, with name, ref and colour
+//   kind: 'track'   - railway ways that aren't part of any route (yards, freight, unmapped lines)
+//   kind: 'station' - station points
+import { resolveName } from './place_names.js';
+
+// route=* and station=* values mapped onto the railway=* values used for tracks
+const modes = { subway: 'subway', light_rail: 'light_rail', train: 'rail', rail: 'rail' };
+
+// Used when a route has no (valid) colour tag
+export const defaultColours = { subway: '#0068b7', light_rail: '#00a06b', rail: '#6e4c2f' };
+
+// Route members that aren't the line itself
+const nonTrackRole = /^(platform|stop)/;
+
+// #rgb / #rrggbb (with or without the #) or a CSS colour name, as mappers write them
+export const normalizeColour = (value) => {
+  if (!value) return null;
+  const colour = value.trim().toLowerCase();
+  if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/.test(colour)) return colour.startsWith('#') ? colour : `#${colour}`;
+  if (/^[a-z]+$/.test(colour)) return colour;
+  return null;
+};
+
+// Length of a [lon, lat] line in meters
+export const lineLength = (coords) => {
+  let length = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const [lon1, lat1] = coords[i - 1];
+    const [lon2, lat2] = coords[i];
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+    length += 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+  return length;
+};
+
+const toLonLat = (geometry) => geometry.filter((point) => point).map((point) => [point.lon, point.lat]);
+
+export const buildTransitReference = (elements) => {
+  const features = [];
+  const routeWayIds = new Set();
+  const stats = { routes: 0, stations: 0, tracks: 0, routeKm: 0, trackKm: 0 };
+
+  elements.filter((element) => element.type === 'relation' && modes[element.tags?.route]).forEach((relation) => {
+    const lines = relation.members
+      .filter((member) => member.type === 'way' && member.geometry && !nonTrackRole.test(member.role || ''))
+      .map((member) => {
+        routeWayIds.add(member.ref);
+        return toLonLat(member.geometry);
+      })
+      .filter((line) => line.length >= 2);
+    if (lines.length === 0) return;
+
+    const mode = modes[relation.tags.route];
+    features.push({
+      type: 'Feature',
+      id: `relation/${relation.id}`,
+      properties: {
+        kind: 'route',
+        mode,
+        name: resolveName(relation.tags).name,
+        ref: relation.tags.ref || '',
+        colour: normalizeColour(relation.tags.colour) || defaultColours[mode],
+        operator: relation.tags.operator || '',
+      },
+      geometry: { type: 'MultiLineString', coordinates: lines },
+    });
+    stats.routes++;
+    stats.routeKm += lines.reduce((sum, line) => sum + lineLength(line), 0) / 1000;
+  });
+
+  elements.filter((element) => element.type === 'way' && element.geometry).forEach((way) => {
+    const coordinates = toLonLat(way.geometry);
+    stats.trackKm += lineLength(coordinates) / 1000;
+    if (routeWayIds.has(way.id)) return;
+
+    features.push({
+      type: 'Feature',
+      id: `way/${way.id}`,
+      properties: {
+        kind: 'track',
+        mode: way.tags.railway,
+        name: resolveName(way.tags).name,
+        usage: way.tags.usage || '',
+        service: way.tags.service || '',
+      },
+      geometry: { type: 'LineString', coordinates },
+    });
+    stats.tracks++;
+  });
+
+  elements.filter((element) => element.type === 'node').forEach((node) => {
+    features.push({
+      type: 'Feature',
+      id: `node/${node.id}`,
+      properties: {
+        kind: 'station',
+        mode: modes[node.tags.station] || (node.tags.subway === 'yes' ? 'subway' : 'rail'),
+        name: resolveName(node.tags).name,
+        colour: normalizeColour(node.tags.colour),
+      },
+      geometry: { type: 'Point', coordinates: [node.lon, node.lat] },
+    });
+    stats.stations++;
+  });
+
+  stats.routeKm = Math.round(stats.routeKm);
+  stats.trackKm = Math.round(stats.trackKm);
+  return { transit: { type: 'FeatureCollection', features }, stats };
+};
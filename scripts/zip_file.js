@@ -0,0 +1,144 @@
+// Minimal ZIP reader for local archives (GTFS feeds)
+// The central directory is read once, then single entries are streamed straight from disk, so a
+// multi-GB stop_times.txt never has to be unpacked or held in memory. Stored and deflated entries
+// are supported, including ZIP64 archives (entries or archives over 4 GB).
+import fs from 'fs';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+
+const signatures = {
+  endOfDirectory: 0x06054b50,
+  zip64Locator: 0x07064b50,
+  zip64EndOfDirectory: 0x06064b50,
+  directoryEntry: 0x02014b50,
+  localHeader: 0x04034b50,
+};
+
+const readAt = (fd, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// The end of central directory record sits in the last 22 bytes plus an optional comment of up to 64 KB
+const findEndOfDirectory = (fd, size, filePath) => {
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = readAt(fd, size - tailLength, tailLength);
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === signatures.endOfDirectory) return { tail, offset: i };
+  }
+  throw new Error(`${filePath} isn't a zip file`);
+};
+
+const readDirectory = (fd, filePath) => {
+  const size = fs.fstatSync(fd).size;
+  const { tail, offset } = findEndOfDirectory(fd, size, filePath);
+  let count = tail.readUInt16LE(offset + 10);
+  let directorySize = tail.readUInt32LE(offset + 12);
+  let directoryOffset = tail.readUInt32LE(offset + 16);
+
+  // ZIP64: the real values live in a separate record, found through the locator right before
+  if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locator = offset - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== signatures.zip64Locator) {
+      throw new Error(`${filePath} is missing its ZIP64 end of central directory`);
+    }
+    const record = readAt(fd, Number(tail.readBigUInt64LE(locator + 8)), 56);
+    if (record.readUInt32LE(0) !== signatures.zip64EndOfDirectory) {
+      throw new Error(`${filePath} has a broken ZIP64 end of central directory`);
+    }
+    count = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  const directory = readAt(fd, directoryOffset, directorySize);
+  const entries = new Map();
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (directory.readUInt32LE(position) !== signatures.directoryEntry) {
+      throw new Error(`${filePath} has a broken central directory`);
+    }
+    const flags = directory.readUInt16LE(position + 8);
+    const method = directory.readUInt16LE(position + 10);
+    let compressedSize = directory.readUInt32LE(position + 20);
+    let uncompressedSize = directory.readUInt32LE(position + 24);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    let localOffset = directory.readUInt32LE(position + 42);
+    const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+
+    // ZIP64 extra field: 64 bit versions of exactly the values that were maxed out, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (uncompressedSize === 0xffffffff) {
+          uncompressedSize = Number(directory.readBigUInt64LE(field));
+          field += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = Number(directory.readBigUInt64LE(field));
+          field += 8;
+        }
+        if (localOffset === 0xffffffff) localOffset = Number(directory.readBigUInt64LE(field));
+      }
+      extra += 4 + length;
+    }
+
+    if (!name.endsWith('/')) {
+      entries.set(name, { name, method, encrypted: (flags & 1) === 1, compressedSize, uncompressedSize, localOffset });
+    }
+    position = extraEnd + commentLength;
+  }
+  return entries;
+};
+
+export const openZip = (filePath) => {
+  if (!fs.existsSync(filePath)) throw new Error(`Zip file not found: ${filePath}`);
+  const fd = fs.openSync(filePath, 'r');
+  let entries;
+  try {
+    entries = readDirectory(fd, filePath);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return {
+    names: [...entries.keys()],
+
+    // Readable stream of one entry's uncompressed bytes
+    openEntry(name) {
+      const entry = entries.get(name);
+      if (!entry) throw new Error(`${filePath} has no ${name}`);
+      if (entry.encrypted) throw new Error(`${name} in ${filePath} is encrypted`);
+      if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`${name} in ${filePath} uses compression method ${entry.method}, only stored and deflated entries are supported`);
+      }
+
+      // The local header's name and extra field can differ in length from the central directory's
+      const headerFd = fs.openSync(filePath, 'r');
+      let header;
+      try {
+        header = readAt(headerFd, entry.localOffset, 30);
+      } finally {
+        fs.closeSync(headerFd);
+      }
+      if (header.length < 30 || header.readUInt32LE(0) !== signatures.localHeader) {
+        throw new Error(`${filePath} has a broken local header for ${name}`);
+      }
+      const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      if (entry.compressedSize === 0) return Readable.from([]);
+      const raw = fs.createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+      if (entry.method === 0) return raw;
+      const inflate = zlib.createInflateRaw();
+      raw.on('error', (error) => inflate.destroy(error));
+      return raw.pipe(inflate);
+    },
+  };
+};
@@ -0,0 +1,62 @@
+// Calibration of neighborhood residents and jobs to the place's totals
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calibrationSetting, calibrationDefaults, calibrateTotals } from '../scripts/calibration.js';
+
+const zoneTypes = { a: 'suburb', b: 'suburb', c: 'terminal', d: 'quarter', e: 'gtfs_hub' };
+const zoneTypeOf = (placeID) => zoneTypes[placeID];
+
+const metasOf = (population, jobs = {}) => Object.keys(zoneTypes).map((placeID) => ({
+  placeID, totalPopulation: population[placeID], totalJobs: jobs[placeID] ?? 0,
+}));
+
+test('merges zone types one by one and checks their rules', () => {
+  assert.equal(calibrationSetting(undefined, undefined), null);
+  assert.equal(calibrationSetting(true, false), null);
+  assert.deepEqual(calibrationSetting(true), { ...calibrationDefaults, zoneTypes: {} });
+
+  const setting = calibrationSetting({ jobs: false, zoneTypes: { terminal: 'fixed' } }, { zoneTypes: { gtfs_hub: { residents: 40 } } });
+  assert.equal(setting.residents, true);
+  assert.equal(setting.jobs, false);
+  assert.deepEqual(setting.zoneTypes, { terminal: 'fixed', gtfs_hub: { residents: 40 } });
+
+  assert.throws(() => calibrationSetting({ zoneTypes: { terminal: 'keep' } }), /calibration.zoneTypes.terminal must be 'scale', 'fixed' or a target number >= 0/);
+  assert.throws(() => calibrationSetting(true, { zoneTypes: { suburb: { jobs: -5 } } }), /calibration.zoneTypes.suburb/);
+});
+
+test('meets the target exactly around fixed zones and zone type targets', () => {
+  const setting = calibrationSetting({ zoneTypes: { terminal: 'fixed', gtfs_hub: { residents: 40 } } });
+  const metas = metasOf({ a: 100, b: 200, c: 50, d: 300, e: 10 });
+  const report = calibrateTotals(metas, zoneTypeOf, { population: 1000 }, setting);
+
+  // 910 left for the scaled zones after the fixed 50 and the hub's own 40, by largest remainder
+  assert.deepEqual(metas.map((meta) => meta.totalPopulation), [152, 303, 50, 455, 40]);
+  assert.equal(report.residents.before, 660);
+  assert.equal(report.residents.after, 1000);
+  assert.deepEqual(report.residents.warnings, []);
+  assert.deepEqual(report.residents.zoneTypes.find(({ zoneType }) => zoneType === 'suburb'), {
+    zoneType: 'suburb', rule: 'scale', before: 300, after: 455, factor: 910 / 600,
+  });
+  assert.equal(report.factorOf('residents', 'terminal'), 1);
+  assert.equal(report.factorOf('residents', 'gtfs_hub'), 4);
+  // No jobs target, the jobs are left alone
+  assert.equal(report.jobs, null);
+  assert.equal(metas[0].totalJobs, 0);
+});
+
+test('warns when the target cannot be met', () => {
+  const setting = calibrationSetting({ residents: false, zoneTypes: { terminal: 'fixed', quarter: 'fixed' } });
+  const metas = metasOf({ a: 1, b: 1, c: 1, d: 1, e: 1 }, { a: 0, b: 0, c: 3000, d: 500, e: 0 });
+  const report = calibrateTotals(metas, zoneTypeOf, { population: 100, jobs: 2000 }, setting);
+
+  assert.equal(report.residents, null);
+  assert.deepEqual(metas.map((meta) => meta.totalJobs), [0, 0, 3000, 500, 0]);
+  assert.equal(report.jobs.after, 3500);
+  assert.equal(report.jobs.warnings.length, 1);
+  assert.match(report.jobs.warnings[0], /already exceed the target/);
+
+  const empty = metasOf({ a: 0, b: 0, c: 0, d: 0, e: 0 });
+  const emptyReport = calibrateTotals(empty, zoneTypeOf, { population: 500 }, calibrationSetting(true));
+  assert.equal(emptyReport.residents.after, 0);
+  assert.match(emptyReport.residents.warnings[0], /no residents to scale, 500 of the target can't be placed/);
+});
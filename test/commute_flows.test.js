@@ -0,0 +1,74 @@
+// Observed commute flows: OD tables and zone locations summed per neighborhood pair
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { loadCommuteFlows } from '../scripts/commute_flows.js';
+
+const bbox = [114.0, 22.0, 114.02, 22.02];
+// West half of the bbox is neighborhood A, east half B
+const neighborhoodAt = (lon) => (lon < 114.01 ? 'A' : 'B');
+
+const withFiles = async (files, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commute-'));
+  try {
+    const paths = Object.fromEntries(Object.entries(files).map(([name, contents]) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, name.endsWith('.gz') ? zlib.gzipSync(contents) : contents);
+      return [name, filePath];
+    }));
+    await run(paths);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// LODES layout: a crosswalk with block centroids, and a gzipped OD table
+const zones = [
+  'tabblk2020,st,"stname",blklatdd,blklondd',
+  '1001,06,"California, US",22.010,114.005',
+  '1002,06,"California, US",22.010,114.006',
+  '1003,06,"California, US",22.010,114.015',
+  '1004,06,"California, US",23.500,114.015',
+].join('\n');
+const od = [
+  'w_geocode,h_geocode,S000,SA01',
+  '1003,1001,10,1',
+  '1003,1002,5,1',
+  '1001,1003,4,1',
+  '1003,1004,7,1',
+  '1002,1001,0,0',
+].join('\n');
+
+test('sums LODES flows per neighborhood pair', () => withFiles({ 'zones.csv': zones, 'od.csv.gz': od }, async (files) => {
+  const { flows, stats } = await loadCommuteFlows({ od: files['od.csv.gz'], zones: files['zones.csv'] }, bbox, neighborhoodAt);
+  assert.deepEqual([...flows.get('A')], [['B', 15]]);
+  assert.deepEqual([...flows.get('B')], [['A', 4]]);
+  // Zone 1004 lies outside the bbox, so its 7 commuters can't be placed
+  assert.deepEqual(stats, { zones: 3, mappedZones: 3, rows: 5, commuters: 19, outside: 7 });
+}));
+
+test('places GeoJSON zones at the center of their bbox and reads custom columns', () => withFiles({
+  'zones.geojson': JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { code: 'west' }, geometry: { type: 'Polygon', coordinates: [[[114.0, 22.0], [114.008, 22.0], [114.008, 22.01], [114.0, 22.0]]] } },
+      { type: 'Feature', properties: { code: 'east' }, geometry: { type: 'Point', coordinates: [114.018, 22.01] } },
+    ],
+  }),
+  'od.csv': 'home,work,people\nwest,east,12\neast,east,3\n',
+}, async (files) => {
+  const setting = { od: [files['od.csv']], zones: files['zones.geojson'], zoneIdProperty: 'code', originColumn: 'home', destinationColumn: 'work', countColumn: 'people' };
+  const { flows } = await loadCommuteFlows(setting, bbox, neighborhoodAt);
+  assert.deepEqual([...flows.get('A')], [['B', 12]]);
+  assert.deepEqual([...flows.get('B')], [['B', 3]]);
+}));
+
+test('explains missing files and columns', () => withFiles({ 'zones.csv': 'name,lat,lon\nx,22.01,114.01\n', 'od.csv': od }, async (files) => {
+  assert.equal(await loadCommuteFlows(undefined, bbox, neighborhoodAt), null);
+  await assert.rejects(loadCommuteFlows({ od: files['od.csv'] }, bbox, neighborhoodAt), /needs both an od file and a zones file/);
+  await assert.rejects(loadCommuteFlows({ od: 'missing.csv', zones: files['zones.csv'] }, bbox, neighborhoodAt), /not found: missing.csv/);
+  await assert.rejects(loadCommuteFlows({ od: files['od.csv'], zones: files['zones.csv'] }, bbox, neighborhoodAt), /has none of the columns tabblk2020/);
+}));
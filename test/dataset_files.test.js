@@ -0,0 +1,82 @@
+// Streaming dataset files: what the writer puts on disk reads back item by item in every format
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { encode } from '@msgpack/msgpack';
+import { createDatasetWriter, readDatasetItems, readDatasetChunks } from '../scripts/dataset_files.js';
+
+const items = [
+  { type: 'way', id: 1, tags: { building: 'yes' } },
+  { type: 'way', id: 2, tags: { building: 'house', name: 'Ünïcode ✓' } },
+  { type: 'node', id: 3, lat: 22.1, lon: 114.2 },
+];
+
+const withDir = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-'));
+  try {
+    await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const readAll = async (filePath, output) => {
+  const read = [];
+  for await (const item of readDatasetItems(filePath, output)) read.push(item);
+  return read;
+};
+
+const writeAll = async (filePath, output, values) => {
+  const writer = createDatasetWriter(filePath, output);
+  for (const item of values) await writer.write(item);
+  await writer.close();
+  return writer;
+};
+
+test('reads back what was written, in every format', () => withDir(async (dir) => {
+  for (const output of ['msgpack', 'geojson', 'json']) {
+    const filePath = path.join(dir, `items.${output}`);
+    const writer = await writeAll(filePath, output, items);
+    assert.equal(writer.count, 3);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    assert.deepEqual(await readAll(filePath, output), items, output);
+  }
+
+  // GeoJSON files are regular FeatureCollections
+  const collection = JSON.parse(fs.readFileSync(path.join(dir, 'items.geojson'), 'utf8'));
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.equal(collection.features.length, 3);
+
+  // and empty datasets still make valid files
+  await writeAll(path.join(dir, 'empty.geojson'), 'geojson', []);
+  assert.deepEqual(await readAll(path.join(dir, 'empty.geojson'), 'geojson'), []);
+}));
+
+test('keeps the previous file until the new one is closed, and after an abort', () => withDir(async (dir) => {
+  const filePath = path.join(dir, 'items.msgpack');
+  await writeAll(filePath, 'msgpack', items.slice(0, 1));
+
+  const writer = createDatasetWriter(filePath, 'msgpack');
+  await writer.write(items[1]);
+  // A refresh streams the old file while the new one is being written
+  assert.deepEqual(await readAll(filePath, 'msgpack'), items.slice(0, 1));
+  writer.abort();
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  assert.deepEqual(await readAll(filePath, 'msgpack'), items.slice(0, 1));
+}));
+
+test('reads msgpack files written as one array by older versions', () => withDir(async (dir) => {
+  const filePath = path.join(dir, 'old.msgpack');
+  fs.writeFileSync(filePath, encode(items));
+  assert.deepEqual(await readAll(filePath, 'msgpack'), items);
+}));
+
+test('hands items out in chunks', () => withDir(async (dir) => {
+  const filePath = path.join(dir, 'items.json');
+  await writeAll(filePath, 'json', items);
+  const chunks = [];
+  for await (const chunk of readDatasetChunks(filePath, 'json', 2)) chunks.push(chunk);
+  assert.deepEqual(chunks, [items.slice(0, 2), items.slice(2)]);
+}));
@@ -0,0 +1,76 @@
+// Dataset registry: datasets declared in config.js, filters evaluated for local extracts, default transforms
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import { getDatasets, compileDatasetMatcher, elementToFeature, datasetFile } from '../scripts/datasets.js';
+
+// Runs with config.datasets swapped out, so the local config.js doesn't matter
+const withDatasets = (datasets, run) => {
+  const saved = config.datasets;
+  config.datasets = datasets;
+  try {
+    run();
+  } finally {
+    config.datasets = saved;
+  }
+};
+
+test('fills in defaults for datasets declared in config.js', () => withDatasets([
+  { name: 'parks', filters: ['way["leisure"="park"]'] },
+  { name: 'stops', filters: ['node["highway"="bus_stop"]'], output: 'msgpack', tileSize: 0.25 },
+], () => {
+  const datasets = getDatasets();
+  assert.deepEqual(datasets.slice(0, 4).map(({ name }) => name), ['roads', 'buildings', 'places', 'transit']);
+
+  const parks = datasets.find(({ name }) => name === 'parks');
+  assert.equal(parks.label, 'Parks');
+  assert.equal(parks.output, 'geojson');
+  assert.equal(parks.tileSize, 1.0);
+  assert.equal(parks.transform, elementToFeature);
+  assert.equal(datasetFile(parks), 'parks.geojson');
+
+  const stops = datasets.find(({ name }) => name === 'stops');
+  assert.equal(stops.tileSize, 0.25);
+  assert.equal(stops.keyOf({ type: 'node', id: 5 }), 'node/5');
+  assert.equal(datasetFile(stops), 'stops.msgpack');
+}));
+
+test('catches mistakes in declared datasets before any download starts', () => {
+  const rejects = (dataset, message) => withDatasets([dataset], () => assert.throws(() => getDatasets(), message));
+  rejects({ name: 'my parks', filters: ['way'] }, /letters, digits/);
+  rejects({ name: 'roads', filters: ['way["highway"]'] }, /already taken/);
+  rejects({ name: 'parks', filters: [] }, /at least one Overpass filter/);
+  rejects({ name: 'parks', filters: ['way'], postProcess: () => [] }, /replaced by transform/);
+  rejects({ name: 'parks', filters: ['way'], output: 'csv' }, /unknown output "csv"/);
+  // A custom transform has to say how its items are keyed before --refresh can merge them
+  withDatasets([{ name: 'parks', filters: ['way'], transform: (element) => element }], () => {
+    assert.equal(getDatasets().find(({ name }) => name === 'parks').keyOf, null);
+  });
+});
+
+test('evaluates Overpass filters against tags for local extracts', () => {
+  const matches = compileDatasetMatcher({
+    filters: ['way["highway"~"^(primary|secondary)$"]["access"!="private"]', 'nwr["railway"="station"]', 'node["name"]["shop"!~"^(no|vacant)$"]'],
+  });
+  assert.equal(matches('way', { highway: 'primary' }), true);
+  assert.equal(matches('way', { highway: 'primary', access: 'private' }), false);
+  assert.equal(matches('way', { highway: 'tertiary' }), false);
+  assert.equal(matches('node', { highway: 'primary' }), false);
+  assert.equal(matches('relation', { railway: 'station' }), true);
+  assert.equal(matches('node', { name: 'Corner shop', shop: 'bakery' }), true);
+  assert.equal(matches('node', { name: 'Empty unit', shop: 'vacant' }), false);
+  assert.throws(() => compileDatasetMatcher({ filters: ['area["name"]'] }), /isn't supported/);
+});
+
+test('turns elements into GeoJSON features by default', () => {
+  const node = elementToFeature({ type: 'node', id: 1, lat: 2, lon: 3, tags: { amenity: 'cafe' } });
+  assert.deepEqual(node, { type: 'Feature', id: 'node/1', properties: { amenity: 'cafe' }, geometry: { type: 'Point', coordinates: [3, 2] } });
+
+  const square = [[0, 0], [1, 0], [1, 1], [0, 0]].map(([lon, lat]) => ({ lat, lon }));
+  assert.equal(elementToFeature({ type: 'way', id: 2, geometry: square }).geometry.type, 'Polygon');
+  assert.equal(elementToFeature({ type: 'way', id: 3, geometry: square.slice(0, 3) }).geometry.type, 'LineString');
+
+  const route = { type: 'relation', id: 4, tags: { type: 'route' }, members: [{ type: 'way', geometry: square.slice(0, 2) }] };
+  assert.equal(elementToFeature(route).geometry.type, 'MultiLineString');
+  assert.equal(elementToFeature({ type: 'relation', id: 5, members: [] }), null);
+});
@@ -0,0 +1,38 @@
+// Floor area tables per density preset, with config and place overrides on top
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { densityFor, densityPresets, defaultDensityPreset } from '../scripts/density_presets.js';
+
+test('resolves the preset the place or config names', () => {
+  assert.deepEqual(densityPresets, ['north-america', 'east-asia-dense', 'europe']);
+  const fallback = densityFor(undefined, undefined);
+  assert.equal(fallback.preset, defaultDensityPreset);
+  assert.equal(fallback.squareFeetPerPopulation.apartments, 240);
+  assert.deepEqual(fallback.overrides, {});
+
+  // The place's preset wins, entries the region doesn't change stay North American
+  const dense = densityFor('europe', { preset: 'east-asia-dense' });
+  assert.equal(dense.preset, 'east-asia-dense');
+  assert.equal(dense.squareFeetPerPopulation.apartments, 170);
+  assert.equal(dense.squareFeetPerPopulation.ger, 240);
+  assert.equal(dense.squareFeetPerJob.school, 100);
+  assert.equal(densityFor('europe', {}).preset, 'europe');
+
+  assert.throws(() => densityFor('mars'), /density.preset must be one of north-america, east-asia-dense, europe \(got mars\)/);
+});
+
+test('applies config overrides and then the place overrides', () => {
+  const density = densityFor(
+    { preset: 'europe', squareFeetPerPopulation: { apartments: 300, hotel: 200 } },
+    { squareFeetPerPopulation: { apartments: '280' }, squareFeetPerJob: { warehouse: null } },
+  );
+  assert.equal(density.squareFeetPerPopulation.apartments, 280);
+  assert.equal(density.squareFeetPerPopulation.hotel, 200);
+  assert.equal('warehouse' in density.squareFeetPerJob, false);
+  assert.deepEqual(density.overrides, {
+    squareFeetPerPopulation: { apartments: '280', hotel: 200 },
+    squareFeetPerJob: { warehouse: null },
+  });
+
+  assert.throws(() => densityFor({ squareFeetPerJob: { office: 0 } }), /density.squareFeetPerJob.office must be a number > 0 or null/);
+});
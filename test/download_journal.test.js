@@ -0,0 +1,45 @@
+// Checkpoint journal guards against resuming tiles from a different bbox or source
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJournal } from '../scripts/download_journal.js';
+
+const tile = [22.0, 114.0, 22.5, 114.5];
+
+const withPlaceDir = (run) => {
+  const placeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  try {
+    run(placeDir);
+  } finally {
+    fs.rmSync(placeDir, { recursive: true, force: true });
+  }
+};
+
+test('keeps the bbox/source guard when cleared for a fresh start', () => withPlaceDir((placeDir) => {
+  const meta = { bbox: [22, 114, 23, 115], source: 'overpass' };
+  const fresh = createJournal(placeDir, meta);
+  fresh.writeTile('roads', tile, [{ type: 'way', id: 1 }]);
+  fresh.noteTimestamp('2025-01-01T00:00:00Z');
+  fresh.clear();
+  assert.equal(fresh.existingTiles, 0);
+  assert.equal(fresh.timestamp, null);
+
+  // Tiles written after the clear still belong to this bbox, a run for another one doesn't resume from them
+  fresh.writeTile('roads', tile, [{ type: 'way', id: 2 }]);
+  assert.equal(createJournal(placeDir, { ...meta, bbox: [22, 114, 22.5, 114.5] }).read('roads', tile), null);
+
+  const same = createJournal(placeDir, meta);
+  same.clear();
+  same.writeTile('roads', tile, [{ type: 'way', id: 3 }]);
+  assert.deepEqual(createJournal(placeDir, meta).read('roads', tile), [{ type: 'way', id: 3 }]);
+  assert.equal(createJournal(placeDir, { ...meta, source: 'pbf' }).read('roads', tile), null);
+}));
+
+test('removes the whole journal once the download is written', () => withPlaceDir((placeDir) => {
+  const journal = createJournal(placeDir, { bbox: [22, 114, 23, 115], source: 'overpass' });
+  journal.writeTile('roads', tile, []);
+  journal.remove();
+  assert.equal(fs.existsSync(`${placeDir}/journal`), false);
+}));
@@ -0,0 +1,61 @@
+// Tile plans saved by --plan: which tiles a download takes from them, when they expire, the estimates
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import perfConfig from '../performance_config.js';
+import { readPlan, writePlan, planExpired, plannedTiles, estimatePlan } from '../scripts/download_plan.js';
+
+const bbox = [22, 114, 23, 115];
+const dataset = { name: 'roads', filters: ['way["highway"]'], tileSize: 0.5, output: 'geojson' };
+const tiles = [
+  { tile: [22, 114, 22.5, 114.5], count: 120 },
+  { tile: [22, 114.5, 22.5, 115], count: 0 },
+  { tile: [22.5, 114, 23, 114.5], count: null },
+];
+const planFor = (createdAt) => ({
+  createdAt,
+  bbox,
+  datasets: { roads: { filters: dataset.filters, tileSize: dataset.tileSize, tiles, total: 120, failedTiles: 1 } },
+});
+
+test('takes the counted tiles for the same bbox, filters and tile size only', () => {
+  const plan = planFor(new Date().toISOString());
+  // Empty tiles are skipped, tiles that couldn't be counted are fetched anyway
+  assert.deepEqual(plannedTiles(plan, dataset, bbox), [tiles[0].tile, tiles[2].tile]);
+  assert.equal(plannedTiles(plan, dataset, [22, 114, 23, 116]), null);
+  assert.equal(plannedTiles(plan, { ...dataset, filters: ['way["railway"]'] }, bbox), null);
+  assert.equal(plannedTiles(plan, { ...dataset, tileSize: 0.25 }, bbox), null);
+  assert.equal(plannedTiles(plan, { ...dataset, name: 'buildings' }, bbox), null);
+  assert.equal(plannedTiles(null, dataset, bbox), null);
+});
+
+test('expires plans after plan.maxAgeDays', () => {
+  const now = Date.parse('2025-06-10T00:00:00Z');
+  const dayMs = 24 * 3600 * 1000;
+  assert.equal(planExpired(planFor(new Date(now - dayMs).toISOString()), now), false);
+  assert.equal(planExpired(planFor(new Date(now - (perfConfig.plan.maxAgeDays + 1) * dayMs).toISOString()), now), true);
+  assert.equal(planExpired(planFor(undefined), now), true);
+});
+
+test('saves and reads the plan next to the downloads', () => {
+  const placeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-'));
+  try {
+    assert.equal(readPlan(placeDir), null);
+    const plan = planFor('2025-06-10T00:00:00.000Z');
+    writePlan(placeDir, plan);
+    assert.deepEqual(readPlan(placeDir), plan);
+  } finally {
+    fs.rmSync(placeDir, { recursive: true, force: true });
+  }
+});
+
+test('estimates requests from the tiles that get fetched and the peak from the largest counted one', () => {
+  const estimate = estimatePlan({ roads: { tiles, total: 120 } }, [dataset]);
+  const requestsPerTile = perfConfig.verifyTileCounts ? 2 : 1;
+  assert.equal(estimate.requests, 2 * requestsPerTile);
+  assert.equal(estimate.largestTile.count, 120);
+  assert.deepEqual(estimate.largestTile.tile, tiles[0].tile);
+  assert.equal(estimate.downloadBytes, 120 * (perfConfig.plan.bytesPerElement.roads));
+});
@@ -0,0 +1,31 @@
+// Compact OSM id set used to drop cross-tile duplicates
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElementIdSet } from '../scripts/element_id_set.js';
+
+test('tells element types apart and reports new entries once', () => {
+  const ids = createElementIdSet();
+  assert.equal(ids.add('way', 1), true);
+  assert.equal(ids.add('way', 1), false);
+  assert.equal(ids.add('node', 1), true);
+  assert.equal(ids.add('relation', 1), true);
+  assert.equal(ids.has('way', 1), true);
+  assert.equal(ids.has('way', 2), false);
+  assert.equal(ids.size, 3);
+});
+
+test('keeps every id while growing, including ids past 32 bits', () => {
+  const ids = createElementIdSet(4);
+  const big = 2 ** 40;
+  for (let i = 0; i < 5000; i++) {
+    ids.add('way', i);
+    ids.add('node', big + i * 2 ** 33);
+  }
+  assert.equal(ids.size, 10000);
+  for (let i = 0; i < 5000; i++) {
+    assert.equal(ids.has('way', i), true);
+    assert.equal(ids.has('node', big + i * 2 ** 33), true);
+  }
+  assert.equal(ids.has('node', 5000), false);
+  assert.equal(ids.has('way', big), false);
+});
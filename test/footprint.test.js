@@ -0,0 +1,51 @@
+// Simplified building footprints: settings, both algorithms, the vertex cap and rejected outlines
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { footprintSetting, footprintDefaults, describeFootprints, simplifyFootprint } from '../scripts/footprint.js';
+
+// Meters around a point in Hong Kong to [lon, lat]
+const lat0 = 22.3;
+const toLonLat = ([x, y]) => [114.17 + x / (111320 * Math.cos(lat0 * Math.PI / 180)), lat0 + y / 111320];
+const closed = (points) => [...points, points[0]].map(toLonLat);
+
+// 20 x 20 m L-shape with extra points along its edges, one of them 10 cm off the line, and a 10 cm
+// chamfer on the inner corner
+const lShape = closed([[0, 0], [10, 0], [20, 0], [20, 5], [20, 10], [10.1, 10], [10, 10.1], [10, 15], [10, 20], [5, 20.1], [0, 20], [0, 10]]);
+
+test('merges the place setting over config and checks it', () => {
+  assert.equal(footprintSetting(undefined, undefined), null);
+  assert.equal(footprintSetting(true, false), null);
+  assert.deepEqual(footprintSetting(true), footprintDefaults);
+  assert.deepEqual(footprintSetting({ tolerance: 1 }, { maxVertices: '12.5' }), { ...footprintDefaults, tolerance: 1, maxVertices: 12 });
+  assert.throws(() => footprintSetting({ algorithm: 'bezier' }), /must be one of douglas-peucker, visvalingam/);
+  assert.throws(() => footprintSetting({ maxVertices: 3 }), /footprints.maxVertices must be a number >= 4/);
+  assert.equal(describeFootprints(footprintDefaults), 'douglas-peucker, 0.5 m, up to 24 vertices');
+});
+
+test('drops the points that add nothing to the outline, with either algorithm', () => {
+  ['douglas-peucker', 'visvalingam'].forEach((algorithm) => {
+    const result = simplifyFootprint(lShape, { algorithm, tolerance: 1, maxVertices: 24 });
+    assert.equal(result.ring.length, 7, algorithm); // six corners and the closing point
+    assert.deepEqual(result.ring[0], result.ring[result.ring.length - 1]);
+    assert.equal(result.capped, false);
+    assert.ok(Math.abs(result.area - 300) < 1, `${algorithm} area ${result.area}`);
+    assert.ok(Math.abs(result.originalArea - 300) < 2);
+    // Only original points are kept
+    result.ring.forEach((point) => assert.ok(lShape.some(([lon, lat]) => lon === point[0] && lat === point[1])));
+  });
+});
+
+test('caps round outlines at maxVertices', () => {
+  const circle = closed(Array.from({ length: 120 }, (_, i) => [15 * Math.cos(i * Math.PI / 60), 15 * Math.sin(i * Math.PI / 60)]));
+  const result = simplifyFootprint(circle, { algorithm: 'douglas-peucker', tolerance: 0.01, maxVertices: 16 });
+  assert.equal(result.capped, true);
+  assert.equal(result.ring.length, 17);
+  assert.ok(result.area > 0.9 * result.originalArea);
+});
+
+test('gives up on outlines that cross themselves or have no area', () => {
+  const bowtie = closed([[0, 0], [10, 10], [10, 0], [0, 10]]);
+  assert.equal(simplifyFootprint(bowtie, footprintDefaults), null);
+  assert.equal(simplifyFootprint(closed([[0, 0], [10, 0], [20, 0]]), footprintDefaults), null);
+  assert.equal(simplifyFootprint(closed([[0, 0], [10, 0]]), footprintDefaults), null);
+});
@@ -0,0 +1,61 @@
+// Foundation depth model: settings, depth per building and depths inferred from the neighbours
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { foundationSetting, foundationDefaults, createFoundationModel, inferFoundationDepths } from '../scripts/foundation_depth.js';
+
+test('merges settings class by class and checks them', () => {
+  assert.equal(foundationSetting(undefined, undefined), null);
+  assert.equal(foundationSetting(true, false), null);
+  assert.deepEqual(foundationSetting(true), foundationDefaults);
+
+  const setting = foundationSetting({ metersPerLevel: 3.5 }, { classes: { default: { max: 4 }, tower: { types: ['skyscraper'], base: 3, levelsPerDepth: 10, max: 8 } } });
+  assert.equal(setting.metersPerLevel, 3.5);
+  assert.deepEqual(setting.classes.default, { types: [], base: 1, levelsPerDepth: 8, max: 4 });
+  assert.deepEqual(setting.classes.house, foundationDefaults.classes.house);
+  assert.equal(setting.classes.tower.base, 3);
+  // The defaults themselves are left alone
+  assert.equal(foundationDefaults.classes.default.max, 6);
+
+  assert.throws(() => foundationSetting({ inferRadius: -1 }), /foundations.inferRadius must be a number >= 0/);
+  assert.throws(() => foundationSetting({ classes: { house: { max: 'deep' } } }), /foundations.classes.house.max must be a number >= 0/);
+  assert.throws(() => foundationSetting({ classes: { house: { types: 'house' } } }), /must be a list of building types/);
+});
+
+test('gives every building a depth from its tags and class', () => {
+  const depthOf = createFoundationModel(foundationSetting(true));
+  assert.deepEqual(depthOf({ building: 'apartments', 'building:levels:underground': '3', 'building:levels': '40' }), { depth: 3, levels: 40, className: 'default', source: 'tagged' });
+  // One level per 8 above ground on top of the base, roof levels included, up to the max
+  assert.deepEqual(depthOf({ building: 'office', 'building:levels': '14', 'roof:levels': '2' }), { depth: 3, levels: 16, className: 'default', source: 'levels' });
+  assert.equal(depthOf({ building: 'office', 'building:levels': '90' }).depth, 6);
+  // Heights in meters or feet
+  assert.equal(depthOf({ building: 'yes', height: '48 m' }).levels, 16);
+  assert.equal(depthOf({ building: 'yes', height: "98'" }).levels, 10);
+  assert.deepEqual(depthOf({ building: 'house', 'building:levels': '2' }), { depth: 1, levels: 2, className: 'house', source: 'levels' });
+  assert.deepEqual(depthOf({ building: 'shed' }), { depth: 0, levels: null, className: 'light', source: 'class' });
+  // Untagged buildings of a class that depends on levels wait for their neighbours
+  assert.deepEqual(depthOf({ building: 'yes' }), { depth: null, levels: null, className: 'default', source: 'pending' });
+
+  const noInference = createFoundationModel(foundationSetting({ inferRadius: 0 }));
+  assert.deepEqual(noInference({ building: 'yes' }), { depth: 1, levels: null, className: 'default', source: 'class' });
+});
+
+test('infers pending depths from the median levels around them', () => {
+  const setting = foundationSetting(true);
+  const near = (offset) => [114.17 + offset * 1e-4, 22.3];
+  const buildings = [
+    { center: near(0), levels: 16, foundationDepth: 3 },
+    { center: near(1), levels: 24, foundationDepth: 4 },
+    { center: near(2), levels: 40, foundationDepth: 6 },
+    { center: near(3), levels: null, foundationDepth: null, foundationClass: 'default' },
+    // Too far from anything tagged
+    { center: [114.3, 22.4], levels: null, foundationDepth: null, foundationClass: 'default' },
+  ];
+  assert.deepEqual(inferFoundationDepths(buildings, setting), { inferred: 1, defaulted: 1 });
+  assert.equal(buildings[3].foundationDepth, 4); // median 24 levels
+  assert.equal(buildings[4].foundationDepth, 1);
+
+  // With fewer tagged neighbours than minNeighbours the class base applies
+  const sparse = [buildings[0], { center: near(3), levels: null, foundationDepth: null, foundationClass: 'default' }];
+  assert.deepEqual(inferFoundationDepths(sparse, setting), { inferred: 0, defaulted: 1 });
+  assert.equal(sparse[1].foundationDepth, 1);
+});
@@ -0,0 +1,99 @@
+// Gravity model: settings, distance decay, Furness balancing and the connections built from it
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gravitySetting, gravityDefaults, createImpedance, describeGravity, rowStep, balanceFlows } from '../scripts/gravity_model.js';
+import { gravitySweep, gravityConnections } from '../scripts/demand_worker.js';
+
+test('merges the place setting over config and checks it', () => {
+  assert.equal(gravitySetting(undefined, undefined), null);
+  assert.equal(gravitySetting({ beta: 0.2 }, false), null);
+  assert.deepEqual(gravitySetting({ beta: 0.2 }, { maxTripLength: '30' }), { ...gravityDefaults, beta: 0.2, maxTripLength: 30 });
+  assert.deepEqual(gravitySetting(undefined, true), gravityDefaults);
+  assert.throws(() => gravitySetting({ impedance: 'linear' }), /must be one of exponential, power, gamma/);
+  assert.throws(() => gravitySetting({ beta: -1 }), /gravity.beta must be a number >= 0/);
+  assert.equal(describeGravity(gravityDefaults), 'exponential, β 0.1/km, trips up to 50 km');
+});
+
+test('decays with distance, floored at minDistance and cut at maxTripLength', () => {
+  const setting = { ...gravityDefaults, impedance: 'power', alpha: 2, minDistance: 0.5, maxTripLength: 10 };
+  const impedance = createImpedance(setting);
+  assert.equal(impedance(0), impedance(0.5));
+  assert.equal(impedance(2), 0.25);
+  assert.equal(impedance(11), 0);
+  assert.ok(Math.abs(createImpedance({ ...setting, impedance: 'exponential', beta: 0.1 })(5) - Math.exp(-0.5)) < 1e-12);
+  assert.ok(Math.abs(createImpedance({ ...setting, impedance: 'gamma', beta: 0.1 })(2) - 0.25 * Math.exp(-0.2)) < 1e-12);
+});
+
+// Weights f[i][j] (0 = out of reach): origin 2 reaches nothing, destination 3 is reached by no one
+const weights = [
+  [1.0, 0.5, 0.1, 0],
+  [0.2, 1.0, 0.4, 0],
+  [0, 0, 0, 0],
+  [0.1, 0.3, 1.0, 0],
+];
+const originTotals = [100, 200, 50, 300];
+const destinationTotals = [400, 100, 100, 200];
+
+// In-memory sweep doing the same row steps the workers do
+const sweep = async (columnFactors) => {
+  const columnSums = new Float64Array(columnFactors.length);
+  const rowFactors = Float64Array.from(weights, (row, i) => {
+    const columns = row.map((_, j) => j).filter((j) => row[j] > 0);
+    return rowStep(columns, columns.map((j) => row[j]), originTotals[i], columnFactors, columnSums);
+  });
+  return { rowFactors, columnSums };
+};
+
+test('balances flows to the origin totals and the reachable job shares', async () => {
+  const { rowFactors, columnFactors, stats } = await balanceFlows(sweep, originTotals, destinationTotals, { iterations: 200, tolerance: 1e-6 });
+  const flow = (i, j) => rowFactors[i] * weights[i][j] * columnFactors[j];
+
+  // Every origin that can travel sends exactly its residents
+  [0, 1, 3].forEach((i) => {
+    const sent = weights[i].reduce((sum, _, j) => sum + flow(i, j), 0);
+    assert.ok(Math.abs(sent - originTotals[i]) < 1e-9, `origin ${i} sends ${sent}`);
+  });
+  assert.equal(rowFactors[2], 0);
+
+  // The 600 travelling residents are shared out like the 600 reachable jobs
+  [0, 1, 2].forEach((j) => {
+    const received = weights.reduce((sum, _, i) => sum + flow(i, j), 0);
+    assert.ok(Math.abs(received - destinationTotals[j]) / destinationTotals[j] < 1e-4, `destination ${j} receives ${received}`);
+  });
+  assert.deepEqual(
+    { unreachableOrigins: stats.unreachableOrigins, unreachableResidents: stats.unreachableResidents, unreachedJobs: stats.unreachedJobs },
+    { unreachableOrigins: 1, unreachableResidents: 50, unreachedJobs: 200 },
+  );
+  assert.ok(stats.error < 1e-6);
+});
+
+test('turns balanced flows into connections that add up to every origin', async () => {
+  const setting = { ...gravityDefaults, maxTripLength: 20 };
+  const centers = { A: [114.0, 22.0], B: [114.05, 22.0], C: [114.1, 22.05], D: [115.5, 23.5] };
+  const origins = [['A', 1234], ['B', 877], ['D', 90]].map(([placeID, totalPopulation]) => ({ placeID, center: centers[placeID], totalPopulation }));
+  const destinationIds = ['A', 'B', 'C'];
+  const destinations = Float64Array.from(destinationIds.flatMap((id) => centers[id]));
+
+  const result = await balanceFlows(
+    async (columnFactors) => gravitySweep({ origins, destinations, setting, columnFactors }),
+    origins.map(({ totalPopulation }) => totalPopulation),
+    [1000, 600, 511],
+    setting,
+  );
+  const connections = gravityConnections({
+    origins: origins.map((origin, i) => ({ ...origin, rowFactor: result.rowFactors[i] })),
+    destinations,
+    setting,
+    columnFactors: result.columnFactors,
+    destinationIds,
+    centersOfNeighborhoods: centers,
+  });
+
+  const sent = (placeID) => connections.filter(({ residenceId }) => residenceId === placeID).reduce((sum, { size }) => sum + size, 0);
+  assert.equal(sent('A'), 1234);
+  assert.equal(sent('B'), 877);
+  // D lies too far from every destination
+  assert.equal(sent('D'), 0);
+  assert.equal(result.stats.unreachableResidents, 90);
+  assert.ok(connections.every(({ size }) => Number.isInteger(size) && size >= 1 && size <= 400));
+});
@@ -0,0 +1,172 @@
+// GTFS import: the zip reader, service days, stations and route lines, and the demand signal
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { openZip } from '../scripts/zip_file.js';
+import { loadGtfs, gtfsDemand } from '../scripts/gtfs_import.js';
+
+// Zip archive with the given entries, deflated unless their name ends in .stored
+const buildZip = (files) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const data = Buffer.from(text);
+    const method = name.endsWith('.stored') ? 0 : 8;
+    const compressed = method === 0 ? data : zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+    const fields = (buffer, start) => {
+      buffer.writeUInt16LE(method, start);
+      buffer.writeUInt32LE(zlib.crc32(data), start + 6);
+      buffer.writeUInt32LE(compressed.length, start + 10);
+      buffer.writeUInt32LE(data.length, start + 14);
+      buffer.writeUInt16LE(nameBuffer.length, start + 18);
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    fields(local, 8);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    fields(central, 10);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    directory.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directorySize = directory.reduce((sum, buffer) => sum + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+};
+
+const withZip = async (files, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+  try {
+    const filePath = path.join(dir, 'feed.zip');
+    fs.writeFileSync(filePath, buildZip(files));
+    await run(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const readEntry = async (zip, name) => {
+  const chunks = [];
+  for await (const chunk of zip.openEntry(name)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test('streams stored and deflated entries out of a zip', () => withZip({
+  'data/big.txt': 'stop_id,stop_name\n'.repeat(2000),
+  'notes.stored': 'kept as is',
+  'empty.txt': '',
+}, async (filePath) => {
+  const zip = openZip(filePath);
+  assert.deepEqual(zip.names, ['data/big.txt', 'notes.stored', 'empty.txt']);
+  assert.equal(await readEntry(zip, 'data/big.txt'), 'stop_id,stop_name\n'.repeat(2000));
+  assert.equal(await readEntry(zip, 'notes.stored'), 'kept as is');
+  assert.equal(await readEntry(zip, 'empty.txt'), '');
+  assert.throws(() => zip.openEntry('missing.txt'), /has no missing.txt/);
+
+  const notZip = `${filePath}.txt`;
+  fs.writeFileSync(notZip, 'just text, no central directory here');
+  assert.throws(() => openZip(notZip), /isn't a zip file/);
+}));
+
+// One subway line running on weekdays (T1, T2) and weekends (T3), plus a bus line, zipped with a top folder.
+// Central has a platform (P1), Far lies outside the place.
+const feed = {
+  'feed/agency.txt': 'agency_id,agency_name\nMTR,"Metro Corporation, Limited"\n',
+  'feed/routes.txt': 'route_id,agency_id,route_short_name,route_long_name,route_type,route_color\nL1,MTR,1,Line One,1,E2231A\nB1,MTR,B1,,3,\n',
+  'feed/stops.txt': [
+    'stop_id,stop_name,stop_lat,stop_lon,parent_station,location_type',
+    'S1,Central,22.010,114.010,,1',
+    'P1,Central Platform 1,22.0101,114.0101,S1,0',
+    'S2,Admiralty,22.015,114.015,,0',
+    'S3,Far,23.500,114.015,,0',
+  ].join('\n'),
+  'feed/trips.txt': 'route_id,service_id,trip_id,direction_id\nL1,WD,T1,0\nL1,WD,T2,0\nL1,WE,T3,1\nB1,WD,T4,0\n',
+  'feed/calendar.txt': [
+    'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+    'WD,1,1,1,1,1,0,0,20250106,20250112',
+    'WE,0,0,0,0,0,1,1,20250106,20250112',
+  ].join('\n'),
+  'feed/stop_times.txt': [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence,pickup_type',
+    'T1,08:00:00,08:00:00,P1,1,',
+    'T1,08:05:00,08:05:00,S2,2,',
+    'T1,09:00:00,09:00:00,S3,3,1',
+    'T2,08:10:00,08:10:00,P1,1,',
+    'T2,08:15:00,08:15:00,S2,2,1',
+    'T3,10:00:00,10:00:00,S2,1,',
+    'T3,10:05:00,10:05:00,P1,2,1',
+    'T4,08:00:00,08:00:00,S2,1,',
+  ].join('\n'),
+};
+const bbox = [114.0, 22.0, 114.02, 22.02];
+
+test('counts departures per station on the busiest day and draws each direction', () => withZip(feed, async (filePath) => {
+  const { transit, stations, stats } = await loadGtfs({ feeds: filePath, modes: ['subway'] }, bbox);
+
+  // Weekdays win, the platform counts towards Central, and the last stop of a trip isn't a departure
+  assert.deepEqual(stations.map(({ id, departures, modes }) => [id, departures, modes]), [['feed/S1', 2, ['subway']], ['feed/S2', 1, ['subway']]]);
+  assert.equal(stats.feeds[0].day, '2025-01-06');
+  assert.equal(stats.feeds[0].trips, 3);
+
+  const [route] = transit.features.filter(({ properties }) => properties.kind === 'route');
+  assert.deepEqual(route.properties, { kind: 'route', mode: 'subway', name: 'Line One', ref: '1', colour: '#e2231a', operator: 'Metro Corporation, Limited' });
+  // The longest trip of each direction, Far included since the line reaches into the place
+  assert.deepEqual(route.geometry.coordinates, [
+    [[114.0101, 22.0101], [114.015, 22.015], [114.015, 23.5]],
+    [[114.015, 22.015], [114.0101, 22.0101]],
+  ]);
+}));
+
+test('counts the configured day and every mode by default', () => withZip(feed, async (filePath) => {
+  const { stations, stats } = await loadGtfs({ feeds: [filePath], date: '2025-01-11' }, bbox);
+  assert.deepEqual(stations.map(({ id, departures }) => [id, departures]), [['feed/S2', 1]]);
+  assert.equal(stats.feeds[0].day, '2025-01-11');
+
+  // The bus stops at Admiralty too on weekdays
+  const weekday = await loadGtfs({ feeds: [filePath], date: '20250107' }, bbox);
+  assert.deepEqual(weekday.stations.find(({ id }) => id === 'feed/S2').modes, ['subway', 'bus']);
+  assert.equal(weekday.stations.find(({ id }) => id === 'feed/S2').departures, 2);
+
+  await assert.rejects(loadGtfs({ feeds: [] }, bbox), /at least one feed/);
+  assert.equal(await loadGtfs(undefined, bbox), null);
+}));
+
+test('rejects zips that are not GTFS feeds', () => withZip({ 'readme.txt': 'hello' }, async (filePath) => {
+  await assert.rejects(loadGtfs(filePath, bbox), /has no stops.txt, is it a GTFS feed\?/);
+}));
+
+test('boosts jobs near busy stations and turns the busiest into hubs', () => {
+  const stations = [
+    { id: 'a', location: [114.001, 22.0], departures: 1200 },
+    { id: 'b', location: [114.002, 22.0], departures: 300 },
+    { id: 'c', location: [114.015, 22.0], departures: 500 },
+  ];
+  const neighborhoodAt = (lon) => (lon < 114.01 ? 'west' : 'east');
+  const { boosts, hubs } = gtfsDemand({ stations, setting: { jobBoost: 0.3, hubs: { minDepartures: 1000, jobsPerDeparture: 2 } } }, neighborhoodAt);
+
+  assert.deepEqual(boosts.get('west'), { departures: 1500, factor: 1.3 });
+  assert.deepEqual(boosts.get('east'), { departures: 500, factor: 1.1 });
+  assert.deepEqual(hubs.map(({ id, jobs }) => [id, jobs]), [['a', 2400]]);
+
+  const none = gtfsDemand({ stations, setting: {} }, neighborhoodAt);
+  assert.equal(none.boosts.size, 0);
+  assert.deepEqual(none.hubs, []);
+});
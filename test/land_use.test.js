@@ -0,0 +1,105 @@
+// Land use settings, the values downloaded for them and how POIs are classified
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import { landUseSetting, landUseValues, poiTypeOf, buildLandUseIndex, createLandUseLookup } from '../scripts/land_use.js';
+import { getDatasets, datasetsForPlace } from '../scripts/datasets.js';
+import { createDatasetWriter } from '../scripts/dataset_files.js';
+
+// Runs with config.places (and config.landUse) swapped out, so the local config.js doesn't matter
+const withPlaces = (places, run, landUse) => {
+  const saved = { places: config.places, landUse: config.landUse };
+  config.places = places;
+  config.landUse = landUse;
+  try {
+    run();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+const namesFor = (place) => datasetsForPlace(getDatasets(), place).map(({ name }) => name);
+
+test('downloads land use only for the places that have it on', () => {
+  const on = { code: 'ON', landUse: { amenity: { bank: null } } };
+  const off = { code: 'OFF', landUse: false };
+  withPlaces([on, off], () => {
+    assert.ok(namesFor(on).includes('landuse') && namesFor(on).includes('pois'));
+    assert.ok(!namesFor(off).includes('landuse') && !namesFor(off).includes('pois'));
+    // The place with it off doesn't bring the defaults back
+    assert.ok(!landUseValues().amenity.includes('bank'));
+  });
+});
+
+test('leaves the land use datasets out when every place has it off', () => {
+  withPlaces([{ code: 'A', landUse: false }, { code: 'B' }], () => {
+    assert.equal(landUseValues(), null);
+    assert.deepEqual(getDatasets().map(({ name }) => name).filter((name) => name === 'landuse' || name === 'pois'), []);
+  }, false);
+});
+
+test('merges the land use maps entry by entry and classifies POIs', () => {
+  withPlaces([], () => {
+    const setting = landUseSetting({ landUse: { landuse: { port: null, farmyard: 'industrial' }, amenity: { bank: 'office' }, shop: null } });
+    assert.equal(setting.landuse.port, undefined);
+    assert.equal(setting.landuse.farmyard, 'industrial');
+    assert.equal(setting.landuse.commercial, 'commercial');
+    assert.equal(setting.amenity.cafe, 'commercial');
+
+    assert.equal(poiTypeOf(setting, { amenity: 'bank' }), 'office');
+    assert.equal(poiTypeOf(setting, { office: 'company', amenity: 'cafe' }), 'office');
+    // Shops are switched off here, so only the amenity counts
+    assert.equal(poiTypeOf(setting, { shop: 'bakery', amenity: 'cafe' }), 'commercial');
+    assert.equal(poiTypeOf(setting, { amenity: 'bench' }), undefined);
+
+    assert.equal(landUseSetting({ landUse: false }), null);
+    assert.throws(() => landUseSetting({ landUse: { mixedJobShare: 2 } }), /landUse.mixedJobShare must be between 0 and 1/);
+  }, { amenity: { hospital: null } });
+});
+
+test('looks up the smallest landuse around a building and the POIs inside it', async () => {
+  const square = (minLon, minLat, maxLon, maxLat) => [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]];
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'land-use-'));
+  try {
+    // buildLandUseIndex reads ./raw_data/<code>, like the rest of the processing
+    process.chdir(dir);
+    fs.mkdirSync('raw_data/TST', { recursive: true });
+    const write = async (name, items) => {
+      const writer = createDatasetWriter(`raw_data/TST/${name}.msgpack`, 'msgpack');
+      for (const item of items) await writer.write(item);
+      await writer.close();
+    };
+    await write('landuse', [
+      { type: 'way', id: 1, tags: { landuse: 'commercial' }, polygons: [square(114, 22, 114.01, 22.01)] },
+      { type: 'way', id: 2, tags: { landuse: 'residential' }, polygons: [square(114.002, 22.002, 114.004, 22.004)] },
+      { type: 'way', id: 3, tags: { landuse: 'meadow' }, polygons: [square(114, 22, 114.02, 22.02)] },
+    ]);
+    await write('pois', [
+      { type: 'node', id: 10, lon: 114.0081, lat: 22.0081, tags: { shop: 'bakery' } },
+      { type: 'node', id: 11, lon: 114.0082, lat: 22.0082, tags: { shop: 'books' } },
+      { type: 'node', id: 12, lon: 114.0083, lat: 22.0083, tags: { amenity: 'bank' } },
+      { type: 'node', id: 13, lon: 114.0084, lat: 22.0084, tags: { amenity: 'bench' } },
+    ]);
+
+    let setting;
+    withPlaces([], () => { setting = landUseSetting({}); });
+    const index = await buildLandUseIndex({ code: 'TST' }, [114, 22, 114.02, 22.02], setting);
+    assert.equal(index.polygonCount, 2);
+    assert.equal(index.poiCount, 3);
+
+    const lookup = createLandUseLookup(index);
+    const inside = () => true;
+    assert.deepEqual(lookup([114.003, 22.003], [114.0029, 22.0029, 114.0031, 22.0031], inside), { landuse: 'residential', poiType: null, pois: 0 });
+    assert.deepEqual(lookup([114.008, 22.008], [114.0079, 22.0079, 114.0085, 22.0085], inside), { landuse: 'commercial', poiType: 'retail', pois: 3 });
+    assert.deepEqual(lookup([114.015, 22.015], [114.0149, 22.0149, 114.0151, 22.0151], inside), { landuse: null, poiType: null, pois: 0 });
+    // POIs outside the footprint itself don't count
+    assert.equal(lookup([114.008, 22.008], [114.0079, 22.0079, 114.0085, 22.0085], () => false).pois, 0);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
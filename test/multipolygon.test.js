@@ -0,0 +1,55 @@
+// Building relations assembled from their member ways into polygons with holes
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleMultipolygon, assembleBuildingRelation, ringContainsPoint } from '../scripts/multipolygon.js';
+
+const way = (role, points) => ({ type: 'way', role, geometry: points.map(([lon, lat]) => ({ lat, lon })) });
+
+// Outer 10x10 square split over two ways (the second one running backwards), a 2x2 courtyard,
+// and a second building with its own courtyard inside the first one's hole
+const relation = {
+  type: 'relation',
+  id: 7,
+  tags: { building: 'yes' },
+  members: [
+    way('outer', [[0, 0], [10, 0], [10, 10]]),
+    way('outer', [[0, 0], [0, 10], [10, 10]]),
+    way('inner', [[2, 2], [8, 2], [8, 8], [2, 8], [2, 2]]),
+    way('outer', [[3, 3], [7, 3], [7, 7], [3, 7], [3, 3]]),
+    way('inner', [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]),
+    { type: 'node', ref: 1, role: 'entrance', lat: 0, lon: 0 },
+  ],
+};
+
+test('joins split outer ways into closed rings and gives each hole to the tightest outer', () => {
+  const polygons = assembleMultipolygon(relation);
+  assert.equal(polygons.length, 2);
+
+  // Smallest outer first, holding the innermost hole
+  const [small, large] = polygons;
+  assert.deepEqual(small[0][0], [3, 3]);
+  assert.deepEqual(small[1][0], [4, 4]);
+  assert.equal(large[0].length, 5);
+  assert.deepEqual(large[0][0], large[0][large[0].length - 1]);
+  assert.deepEqual(large[1][0], [2, 2]);
+  assert.equal(ringContainsPoint(large[0], [9, 9]), true);
+  assert.equal(ringContainsPoint(large[0], [11, 9]), false);
+});
+
+test('gives up on relations whose outer ways never close', () => {
+  assert.equal(assembleMultipolygon({ members: [way('outer', [[0, 0], [10, 0], [10, 10]])] }), null);
+  assert.equal(assembleBuildingRelation({ type: 'relation', id: 8, members: [way('outer', [[0, 0], [1, 1]])] }), null);
+});
+
+test('assembles buildings once and passes everything else through', () => {
+  const building = assembleBuildingRelation(relation);
+  assert.equal(building.id, 7);
+  assert.deepEqual(building.tags, { building: 'yes' });
+  assert.equal(building.polygons.length, 2);
+  // geometry holds the points of the outer rings only
+  assert.equal(building.geometry.length, building.polygons[0][0].length + building.polygons[1][0].length);
+  assert.equal(assembleBuildingRelation(building), building);
+
+  const plain = { type: 'way', id: 3, geometry: [] };
+  assert.equal(assembleBuildingRelation(plain), plain);
+});
@@ -0,0 +1,91 @@
+// Offline extraction from a local .osm extract, shaped like Overpass `out geom` results
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readOsmFile } from '../scripts/osm_file_reader.js';
+import { extractFromOsmFile } from '../scripts/osm_file_source.js';
+
+// Nodes 1-4 inside the bbox, 5 and 6 outside; way 11 crosses the bbox edge, way 12 lies outside
+const sample = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" timestamp="2025-03-01T00:00:00Z">
+  <node id="1" lat="22.01" lon="114.01"/>
+  <node id="2" lat="22.02" lon="114.02"><tag k="amenity" v="cafe"/></node>
+  <node id="3" lat="22.03" lon="114.03"/>
+  <node id="4" lat="22.04" lon="114.04"/>
+  <node id="5" lat="22.20" lon="114.03"/>
+  <node id="6" lat="22.30" lon="114.03"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/><tag k="highway" v="primary"/></way>
+  <way id="11"><nd ref="3"/><nd ref="5"/><tag k="highway" v="secondary"/></way>
+  <way id="12"><nd ref="5"/><nd ref="6"/><tag k="highway" v="primary"/></way>
+  <way id="13"><nd ref="1"/><nd ref="4"/><tag k="building" v="yes"/></way>
+  <relation id="20">
+    <member type="way" ref="11" role=""/>
+    <member type="node" ref="4" role="stop"/>
+    <tag k="route" v="subway"/>
+  </relation>
+</osm>
+`;
+
+const bbox = [22.0, 114.0, 22.1, 114.1];
+const datasets = [
+  { name: 'roads', filters: ['way["highway"~"^(primary|secondary)$"]'] },
+  { name: 'transit', filters: ['relation["route"="subway"]'] },
+  { name: 'pois', filters: ['node["amenity"]'] },
+];
+
+const withSample = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-'));
+  try {
+    const file = path.join(dir, 'sample.osm');
+    fs.writeFileSync(file, sample);
+    await run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const extract = async (file) => {
+  const collected = Object.fromEntries(datasets.map(({ name }) => [name, []]));
+  const sinks = Object.fromEntries(datasets.map(({ name }) => [name, async (elements) => { collected[name].push(...elements); }]));
+  const { timestamp } = await extractFromOsmFile(file, bbox, datasets, sinks);
+  return { collected, timestamp };
+};
+
+test('reads only the wanted entity types from OSM XML', () => withSample(async (file) => {
+  const entities = [];
+  let timestamp = null;
+  for await (const batch of readOsmFile(file, { node: false, way: true, relation: false })) {
+    entities.push(...batch.entities);
+    timestamp = batch.timestamp;
+  }
+  assert.deepEqual(entities.map(({ id }) => id), [10, 11, 12, 13]);
+  assert.deepEqual(entities[0], { type: 'way', id: 10, tags: { highway: 'primary' }, refs: [1, 2, 3] });
+  assert.equal(timestamp, '2025-03-01T00:00:00Z');
+  assert.throws(() => readOsmFile('extract.o5m'), /Unsupported OSM file format/);
+}));
+
+test('selects elements with the dataset filters and gives them Overpass geometry', () => withSample(async (file) => {
+  const { collected, timestamp } = await extract(file);
+  assert.equal(timestamp, '2025-03-01T00:00:00Z');
+
+  // Like Overpass, a way with one node in the bbox comes whole, one with none doesn't come at all
+  const roads = Object.fromEntries(collected.roads.map((way) => [way.id, way]));
+  assert.deepEqual(Object.keys(roads).map(Number).sort(), [10, 11]);
+  assert.deepEqual(roads[10].geometry, [{ lat: 22.01, lon: 114.01 }, { lat: 22.02, lon: 114.02 }, { lat: 22.03, lon: 114.03 }]);
+  assert.deepEqual(roads[11].geometry, [{ lat: 22.03, lon: 114.03 }, { lat: 22.2, lon: 114.03 }]);
+  assert.deepEqual(roads[11].bounds, { minlat: 22.03, minlon: 114.03, maxlat: 22.2, maxlon: 114.03 });
+
+  const [relation] = collected.transit;
+  assert.equal(relation.id, 20);
+  assert.deepEqual(relation.members[0].geometry, roads[11].geometry);
+  assert.deepEqual(relation.members[1], { type: 'node', ref: 4, role: 'stop', lat: 22.04, lon: 114.04 });
+
+  assert.deepEqual(collected.pois, [{ type: 'node', id: 2, lat: 22.02, lon: 114.02, tags: { amenity: 'cafe' } }]);
+}));
+
+test('rejects filters the local matcher cannot evaluate', () => withSample(async (file) => {
+  const sinks = { areas: async () => {} };
+  await assert.rejects(extractFromOsmFile(file, bbox, [{ name: 'areas', filters: ['way(if: length() > 5)'] }], sinks), /isn't supported/);
+}));
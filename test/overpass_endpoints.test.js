@@ -0,0 +1,75 @@
+// Endpoint failover against local stand-in Overpass servers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createOverpassClient } from '../scripts/overpass_client.js';
+
+// Stand-in interpreter answering every request with `status` (and an empty result on 200)
+const startServer = (status) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    server.hits++;
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(status === 200 ? JSON.stringify({ elements: [{ type: 'node', id: 1 }] }) : '');
+    });
+  });
+  server.hits = 0;
+  server.listen(0, '127.0.0.1', () => {
+    server.url = `http://127.0.0.1:${server.address().port}/api/interpreter`;
+    resolve(server);
+  });
+});
+
+const withServers = async (statuses, run) => {
+  const servers = await Promise.all(statuses.map(startServer));
+  try {
+    await run(servers);
+  } finally {
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  }
+};
+
+const statsOf = (client, server) => client.pool.stats().find(({ url }) => url === server.url);
+
+test('rotates from a rate-limited and a timed-out endpoint to a healthy one', () => withServers([429, 504, 200], async ([limited, timedOut, healthy]) => {
+  const client = createOverpassClient({ endpoints: [limited.url, timedOut.url, healthy.url], baseDelay: 5 });
+
+  const data = await client.runQuery('node(1);out;');
+  assert.equal(data.servedBy, healthy.url);
+  assert.equal(data.elements.length, 1);
+  assert.deepEqual([limited.hits, timedOut.hits, healthy.hits], [1, 1, 1]);
+
+  // 429 costs more than 504, the endpoint that answered keeps a full score
+  assert.ok(Math.abs(statsOf(client, limited).score - 0.7) < 1e-9);
+  assert.ok(Math.abs(statsOf(client, timedOut).score - 0.8) < 1e-9);
+  assert.equal(statsOf(client, healthy).score, 1);
+  assert.deepEqual([limited, timedOut, healthy].map((server) => statsOf(client, server).failures), [1, 1, 0]);
+  assert.equal(statsOf(client, healthy).served, 1);
+
+  // The next query goes straight to the healthiest endpoint
+  await client.runQuery('node(2);out;');
+  assert.deepEqual([limited.hits, timedOut.hits, healthy.hits], [1, 1, 2]);
+}));
+
+test('counts refused connections as network failures and moves on', () => withServers([200], async ([healthy]) => {
+  const closed = await startServer(200);
+  const refusedUrl = closed.url;
+  await new Promise((resolve) => closed.close(resolve));
+
+  const client = createOverpassClient({ endpoints: [refusedUrl, healthy.url], baseDelay: 5 });
+  const data = await client.runQuery('node(1);out;');
+  assert.equal(data.servedBy, healthy.url);
+
+  const refused = client.pool.stats().find(({ url }) => url === refusedUrl);
+  assert.ok(Math.abs(refused.score - 0.6) < 1e-9);
+  assert.equal(refused.failures, 1);
+}));
+
+test('gives up with the last HTTP error once every attempt failed', () => withServers([429, 504], async ([limited, timedOut]) => {
+  const client = createOverpassClient({ endpoints: [limited.url, timedOut.url], maxAttempts: 3, baseDelay: 5 });
+
+  await assert.rejects(client.runQuery('node(1);out;'), (error) => error.status === 429);
+  // Never the same endpoint twice in a row while there is another one
+  assert.deepEqual([limited.hits, timedOut.hits], [2, 1]);
+}));
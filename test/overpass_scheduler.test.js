@@ -0,0 +1,136 @@
+// Slot scheduler against a local mock Overpass server that enforces slot limits
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createOverpassClient } from '../scripts/overpass_client.js';
+import { createSlotScheduler } from '../scripts/overpass_scheduler.js';
+
+// Mock server with `slots` slots per IP: /api/status reports how many are free right now, and the
+// interpreter answers 429 to any request over the limit (and to the first `rateLimited` requests),
+// everything else after `latency` ms. statusPath moves /api/status elsewhere, statusErrors are HTTP
+// statuses /api/status answers with (one per request) before it starts working.
+const startMock = ({ slots, latency = 30, rateLimited = 0, statusPath = '/api/status', statusErrors = [] }) => new Promise((resolve) => {
+  const mock = { active: 0, peak: 0, served: 0, rejected: 0, statusHits: 0 };
+
+  const server = http.createServer((req, res) => {
+    if (req.url === statusPath) {
+      mock.statusHits++;
+      if (statusErrors.length > 0) {
+        res.writeHead(statusErrors.shift());
+        res.end();
+        return;
+      }
+      const free = Math.max(0, slots - mock.active);
+      const nextSlot = free === 0 ? `Slot available after: ${new Date().toISOString()}, in 0 seconds.\n` : '';
+      res.end(`Connected as: 127.0.0.1\nRate limit: ${slots}\n${free} slots available now.\n${nextSlot}Currently running queries (pid, space limit, time limit, start time):\n`);
+      return;
+    }
+
+    req.resume();
+    req.on('end', () => {
+      if (mock.active >= slots || rateLimited > 0) {
+        rateLimited = Math.max(0, rateLimited - 1);
+        mock.rejected++;
+        res.writeHead(429);
+        res.end();
+        return;
+      }
+      mock.active++;
+      mock.peak = Math.max(mock.peak, mock.active);
+      setTimeout(() => {
+        mock.active--;
+        mock.served++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ elements: [] }));
+      }, latency);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    mock.url = `http://127.0.0.1:${server.address().port}/api/interpreter`;
+    mock.close = () => new Promise((done) => server.close(done));
+    resolve(mock);
+  });
+});
+
+test('never runs more requests at once than the advertised slots', async () => {
+  const mock = await startMock({ slots: 2 });
+  try {
+    const scheduler = createSlotScheduler({ maxConcurrency: 4, statusTtl: 0, slotMargin: 10 });
+    const client = createOverpassClient({ endpoints: [mock.url], scheduler, maxAttempts: 1, baseDelay: 5 });
+
+    const results = await Promise.all(Array.from({ length: 8 }, (_, i) => client.runQuery(`node(${i});out;`)));
+    assert.equal(results.length, 8);
+    assert.equal(mock.served, 8);
+    assert.equal(mock.rejected, 0);
+    assert.ok(mock.peak <= 2, `peak concurrency ${mock.peak}`);
+    assert.ok(mock.statusHits > 0);
+    // The advertised rate limit caps the scheduler's own limit too
+    assert.equal(scheduler.limitFor(mock.url), 2);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('backs off on 429 and asks for the slot status again', async () => {
+  const mock = await startMock({ slots: 4, rateLimited: 1, statusPath: '/custom/status' });
+  try {
+    const scheduler = createSlotScheduler({
+      maxConcurrency: 4,
+      statusUrl: (endpoint) => endpoint.replace('/api/interpreter', '/custom/status'),
+    });
+    const client = createOverpassClient({ endpoints: [mock.url], scheduler, maxAttempts: 2, baseDelay: 5 });
+
+    await client.runQuery('node(1);out;');
+    assert.equal(mock.rejected, 1);
+    assert.equal(mock.served, 1);
+    // Halved from 4 by the 429, and the retry didn't trust the status fetched before it
+    assert.equal(scheduler.limitFor(mock.url), 2);
+    assert.equal(mock.statusHits, 2);
+
+    // Every further 429 halves again, down to one request at a time
+    scheduler.reportRateLimit(mock.url);
+    assert.equal(scheduler.limitFor(mock.url), 1);
+    scheduler.reportRateLimit(mock.url);
+    assert.equal(scheduler.limitFor(mock.url), 1);
+
+    // and successes bring it back up one step at a time
+    await client.runQuery('node(2);out;');
+    assert.equal(scheduler.limitFor(mock.url), 2);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('asks for the slot status again after a transient failure', async () => {
+  const mock = await startMock({ slots: 2, statusErrors: [503] });
+  try {
+    const scheduler = createSlotScheduler({ maxConcurrency: 4, statusTtl: 20 });
+    const client = createOverpassClient({ endpoints: [mock.url], scheduler, maxAttempts: 1, baseDelay: 5 });
+
+    await client.runQuery('node(1);out;');
+    assert.equal(mock.statusHits, 1);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    await client.runQuery('node(2);out;');
+    assert.equal(mock.statusHits, 2);
+    // The status that came through applies its rate limit
+    assert.equal(scheduler.limitFor(mock.url), 2);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('stops asking when the server has no status page', async () => {
+  const mock = await startMock({ slots: 2, statusErrors: [404] });
+  try {
+    const scheduler = createSlotScheduler({ maxConcurrency: 4, statusTtl: 0 });
+    const client = createOverpassClient({ endpoints: [mock.url], scheduler, maxAttempts: 1, baseDelay: 5 });
+
+    await client.runQuery('node(1);out;');
+    await client.runQuery('node(2);out;');
+    assert.equal(mock.statusHits, 1);
+    assert.equal(scheduler.limitFor(mock.url), 4);
+  } finally {
+    await mock.close();
+  }
+});
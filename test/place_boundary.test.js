@@ -0,0 +1,78 @@
+// Place boundaries from .poly files and GeoJSON, and the point-in-polygon tests built on them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePolyFile, loadPlaceBoundary, boundaryBbox, getPlaceBbox, createBoundaryTester,
+  bboxIntersectsBoundary, boundaryCentroid, elementInBoundary,
+} from '../scripts/place_boundary.js';
+
+// A 10x10 square with a 2x2 hole in the middle, and a separate island to the east
+const poly = `test_area
+1
+   0.0E+00   0.0E+00
+   1.0E+01   0.0E+00
+   1.0E+01   1.0E+01
+   0.0E+00   1.0E+01
+END
+!2
+   4 4
+   6 4
+   6 6
+   4 6
+END
+3
+   20 0
+   22 0
+   22 2
+END
+END
+`;
+
+test('parses .poly sections into polygons with their holes', () => {
+  const multiPolygon = parsePolyFile(poly);
+  assert.equal(multiPolygon.length, 2);
+  assert.equal(multiPolygon[0].length, 2);
+  assert.deepEqual(multiPolygon[0][0][1], [10, 0]);
+  assert.deepEqual(multiPolygon[0][1][0], [4, 4]);
+  assert.deepEqual(multiPolygon[1], [[[20, 0], [22, 0], [22, 2]]]);
+  assert.deepEqual(boundaryBbox(multiPolygon), [0, 0, 22, 10]);
+  assert.throws(() => parsePolyFile('empty\nEND\n'), /No polygons/);
+});
+
+test('tells points inside from points in holes and outside', () => {
+  const isInside = createBoundaryTester(parsePolyFile(poly), 16);
+  assert.equal(isInside(1, 1), true);
+  assert.equal(isInside(5, 5), false); // in the hole
+  assert.equal(isInside(21.5, 0.5), true); // on the island
+  assert.equal(isInside(15, 5), false);
+  assert.equal(isInside(-1, 5), false);
+});
+
+test('checks boxes, elements and centroids against the boundary', () => {
+  const multiPolygon = parsePolyFile(poly);
+  const isInside = createBoundaryTester(multiPolygon);
+
+  // A box overlapping the edge counts even when none of its corners are inside
+  assert.equal(bboxIntersectsBoundary(multiPolygon, isInside, [-1, 2, 11, 3]), true);
+  assert.equal(bboxIntersectsBoundary(multiPolygon, isInside, [12, 0, 18, 10]), false);
+
+  assert.equal(elementInBoundary({ type: 'node', lat: 1, lon: 1 }, isInside), true);
+  assert.equal(elementInBoundary({ type: 'way', geometry: [{ lat: 5, lon: 15 }, { lat: 5, lon: 9 }] }, isInside), true);
+  assert.equal(elementInBoundary({ type: 'relation', members: [{ type: 'node', lat: 5, lon: 5 }] }, isInside), false);
+
+  const [lon, lat] = boundaryCentroid(multiPolygon);
+  assert.equal(isInside(lon, lat), true);
+});
+
+test('takes GeoJSON boundaries and falls back to their bbox', () => {
+  const place = {
+    code: 'GEO',
+    name: 'GeoJSON place',
+    boundary: { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[1, 2], [3, 2], [3, 4], [1, 4], [1, 2]]] } },
+  };
+  assert.deepEqual(loadPlaceBoundary(place)[0][0][2], [3, 4]);
+  assert.deepEqual(getPlaceBbox(place), [1, 2, 3, 4]);
+  assert.deepEqual(getPlaceBbox({ ...place, code: 'BOX', bbox: [0, 0, 1, 1] }), [0, 0, 1, 1]);
+  assert.equal(loadPlaceBoundary({ code: 'NONE' }), null);
+  assert.throws(() => loadPlaceBoundary({ code: 'LINE', boundary: { type: 'LineString', coordinates: [] } }), /Unsupported boundary geometry/);
+});
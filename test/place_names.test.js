@@ -0,0 +1,60 @@
+// Name resolution: locale fallback chains, romanization and telling fallbacks apart
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import { localeChain, resolveName, isFallback, romanize, isLatin } from '../scripts/place_names.js';
+
+// Runs with config.locale and config.romanize swapped out, so the local config.js doesn't matter
+const withNames = (settings, run) => {
+  const saved = { locale: config.locale, romanize: config.romanize };
+  Object.assign(config, settings);
+  try {
+    run();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+test('reads the locale chain from config', () => {
+  withNames({ locale: undefined }, () => assert.deepEqual(localeChain(), ['en']));
+  withNames({ locale: 'ja' }, () => assert.deepEqual(localeChain(), ['ja']));
+  withNames({ locale: [' en ', '', 'zh-Latn-pinyin', null] }, () => assert.deepEqual(localeChain(), ['en', 'zh-Latn-pinyin']));
+});
+
+test('walks the fallback chain before the plain name and the ref', () => {
+  const locales = ['en', 'zh-Latn-pinyin'];
+  const tags = { name: '彌敦道', 'name:zh-Latn-pinyin': 'Midun Dao', ref: 'A1' };
+  assert.deepEqual(resolveName({ ...tags, 'name:en': ' Nathan Road ' }, { locales }), { name: 'Nathan Road', source: 'en' });
+  assert.deepEqual(resolveName(tags, { locales }), { name: 'Midun Dao', source: 'zh-Latn-pinyin' });
+  assert.deepEqual(resolveName({ name: '彌敦道' }, { locales }), { name: '彌敦道', source: 'name' });
+  assert.deepEqual(resolveName({ ref: 'A1' }, { locales }), { name: '', source: null });
+  assert.deepEqual(resolveName({ ref: 'A1' }, { locales, allowRef: true }), { name: 'A1', source: 'ref' });
+  assert.deepEqual(resolveName({ name: 'Unnamed', noname: 'yes' }, { locales }), { name: '', source: null });
+
+  assert.equal(isFallback({ source: 'en' }, locales), false);
+  assert.equal(isFallback({ source: 'name' }, locales), true);
+  assert.equal(isFallback({ source: null }, locales), false);
+});
+
+test('romanizes non-Latin names only when asked to', () => {
+  withNames({ romanize: true }, () => {
+    assert.deepEqual(resolveName({ name: 'Москва' }, { locales: ['en'] }), { name: 'Moskva', source: 'romanized' });
+    // Chinese characters need a dictionary, so the plain name stays
+    assert.deepEqual(resolveName({ name: '彌敦道' }, { locales: ['en'] }), { name: '彌敦道', source: 'name' });
+  });
+  withNames({ romanize: false }, () => {
+    assert.deepEqual(resolveName({ name: 'Москва' }, { locales: ['en'] }), { name: 'Москва', source: 'name' });
+  });
+});
+
+test('transliterates Cyrillic, Greek, kana and Hangul', () => {
+  assert.equal(romanize('Щёлково'), 'Shchyolkovo');
+  assert.equal(romanize('Αθήνα'), 'Athina');
+  assert.equal(romanize('しんじゅく'), 'Shinjuku');
+  assert.equal(romanize('きょうと'), 'Kyouto');
+  assert.equal(romanize('サッポロ'), 'Sapporo');
+  assert.equal(romanize('서울'), 'Seoul');
+  assert.equal(romanize('東京'), null);
+  assert.equal(isLatin('Zürich 2'), true);
+  assert.equal(isLatin('Zürich 東'), false);
+});
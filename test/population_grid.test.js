@@ -0,0 +1,70 @@
+// Population grids read from CSV and GeoTIFF files, and residents calibrated against them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPopulationGrid, calibrateResidents } from '../scripts/population_grid.js';
+
+const bbox = [114.0, 22.0, 114.02, 22.02];
+
+const withCsv = async (text, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grid-'));
+  try {
+    const file = path.join(dir, 'grid.csv');
+    fs.writeFileSync(file, text);
+    await run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('reads quoted CSV fields with commas in them', () => withCsv([
+  '"name","population","lat","lon"',
+  '"Block 1, North",120,22.015,114.005',
+  '"Block 2, North",80,22.015,114.015',
+  '"Block 3, South",40,22.005,114.005',
+  '"Block 4, South",0,22.005,114.015',
+].join('\n'), async (file) => {
+  const grid = await loadPopulationGrid(file, bbox);
+  assert.equal(grid.width, 2);
+  assert.equal(grid.height, 2);
+  assert.equal(grid.values[grid.cellOf(114.005, 22.015)], 120);
+  assert.equal(grid.values[grid.cellOf(114.015, 22.015)], 80);
+  assert.equal(grid.values[grid.cellOf(114.005, 22.005)], 40);
+}));
+
+test('reads lat,lon,pop rows without a header', () => withCsv([
+  '22.015,114.005,120',
+  '22.015,114.015,80',
+  '22.005,114.005,40',
+].join('\n'), async (file) => {
+  const grid = await loadPopulationGrid(file, bbox);
+  assert.equal(grid.values[grid.cellOf(114.005, 22.015)], 120);
+  assert.equal(grid.values[grid.cellOf(114.005, 22.005)], 40);
+  assert.ok(Number.isNaN(grid.values[grid.cellOf(114.015, 22.005)]));
+}));
+
+test('needs all three columns once there is a header', () => withCsv('lat,lon,name\n22.01,114.01,x\n', async (file) => {
+  await assert.rejects(loadPopulationGrid(file, bbox), /needs lat, lon and pop columns/);
+}));
+
+test('shares the population of each cell out by residential floor area', () => withCsv([
+  'lat,lon,pop',
+  '22.015,114.005,300',
+  '22.015,114.015,50',
+  '22.005,114.005,0',
+].join('\n'), async (file) => {
+  const grid = await loadPopulationGrid({ file, cellSize: 0.01 }, bbox);
+  const buildings = [
+    { center: [114.002, 22.012], floorArea: 100, approxPop: 9 },
+    { center: [114.008, 22.018], floorArea: 200, approxPop: 9 },
+    { center: [114.005, 22.015], floorArea: 500, jobs: 40 }, // not residential
+    { center: [114.015, 22.005], floorArea: 100, approxPop: 7 }, // no data in that cell
+  ];
+  const stats = calibrateResidents(buildings, grid);
+
+  assert.deepEqual(buildings.map(({ approxPop }) => approxPop), [100, 200, undefined, 7]);
+  // The 50 people in a cell without residential buildings can't be placed anywhere
+  assert.deepEqual(stats, { gridPopulation: 350, calibratedBuildings: 2, fallbackBuildings: 1, unplacedPopulation: 50 });
+}));
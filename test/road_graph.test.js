@@ -0,0 +1,85 @@
+// Road graph built from roads.geojson: junctions as nodes, snapping points to it and fastest paths
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildRoadGraph, snapToGraph, createRouter, defaultRoadSpeeds } from '../scripts/road_graph.js';
+
+const bbox = [114.0, 22.0, 114.1, 22.1];
+const step = 0.005;
+const at = (col, row) => [114.0 + col * step, 22.0 + row * step];
+const road = (roadClass, coordinates) => ({ type: 'Feature', properties: { roadClass }, geometry: { type: 'LineString', coordinates } });
+
+// An 8x8 grid of minor streets with a highway along its southern edge (one long line through the
+// junctions), and a lone driveway 5 km away
+const columns = [...Array(8).keys()];
+const features = [
+  ...columns.map((row) => road('minor', columns.map((col) => at(col, row)))),
+  ...columns.map((col) => road('minor', columns.map((row) => at(col, row)))),
+  road('highway', columns.map((col) => at(col, 0))),
+  { type: 'Feature', properties: { roadClass: 'minor' }, geometry: { type: 'MultiLineString', coordinates: [[at(0, 90), at(1, 90)]] } },
+];
+
+const withGraph = async (place, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roads-'));
+  try {
+    const filePath = path.join(dir, 'roads.geojson');
+    fs.writeFileSync(filePath, JSON.stringify({ type: 'FeatureCollection', features }));
+    await run(await buildRoadGraph(filePath, place, bbox));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const nodeAt = (graph, [lon, lat]) => {
+  for (let node = 0; node < graph.nodeCount; node++) {
+    if (Math.abs(graph.lons[node] - lon) < 1e-9 && Math.abs(graph.lats[node] - lat) < 1e-9) return node;
+  }
+  return -1;
+};
+
+test('makes a node of every junction and road end', () => withGraph({}, async (graph) => {
+  assert.equal(graph.nodeCount, 66);
+  // 2 * 8 streets of 7 blocks, the highway's 7 blocks and the driveway
+  assert.equal(graph.edgeCount, 2 * 8 * 7 + 7 + 1);
+  assert.equal(graph.offsets[graph.nodeCount], graph.edgeCount * 2);
+  assert.ok(graph.targets.buffer instanceof SharedArrayBuffer);
+  assert.equal(graph.accessSpeed, defaultRoadSpeeds.minor / 3.6);
+}));
+
+test('finds the fastest paths and leaves disconnected targets unreached', () => withGraph({}, async (graph) => {
+  const route = createRouter(graph);
+  const [corner, east, north, driveway] = [at(0, 0), at(7, 0), at(0, 7), at(0, 90)].map((point) => nodeAt(graph, point));
+
+  const { meters, seconds } = route(corner, [east, north, driveway, corner]);
+  // Along the highway going east, along a minor street going north
+  assert.ok(Math.abs(seconds[0] - meters[0] / (defaultRoadSpeeds.highway / 3.6)) < 0.01);
+  assert.ok(Math.abs(seconds[1] - meters[1] / (defaultRoadSpeeds.minor / 3.6)) < 0.01);
+  assert.ok(Math.abs(meters[0] - 7 * step * 111195 * Math.cos(22 * Math.PI / 180)) < 5);
+  assert.ok(Number.isNaN(meters[2]) && Number.isNaN(seconds[2]));
+  assert.equal(seconds[3], 0);
+
+  // The router starts clean on every call
+  assert.deepEqual(Array.from(route(corner, [east]).seconds), [seconds[0]]);
+}));
+
+test('takes road speeds from the place', () => withGraph({ roadSpeeds: { highway: 15 } }, async (graph) => {
+  const route = createRouter(graph);
+  const { meters, seconds } = route(nodeAt(graph, at(0, 0)), [nodeAt(graph, at(7, 0))]);
+  // The minor street next to the highway is faster now
+  assert.ok(Math.abs(seconds[0] - meters[0] / (defaultRoadSpeeds.minor / 3.6)) < 0.01);
+}));
+
+test('snaps points to the nearest node of a big enough piece of road', () => withGraph({}, async (graph) => {
+  const [near, lone, nowhere] = snapToGraph(graph, [
+    [at(3, 3)[0] + 0.0004, at(3, 3)[1] + 0.0003],
+    at(0, 90),
+    [115.0, 23.0],
+  ]);
+  assert.equal(near.node, nodeAt(graph, at(3, 3)));
+  assert.ok(near.accessMeters > 40 && near.accessMeters < 60);
+  // The driveway is too small a piece to route over, and the grid is more than 1 km away
+  assert.equal(lone, null);
+  assert.equal(nowhere, null);
+}));
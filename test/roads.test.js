@@ -0,0 +1,42 @@
+// Road classes (ramps, unclassified and living streets, per-place overrides) and road structure
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDatasets } from '../scripts/datasets.js';
+
+const geometry = [{ lat: 22.0, lon: 114.0 }, { lat: 22.1, lon: 114.1 }];
+
+// Road feature the built-in roads dataset writes for a way with these tags
+const roadFor = (tags, place = {}) => {
+  const roads = getDatasets().find(({ name }) => name === 'roads');
+  return roads.transform({ type: 'way', id: 1, geometry, tags }, { place });
+};
+const classOf = (highway, place) => roadFor({ highway }, place)?.properties.roadClass;
+const structureOf = (tags) => roadFor({ highway: 'primary', ...tags }).properties.structure;
+
+test('classifies ramps, unclassified roads and living streets', () => {
+  assert.equal(classOf('motorway'), 'highway');
+  assert.equal(classOf('motorway_link'), 'highway');
+  assert.equal(classOf('trunk_link'), 'major');
+  assert.equal(classOf('unclassified'), 'minor');
+  assert.equal(classOf('living_street'), 'minor');
+  assert.equal(roadFor({ highway: 'footway' }), null);
+});
+
+test('lets a place remap or drop highway values', () => {
+  const place = { roadClasses: { service: 'minor', living_street: null, motorway_link: 'minor' } };
+  assert.equal(classOf('service', place), 'minor');
+  assert.equal(classOf('living_street', place), undefined);
+  assert.equal(classOf('motorway_link', place), 'minor');
+  assert.equal(classOf('motorway', place), 'highway');
+});
+
+test('derives bridges and tunnels from structure tags and layers', () => {
+  assert.equal(structureOf({}), 'normal');
+  assert.equal(structureOf({ bridge: 'viaduct' }), 'bridge');
+  assert.equal(structureOf({ tunnel: 'yes' }), 'tunnel');
+  assert.equal(structureOf({ covered: 'yes' }), 'tunnel');
+  assert.equal(structureOf({ layer: '2' }), 'bridge');
+  assert.equal(structureOf({ layer: '-1' }), 'tunnel');
+  // Explicitly not a bridge wins over the layer
+  assert.equal(structureOf({ bridge: 'no', layer: '1' }), 'normal');
+});
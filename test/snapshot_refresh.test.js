@@ -0,0 +1,72 @@
+// Incremental refresh: the change and id queries, and merging the changes into an existing file
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  readSnapshot, writeSnapshot, clearSnapshot, elementKey, roadFeatureKey, buildChangesQuery, buildIdsQuery, mergeChanges,
+} from '../scripts/snapshot_refresh.js';
+
+const since = '2025-01-01T00:00:00Z';
+const tile = [22, 114, 22.5, 114.5];
+
+async function* itemsOf(items) {
+  yield* items;
+}
+
+const merge = async (existing, changed, current) => {
+  const written = [];
+  const stats = await mergeChanges(itemsOf(existing), changed, (key) => current.has(key), elementKey, async (item) => { written.push(item); });
+  return { written, stats };
+};
+
+test('replaces changed elements, drops deleted ones and appends new ones', async () => {
+  const existing = [{ type: 'way', id: 1, v: 1 }, { type: 'way', id: 2, v: 1 }, { type: 'way', id: 3, v: 1 }, { type: 'way', id: 4, v: 1 }];
+  const changed = new Map([
+    ['way/2', { type: 'way', id: 2, v: 2 }],
+    ['way/4', null], // still matches the filters but no longer produces an item
+    ['way/5', { type: 'way', id: 5, v: 1 }],
+    ['way/6', { type: 'way', id: 6, v: 1 }], // refetched through a moved node, outside the bbox
+  ]);
+  const current = new Set(['way/1', 'way/2', 'way/4', 'way/5']);
+
+  const { written, stats } = await merge(existing, changed, current);
+  assert.deepEqual(written, [{ type: 'way', id: 1, v: 1 }, { type: 'way', id: 2, v: 2 }, { type: 'way', id: 5, v: 1 }]);
+  assert.deepEqual(stats, { added: 1, updated: 1, deleted: 2 });
+});
+
+test('keys road features by their way id', () => {
+  assert.equal(roadFeatureKey({ type: 'Feature', id: 42 }), elementKey({ type: 'way', id: 42 }));
+});
+
+test('asks for changes and for moved nodes of ways and member ways of relations', () => {
+  const query = buildChangesQuery(['way["highway"]', 'relation["route"="subway"]', 'nwr["place"]'], tile, since);
+  const area = tile.join(',');
+  assert.ok(query.includes(`node(newer:"${since}")(${area})->.moved;`));
+  assert.ok(query.includes(`way["highway"](newer:"${since}")(${area});`));
+  assert.ok(query.includes('way["highway"](bn.moved);'));
+  assert.ok(query.includes('way["place"](bn.moved);'));
+  assert.ok(query.includes('relation["route"="subway"](bw.movedWays);'));
+  assert.ok(query.includes('relation["place"](bw.movedWays);'));
+  assert.ok(!query.includes('relation["highway"]'));
+  assert.ok(query.trim().endsWith('out geom;'));
+
+  const ids = buildIdsQuery(['way["highway"]'], tile);
+  assert.ok(ids.includes(`way["highway"](${area});`));
+  assert.ok(ids.trim().endsWith('out ids;'));
+});
+
+test('keeps the snapshot next to the downloads', () => {
+  const placeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+  try {
+    assert.equal(readSnapshot(placeDir), null);
+    const snapshot = { timestamp: since, bbox: tile, source: 'overpass' };
+    writeSnapshot(placeDir, snapshot);
+    assert.deepEqual(readSnapshot(placeDir), snapshot);
+    clearSnapshot(placeDir);
+    assert.equal(readSnapshot(placeDir), null);
+  } finally {
+    fs.rmSync(placeDir, { recursive: true, force: true });
+  }
+});
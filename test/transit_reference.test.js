@@ -0,0 +1,70 @@
+// Transit reference layer: route members clipped to the place, routes, tracks and stations as GeoJSON
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transitElement } from '../scripts/datasets.js';
+import { buildTransitReference, normalizeColour, lineLength, defaultColours } from '../scripts/transit_reference.js';
+
+const line = (points) => points.map(([lon, lat]) => ({ lat, lon }));
+const place = { code: 'TRN', bbox: [114.0, 22.0, 114.5, 22.5] };
+
+// A national line with one member through the place and one far away, and the place's own subway
+const intercity = {
+  type: 'relation',
+  id: 1,
+  tags: { route: 'train', name: 'Intercity', ref: 'IC1' },
+  members: [
+    { type: 'way', ref: 10, role: '', geometry: line([[113.9, 22.1], [114.1, 22.1]]) },
+    { type: 'way', ref: 11, role: '', geometry: line([[110.0, 25.0], [111.0, 26.0]]) },
+    { type: 'node', ref: 12, role: 'stop', lat: 25.0, lon: 110.0 },
+  ],
+};
+const subway = {
+  type: 'relation',
+  id: 2,
+  tags: { route: 'subway', name: 'Line 1', colour: 'E2231A' },
+  members: [
+    { type: 'way', ref: 20, role: '', geometry: line([[114.2, 22.2], [114.3, 22.2]]) },
+    { type: 'way', ref: 21, role: 'platform', geometry: line([[114.2, 22.21], [114.21, 22.21]]) },
+  ],
+};
+
+test('keeps only the route members that reach into the place bbox', () => {
+  const clipped = transitElement(intercity, { place });
+  assert.deepEqual(clipped.members.map(({ ref }) => ref), [10]);
+  assert.equal(clipped.tags, intercity.tags);
+  assert.equal(transitElement({ ...intercity, members: intercity.members.slice(1) }, { place }), null);
+
+  // Ways and stations come as they are
+  const way = { type: 'way', id: 3, geometry: line([[100, 10], [101, 10]]), tags: { railway: 'rail' } };
+  assert.equal(transitElement(way, { place }), way);
+});
+
+test('builds routes, leftover tracks and stations', () => {
+  const elements = [
+    transitElement(intercity, { place }),
+    subway,
+    { type: 'way', id: 20, geometry: subway.members[0].geometry, tags: { railway: 'subway' } },
+    { type: 'way', id: 30, geometry: line([[114.4, 22.4], [114.41, 22.4]]), tags: { railway: 'rail', usage: 'freight' } },
+    { type: 'node', id: 40, lat: 22.2, lon: 114.2, tags: { railway: 'station', station: 'subway', name: 'Central' } },
+  ];
+  const { transit, stats } = buildTransitReference(elements);
+  const byId = Object.fromEntries(transit.features.map((feature) => [feature.id, feature]));
+
+  assert.deepEqual(Object.keys(byId), ['relation/1', 'relation/2', 'way/30', 'node/40']);
+  assert.deepEqual(byId['relation/1'].properties, { kind: 'route', mode: 'rail', name: 'Intercity', ref: 'IC1', colour: defaultColours.rail, operator: '' });
+  assert.equal(byId['relation/2'].properties.colour, '#e2231a');
+  // Platforms aren't part of the line
+  assert.equal(byId['relation/2'].geometry.coordinates.length, 1);
+  assert.equal(byId['way/30'].properties.usage, 'freight');
+  assert.equal(byId['node/40'].properties.mode, 'subway');
+  assert.deepEqual({ routes: stats.routes, tracks: stats.tracks, stations: stats.stations }, { routes: 2, tracks: 1, stations: 1 });
+});
+
+test('normalizes colours and measures lines', () => {
+  assert.equal(normalizeColour(' #ABC '), '#abc');
+  assert.equal(normalizeColour('Red'), 'red');
+  assert.equal(normalizeColour('#12345'), null);
+  assert.equal(normalizeColour(undefined), null);
+  // One degree of latitude is about 111 km
+  assert.ok(Math.abs(lineLength([[0, 0], [0, 1]]) - 111195) < 1);
+});